@@ -0,0 +1,371 @@
+/**
+ * AudioAnalyzer - Computes Track features from decoded audio
+ *
+ * Works on raw sample arrays only (no Web Audio, no GPU), so it runs the same
+ * on the main thread, in a Worker, or in plain Node. Produces:
+ * - Tempo estimate (BPM) from the autocorrelation of a spectral-flux onset envelope
+ * - RMS loudness (linear and dBFS)
+ * - Spectral centroid (Hz) - perceived brightness
+ * - Energy score (0-1) combining loudness, brightness and tempo
+ */
+class AudioAnalyzer {
+  /**
+   * @param {Object} [options] - Analyzer options
+   * @param {number} [options.frameSize=2048] - FFT frame size in samples (power of two)
+   * @param {number} [options.hopSize=512] - Distance between frames in samples
+   * @param {number} [options.minTempo=60] - Lowest tempo considered (BPM)
+   * @param {number} [options.maxTempo=180] - Highest tempo considered (BPM)
+   */
+  constructor({ frameSize = 2048, hopSize = 512, minTempo = 60, maxTempo = 180 } = {}) {
+    if ((frameSize & (frameSize - 1)) !== 0) {
+      throw new Error('frameSize must be a power of two');
+    }
+    this.frameSize = frameSize;
+    this.hopSize = hopSize;
+    this.minTempo = minTempo;
+    this.maxTempo = maxTempo;
+
+    this._window = this._createHannWindow(frameSize);
+
+    // Constants for energy scoring
+    this.SILENCE_DB = -100;
+    this.QUIET_DB = -40; // Loudness mapped to energy 0
+    this.LOUD_DB = -6; // Loudness mapped to energy 1
+    this.DARK_CENTROID_HZ = 300;
+    this.BRIGHT_CENTROID_HZ = 5000;
+    this.PREFERRED_TEMPO = 120; // Centre of the tempo prior used against octave errors
+    this.MIN_PERIODICITY = 0.2; // Normalized autocorrelation needed to report a tempo
+    this.MIN_ONSET_STRENGTH = 0.01; // Mean flux relative to mean magnitude needed to look for a tempo
+  }
+
+  /**
+   * Analyze decoded audio
+   * @param {AudioBuffer|Float32Array|Array<Float32Array>|Object} input - Decoded audio: an AudioBuffer,
+   *   a mono sample array, an array of channel arrays, or { channels, sampleRate }
+   * @param {Object} [options] - Analysis options
+   * @param {number} [options.sampleRate] - Sample rate (required for raw sample arrays)
+   * @returns {Object} Features: tempo, rms, loudness, spectralCentroid, energy, duration
+   */
+  analyze(input, { sampleRate = null } = {}) {
+    const { samples, rate } = this._toMono(input, sampleRate);
+    if (samples.length === 0) {
+      throw new Error('Cannot analyze empty audio');
+    }
+
+    const rms = this._computeRms(samples);
+    const loudness = rms > 0 ? Math.max(this.SILENCE_DB, 20 * Math.log10(rms)) : this.SILENCE_DB;
+    const { centroid, flux, meanMagnitude } = this._analyzeSpectrum(samples, rate);
+    const tempo = this._estimateTempo(flux, rate, meanMagnitude);
+
+    return {
+      tempo,
+      rms,
+      loudness,
+      spectralCentroid: centroid,
+      energy: this._scoreEnergy(loudness, centroid, tempo),
+      duration: samples.length / rate
+    };
+  }
+
+  /**
+   * Analyze decoded audio and attach the results to a track
+   * Features the track already has (e.g. from metadata) are kept unless overwrite is set.
+   * @param {Track} track - Track to annotate
+   * @param {AudioBuffer|Float32Array|Array<Float32Array>|Object} input - Decoded audio (see analyze())
+   * @param {Object} [options] - Analysis options
+   * @param {number} [options.sampleRate] - Sample rate (required for raw sample arrays)
+   * @param {boolean} [options.overwrite=false] - Replace features the track already has
+   * @returns {Object} Computed features
+   */
+  analyzeTrack(track, input, { sampleRate = null, overwrite = false } = {}) {
+    const analysis = this.analyze(input, { sampleRate });
+    AudioAnalyzer.attachFeatures(track, analysis, { overwrite });
+    return analysis;
+  }
+
+  /**
+   * Attach analysis results to a track as features
+   * @param {Track} track - Track to annotate
+   * @param {Object} analysis - Result of analyze()
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.overwrite=false] - Replace features the track already has
+   */
+  static attachFeatures(track, analysis, { overwrite = false } = {}) {
+    const existing = track.features || {};
+    const updates = {};
+    ['tempo', 'energy', 'loudness', 'spectralCentroid'].forEach(name => {
+      const value = analysis[name];
+      if (value !== null && value !== undefined && (overwrite || existing[name] === undefined)) {
+        updates[name] = value;
+      }
+    });
+    track.setFeatures(updates);
+  }
+
+  /**
+   * Mix any supported input down to a mono sample array
+   * @private
+   * @param {*} input - Decoded audio
+   * @param {number|null} sampleRate - Sample rate for raw arrays
+   * @returns {{samples: Float32Array, rate: number}} Mono samples and sample rate
+   */
+  _toMono(input, sampleRate) {
+    let channels;
+    let rate = sampleRate;
+
+    if (input && typeof input.getChannelData === 'function') {
+      // AudioBuffer
+      channels = [];
+      for (let i = 0; i < input.numberOfChannels; i++) {
+        channels.push(input.getChannelData(i));
+      }
+      rate = rate || input.sampleRate;
+    } else if (input && Array.isArray(input.channels)) {
+      channels = input.channels;
+      rate = rate || input.sampleRate;
+    } else if (Array.isArray(input) && input.length > 0 && typeof input[0] !== 'number') {
+      channels = input;
+    } else if (input && typeof input.length === 'number') {
+      channels = [input];
+    } else {
+      throw new Error('Unsupported audio input');
+    }
+
+    if (!rate) {
+      throw new Error('sampleRate is required for raw sample arrays');
+    }
+    if (channels.length === 1) {
+      return { samples: Float32Array.from(channels[0]), rate };
+    }
+
+    const length = Math.min(...channels.map(channel => channel.length));
+    const samples = new Float32Array(length);
+    channels.forEach(channel => {
+      for (let i = 0; i < length; i++) {
+        samples[i] += channel[i] / channels.length;
+      }
+    });
+    return { samples, rate };
+  }
+
+  /**
+   * Compute root-mean-square level
+   * @private
+   * @param {Float32Array} samples - Mono samples
+   * @returns {number} RMS level (0-1 for normalized audio)
+   */
+  _computeRms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+  }
+
+  /**
+   * Run a short-time Fourier transform over the signal
+   * @private
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} rate - Sample rate
+   * @returns {{centroid: number, flux: Float32Array, meanMagnitude: number}} Energy-weighted mean
+   *   spectral centroid, per-frame spectral flux (onset envelope) and mean spectral magnitude per frame
+   */
+  _analyzeSpectrum(samples, rate) {
+    const size = this.frameSize;
+    const bins = size / 2;
+    const frameCount = Math.max(1, Math.floor((samples.length - size) / this.hopSize) + 1);
+    const flux = new Float32Array(frameCount);
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    let previous = new Float64Array(bins);
+    let current = new Float64Array(bins);
+
+    let centroidSum = 0;
+    let centroidWeight = 0;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * this.hopSize;
+      for (let i = 0; i < size; i++) {
+        const sample = start + i < samples.length ? samples[start + i] : 0;
+        real[i] = sample * this._window[i];
+        imag[i] = 0;
+      }
+      this._fft(real, imag);
+
+      let magnitudeSum = 0;
+      let weightedSum = 0;
+      let frameFlux = 0;
+      for (let bin = 0; bin < bins; bin++) {
+        const magnitude = Math.hypot(real[bin], imag[bin]);
+        current[bin] = magnitude;
+        magnitudeSum += magnitude;
+        weightedSum += magnitude * (bin * rate / size);
+        // Only rising energy counts as an onset
+        const rise = magnitude - previous[bin];
+        if (rise > 0) frameFlux += rise;
+      }
+
+      flux[frame] = frame === 0 ? 0 : frameFlux;
+      if (magnitudeSum > 0) {
+        centroidSum += weightedSum;
+        centroidWeight += magnitudeSum;
+      }
+      [previous, current] = [current, previous];
+    }
+
+    return {
+      centroid: centroidWeight > 0 ? centroidSum / centroidWeight : 0,
+      flux,
+      meanMagnitude: centroidWeight / frameCount
+    };
+  }
+
+  /**
+   * Estimate tempo from the onset envelope
+   * @private
+   * @param {Float32Array} flux - Spectral flux per frame
+   * @param {number} rate - Sample rate
+   * @param {number} meanMagnitude - Mean spectral magnitude per frame
+   * @returns {number|null} Tempo in BPM, or null when no periodicity is found
+   */
+  _estimateTempo(flux, rate, meanMagnitude) {
+    const framesPerSecond = rate / this.hopSize;
+    const minLag = Math.max(1, Math.floor(framesPerSecond * 60 / this.maxTempo));
+    const maxLag = Math.ceil(framesPerSecond * 60 / this.minTempo);
+    if (flux.length < maxLag * 2) return null;
+
+    // Remove the mean so the autocorrelation measures periodicity, not loudness
+    let mean = 0;
+    for (let i = 0; i < flux.length; i++) mean += flux[i];
+    mean /= flux.length;
+
+    // Steady signals (drones, sustained tones) have no onsets to count
+    if (meanMagnitude <= 0 || mean / meanMagnitude < this.MIN_ONSET_STRENGTH) return null;
+
+    const envelope = Float32Array.from(flux, value => value - mean);
+
+    let zeroLag = 0;
+    for (let i = 0; i < envelope.length; i++) zeroLag += envelope[i] * envelope[i];
+    if (zeroLag === 0) return null;
+
+    const scores = new Float64Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      if (lag < 1) continue;
+      let sum = 0;
+      for (let i = lag; i < envelope.length; i++) {
+        sum += envelope[i] * envelope[i - lag];
+      }
+      scores[lag] = sum / (envelope.length - lag);
+    }
+
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = 60 * framesPerSecond / lag;
+      // Log-normal prior around the preferred tempo resolves half/double-time ambiguity
+      const octaves = Math.log2(bpm / this.PREFERRED_TEMPO);
+      const score = scores[lag] * Math.exp(-0.5 * octaves * octaves);
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    // Too little rhythmic repetition to call it a tempo (drones, speech, silence)
+    const periodicity = bestLag === -1 ? 0 : scores[bestLag] / (zeroLag / envelope.length);
+    if (periodicity < this.MIN_PERIODICITY) return null;
+
+    // Parabolic interpolation for sub-frame lag precision
+    const left = scores[bestLag - 1];
+    const centre = scores[bestLag];
+    const right = scores[bestLag + 1];
+    const denominator = left - 2 * centre + right;
+    const shift = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+    const lag = bestLag + Math.max(-0.5, Math.min(0.5, shift));
+
+    return 60 * framesPerSecond / lag;
+  }
+
+  /**
+   * Combine measurements into a 0-1 energy score
+   * @private
+   * @param {number} loudness - Loudness in dBFS
+   * @param {number} centroid - Spectral centroid in Hz
+   * @param {number|null} tempo - Tempo in BPM
+   * @returns {number} Energy score 0-1
+   */
+  _scoreEnergy(loudness, centroid, tempo) {
+    const clamp = value => Math.max(0, Math.min(1, value));
+    const loudnessScore = clamp((loudness - this.QUIET_DB) / (this.LOUD_DB - this.QUIET_DB));
+    const brightnessScore = centroid > 0
+      ? clamp(Math.log(centroid / this.DARK_CENTROID_HZ) / Math.log(this.BRIGHT_CENTROID_HZ / this.DARK_CENTROID_HZ))
+      : 0;
+
+    if (tempo === null) {
+      return clamp(loudnessScore * 0.65 + brightnessScore * 0.35);
+    }
+    const tempoScore = clamp((tempo - this.minTempo) / (this.maxTempo - this.minTempo));
+    return clamp(loudnessScore * 0.45 + brightnessScore * 0.25 + tempoScore * 0.3);
+  }
+
+  /**
+   * Create a Hann window
+   * @private
+   * @param {number} size - Window size
+   * @returns {Float64Array} Window coefficients
+   */
+  _createHannWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+    }
+    return window;
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   * @private
+   * @param {Float64Array} real - Real parts
+   * @param {Float64Array} imag - Imaginary parts
+   */
+  _fft(real, imag) {
+    const n = real.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+
+    for (let length = 2; length <= n; length <<= 1) {
+      const angle = -2 * Math.PI / length;
+      const stepReal = Math.cos(angle);
+      const stepImag = Math.sin(angle);
+      for (let start = 0; start < n; start += length) {
+        let twiddleReal = 1;
+        let twiddleImag = 0;
+        for (let k = 0; k < length / 2; k++) {
+          const even = start + k;
+          const odd = even + length / 2;
+          const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+          const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+          const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+          twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+          twiddleReal = nextReal;
+        }
+      }
+    }
+  }
+}
+
+export default AudioAnalyzer;
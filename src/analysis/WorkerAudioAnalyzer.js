@@ -0,0 +1,110 @@
+import AudioAnalyzer from './AudioAnalyzer.js';
+
+/**
+ * WorkerAudioAnalyzer - Runs AudioAnalyzer off the main thread
+ * Same results as AudioAnalyzer.analyze(), delivered asynchronously from a module Worker.
+ */
+class WorkerAudioAnalyzer {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Worker} [options.worker] - Worker running analysisWorker.js (created if omitted)
+   */
+  constructor({ worker = null } = {}) {
+    this.worker = worker || new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this._nextId = 0;
+
+    this.worker.onmessage = ({ data }) => this._handleMessage(data);
+  }
+
+  /**
+   * Settle the request a worker reply belongs to
+   * @private
+   * @param {Object} data - Worker reply
+   */
+  _handleMessage({ id, features, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(features);
+    }
+  }
+
+  /**
+   * Analyze decoded audio in the worker
+   * Sample data is copied, so the caller's buffers stay usable.
+   * @param {AudioBuffer|Float32Array|Array<Float32Array>|Object} input - Decoded audio (see AudioAnalyzer.analyze())
+   * @param {Object} [options] - Analysis options
+   * @param {number} [options.sampleRate] - Sample rate (required for raw sample arrays)
+   * @param {number} [options.frameSize] - FFT frame size (see AudioAnalyzer)
+   * @param {number} [options.hopSize] - Samples between frames
+   * @param {number} [options.minTempo] - Lowest tempo considered (BPM)
+   * @param {number} [options.maxTempo] - Highest tempo considered (BPM)
+   * @returns {Promise<Object>} Features (see AudioAnalyzer.analyze())
+   */
+  analyze(input, { sampleRate = null, frameSize, hopSize, minTempo, maxTempo } = {}) {
+    let channels;
+    let rate = sampleRate;
+    if (input && typeof input.getChannelData === 'function') {
+      channels = [];
+      for (let i = 0; i < input.numberOfChannels; i++) {
+        channels.push(Float32Array.from(input.getChannelData(i)));
+      }
+      rate = rate || input.sampleRate;
+    } else if (input && Array.isArray(input.channels)) {
+      channels = input.channels.map(channel => Float32Array.from(channel));
+      rate = rate || input.sampleRate;
+    } else if (Array.isArray(input) && input.length > 0 && typeof input[0] !== 'number') {
+      channels = input.map(channel => Float32Array.from(channel));
+    } else if (input && typeof input.length === 'number') {
+      channels = [Float32Array.from(input)];
+    } else {
+      return Promise.reject(new Error('Unsupported audio input'));
+    }
+
+    // Only analyzer settings travel to the worker, which keeps one analyzer per combination
+    const options = {};
+    Object.entries({ frameSize, hopSize, minTempo, maxTempo }).forEach(([key, value]) => {
+      if (value !== undefined) options[key] = value;
+    });
+
+    const id = ++this._nextId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage(
+        { id, channels, sampleRate: rate, options },
+        channels.map(channel => channel.buffer)
+      );
+    });
+  }
+
+  /**
+   * Analyze decoded audio in the worker and attach the results to a track
+   * Features the track already has are kept unless overwrite is set.
+   * @param {Track} track - Track to annotate
+   * @param {AudioBuffer|Float32Array|Array<Float32Array>|Object} input - Decoded audio (see analyze())
+   * @param {Object} [options] - Analysis options (see analyze())
+   * @param {number} [options.sampleRate] - Sample rate (required for raw sample arrays)
+   * @param {boolean} [options.overwrite=false] - Replace features the track already has
+   * @returns {Promise<Object>} Computed features
+   */
+  async analyzeTrack(track, input, { overwrite = false, ...options } = {}) {
+    const analysis = await this.analyze(input, options);
+    AudioAnalyzer.attachFeatures(track, analysis, { overwrite });
+    return analysis;
+  }
+
+  /**
+   * Stop the worker and reject outstanding requests
+   */
+  terminate() {
+    this.worker.terminate();
+    this.pending.forEach(request => request.reject(new Error('Analyzer terminated')));
+    this.pending.clear();
+  }
+}
+
+export default WorkerAudioAnalyzer;
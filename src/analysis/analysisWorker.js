@@ -0,0 +1,32 @@
+import AudioAnalyzer from './AudioAnalyzer.js';
+
+/**
+ * Worker entry point for AudioAnalyzer
+ *
+ * Message in:  { id, channels: Array<Float32Array>, sampleRate, options }
+ * Message out: { id, features } or { id, error }
+ */
+const analyzers = new Map(); // serialized options -> AudioAnalyzer
+
+/**
+ * Get the analyzer for a set of options, creating it on first use
+ * @param {Object} options - frameSize, hopSize, minTempo, maxTempo
+ * @returns {AudioAnalyzer} Analyzer
+ */
+function getAnalyzer({ frameSize, hopSize, minTempo, maxTempo }) {
+  const key = JSON.stringify([frameSize, hopSize, minTempo, maxTempo]);
+  if (!analyzers.has(key)) {
+    analyzers.set(key, new AudioAnalyzer({ frameSize, hopSize, minTempo, maxTempo }));
+  }
+  return analyzers.get(key);
+}
+
+self.onmessage = ({ data }) => {
+  const { id, channels, sampleRate, options = {} } = data;
+  try {
+    const features = getAnalyzer(options).analyze({ channels, sampleRate });
+    self.postMessage({ id, features });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -74,6 +74,50 @@ class AudioEngine {
     throw new Error('Method getVolume() must be implemented');
   }
 
+  /**
+   * Preload audio so a later load() of the same URL starts without delay
+   * Optional - engines without preloading resolve immediately
+   * @param {string} url - Audio file URL
+   * @returns {Promise<void>}
+   */
+  preload(url) {
+    return Promise.resolve();
+  }
+
+  /**
+   * Check if the engine can schedule transitions between tracks (gapless, crossfades)
+   * @returns {boolean} True if scheduleNext() is supported
+   */
+  supportsTransitions() {
+    return false;
+  }
+
+  /**
+   * Schedule audio to take over when the current audio ends
+   * Emits 'advance' instead of 'ended' once the scheduled audio has taken over
+   * @param {string} url - Audio file URL
+   * @param {Object} [options] - Transition options
+   * @returns {Promise<boolean>} True if the transition was scheduled
+   */
+  scheduleNext(url, options) {
+    return Promise.resolve(false);
+  }
+
+  /**
+   * Cancel a transition scheduled with scheduleNext()
+   */
+  cancelNext() {}
+
+  /**
+   * Start new audio now, blending it with the audio currently playing
+   * @param {string} url - Audio file URL
+   * @param {Object} [options] - Crossfade options (duration, curve)
+   * @returns {Promise<boolean>} True if the crossfade started
+   */
+  crossfadeTo(url, options) {
+    return Promise.resolve(false);
+  }
+
   /**
    * Register event listener
    * @param {string} event - Event name
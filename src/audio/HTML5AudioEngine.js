@@ -6,6 +6,9 @@ import AudioEngine from './AudioEngine.js';
 class HTML5AudioEngine extends AudioEngine {
   constructor() {
     super();
+    if (typeof Audio === 'undefined') {
+      throw new Error('HTML5AudioEngine requires a browser; pass another audioEngine (e.g. MockAudioEngine) outside one');
+    }
     this.audio = new Audio();
     this.eventListeners = {};
     
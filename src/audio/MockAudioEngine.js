@@ -0,0 +1,288 @@
+import AudioEngine from './AudioEngine.js';
+
+/**
+ * Mock implementation of AudioEngine
+ *
+ * Headless engine for tests and Node: produces no sound and needs no browser.
+ * - Simulated time: playback only moves when advance() is called
+ * - Tracks end (ended, or advance to a scheduled track) when time reaches the duration
+ * - Loads can be made to fail per URL
+ * - Records loads, preloads and crossfades for assertions
+ */
+class MockAudioEngine extends AudioEngine {
+  /**
+   * @param {Object} [options] - Engine options
+   * @param {Object} [options.durations] - Duration (seconds) by URL
+   * @param {number} [options.defaultDuration=180] - Duration for URLs not in durations
+   * @param {boolean} [options.transitions=false] - Support gapless scheduling and crossfades
+   */
+  constructor({ durations = {}, defaultDuration = 180, transitions = false } = {}) {
+    super();
+    this.durations = { ...durations };
+    this.defaultDuration = defaultDuration;
+    this.transitions = transitions;
+    this.eventListeners = {};
+
+    this.currentUrl = null;
+    this.nextUrl = null; // Scheduled by scheduleNext()
+    this.playing = false;
+    this.volume = 1.0;
+    this._position = 0;
+    this._failures = new Map(); // url -> errors for upcoming loads
+
+    // Call history
+    this.loads = [];
+    this.preloads = [];
+    this.crossfades = [];
+  }
+
+  /**
+   * Emit event to registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Move the playback position
+   * @private
+   * @param {number} position - Position in seconds
+   */
+  _setPosition(position) {
+    this._position = position;
+  }
+
+  /**
+   * Load audio from URL
+   * @param {string} url - Audio file URL
+   * @returns {Promise<void>}
+   */
+  async load(url) {
+    this.loads.push(url);
+    this._emit('loading');
+
+    const failures = this._failures.get(url);
+    if (failures && failures.length > 0) {
+      const error = failures.shift();
+      this._emit('error', error);
+      throw error;
+    }
+
+    this.playing = false;
+    this.currentUrl = url;
+    this.nextUrl = null;
+    this._setPosition(0);
+    this._emit('loadedmetadata');
+    this._emit('canplay');
+  }
+
+  /**
+   * Preload audio so a later load() is instant
+   * @param {string} url - Audio file URL
+   * @returns {Promise<void>}
+   */
+  async preload(url) {
+    this.preloads.push(url);
+  }
+
+  /**
+   * Start playback
+   * @returns {Promise<void>}
+   */
+  async play() {
+    if (!this.currentUrl) {
+      throw new Error('No audio loaded');
+    }
+    this._setPosition(this.getCurrentTime());
+    this.playing = true;
+    this._emit('play');
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.playing) return;
+    this._setPosition(this.getCurrentTime());
+    this.playing = false;
+    this._emit('pause');
+  }
+
+  /**
+   * Stop playback and reset position
+   */
+  stop() {
+    this.pause();
+    this.nextUrl = null;
+    this._setPosition(0);
+  }
+
+  /**
+   * Seek to specific time
+   * @param {number} time - Time in seconds
+   */
+  seek(time) {
+    this._setPosition(Math.max(0, Math.min(time, this.getDuration())));
+  }
+
+  /**
+   * Set volume
+   * @param {number} volume - Volume level (0.0 to 1.0)
+   */
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+  }
+
+  /**
+   * Get current playback time
+   * @returns {number} Current time in seconds
+   */
+  getCurrentTime() {
+    return this._position;
+  }
+
+  /**
+   * Get audio duration
+   * @returns {number} Duration in seconds
+   */
+  getDuration() {
+    if (!this.currentUrl) return 0;
+    return this.currentUrl in this.durations ? this.durations[this.currentUrl] : this.defaultDuration;
+  }
+
+  /**
+   * Get current volume
+   * @returns {number} Volume level (0.0 to 1.0)
+   */
+  getVolume() {
+    return this.volume;
+  }
+
+  /**
+   * Check if the engine can schedule gapless transitions and crossfades
+   * @returns {boolean} True if enabled in the constructor
+   */
+  supportsTransitions() {
+    return this.transitions;
+  }
+
+  /**
+   * Schedule the next track to start when the current one ends
+   * @param {string} url - Audio file URL
+   * @returns {Promise<boolean>} True if scheduled
+   */
+  async scheduleNext(url) {
+    if (!this.transitions) return false;
+    this.nextUrl = url;
+    return true;
+  }
+
+  /**
+   * Cancel a scheduled next track
+   */
+  cancelNext() {
+    this.nextUrl = null;
+  }
+
+  /**
+   * Switch to another track immediately, as a crossfade would
+   * @param {string} url - Audio file URL
+   * @param {Object} [options] - Crossfade options
+   * @param {number} [options.duration] - Crossfade length in seconds
+   * @param {string} [options.curve] - Fade curve
+   * @returns {Promise<boolean>} True if the transition started
+   */
+  async crossfadeTo(url, { duration = 0, curve = 'equal-power' } = {}) {
+    if (!this.transitions) return false;
+    this.crossfades.push({ url, duration, curve });
+    this.currentUrl = url;
+    this.nextUrl = null;
+    this._setPosition(0);
+    this.playing = true;
+    return true;
+  }
+
+  /**
+   * Let simulated playback time pass
+   * Emits timeupdate, and ends the track if it reaches its duration.
+   * @param {number} seconds - Seconds of playback
+   */
+  advance(seconds) {
+    if (!this.playing) return;
+    const position = this.getCurrentTime() + seconds;
+    if (position >= this.getDuration()) {
+      this.end();
+      return;
+    }
+    this._setPosition(position);
+    this._emit('timeupdate', position);
+  }
+
+  /**
+   * End the current track now, advancing to a scheduled track if there is one
+   */
+  end() {
+    if (this.nextUrl) {
+      const url = this.nextUrl;
+      this.nextUrl = null;
+      this.currentUrl = url;
+      this._setPosition(0);
+      this._emit('advance', { url });
+      return;
+    }
+    this._setPosition(this.getDuration());
+    this.playing = false;
+    this._emit('ended');
+  }
+
+  /**
+   * Make the next load of a URL fail
+   * @param {string} url - Audio file URL
+   * @param {Error} [error] - Error to fail with
+   */
+  failNextLoad(url, error = new Error(`Failed to load ${url}`)) {
+    if (!this._failures.has(url)) {
+      this._failures.set(url, []);
+    }
+    this._failures.get(url).push(error);
+  }
+
+  /**
+   * Set the duration reported for a URL
+   * @param {string} url - Audio file URL
+   * @param {number} seconds - Duration in seconds
+   */
+  setDuration(url, seconds) {
+    this.durations[url] = seconds;
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Unregister event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+}
+
+export default MockAudioEngine;
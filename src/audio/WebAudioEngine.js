@@ -0,0 +1,537 @@
+import AudioEngine from './AudioEngine.js';
+
+/**
+ * Web Audio API implementation of AudioEngine
+ *
+ * Decodes tracks into AudioBuffers and plays them through buffer sources, which allows:
+ * - Preloading upcoming tracks so they start without network or decode delay
+ * - Sample-accurate gapless transitions
+ * - Equal-power crossfades between consecutive tracks
+ */
+class WebAudioEngine extends AudioEngine {
+  /**
+   * @param {Object} [options] - Engine options
+   * @param {AudioContext} [options.audioContext] - Audio context (defaults to a new AudioContext)
+   * @param {Function} [options.fetch] - Fetch implementation used to download audio data
+   * @param {number} [options.crossfadeDuration=0] - Crossfade length in seconds (0 = gapless)
+   * @param {number} [options.maxCachedBuffers=4] - Maximum number of decoded buffers kept in memory
+   */
+  constructor({ audioContext = null, fetch: fetchFn = null, crossfadeDuration = 0, maxCachedBuffers = 4 } = {}) {
+    super();
+    this.context = audioContext || new AudioContext();
+    this._fetch = fetchFn || ((url) => fetch(url));
+    this.eventListeners = {};
+
+    this.masterGain = this.context.createGain();
+    this.masterGain.connect(this.context.destination);
+    this.volume = 1.0;
+
+    this.crossfadeDuration = Math.max(0, crossfadeDuration);
+    this.maxCachedBuffers = maxCachedBuffers;
+    this.bufferCache = new Map(); // url -> Promise<AudioBuffer>
+
+    this.current = null; // Voice currently considered "the track"
+    this.nextVoice = null; // Voice scheduled to take over
+    this.fadingVoices = new Set(); // Voices fading out after crossfadeTo()
+    this.playing = false;
+    this._offset = 0; // Position in seconds while not playing
+    this._loadToken = 0;
+    this._scheduleToken = 0;
+    this._timeUpdateInterval = null;
+
+    // Constants
+    this.TIME_UPDATE_INTERVAL_MS = 250;
+    this.FADE_CURVE_STEPS = 64;
+  }
+
+  /**
+   * Emit event to registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Get a decoded buffer for a URL, downloading and decoding it if needed
+   * @private
+   * @param {string} url - Audio file URL
+   * @returns {Promise<AudioBuffer>} Decoded audio
+   */
+  _getBuffer(url) {
+    if (this.bufferCache.has(url)) {
+      // Refresh position in the LRU order
+      const cached = this.bufferCache.get(url);
+      this.bufferCache.delete(url);
+      this.bufferCache.set(url, cached);
+      return cached;
+    }
+
+    const pending = this._fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to fetch audio: ${url}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(data => this.context.decodeAudioData(data));
+
+    pending.catch(() => this.bufferCache.delete(url));
+    this.bufferCache.set(url, pending);
+
+    while (this.bufferCache.size > this.maxCachedBuffers) {
+      const oldestUrl = this.bufferCache.keys().next().value;
+      this.bufferCache.delete(oldestUrl);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Start a voice at a given context time and offset
+   * @private
+   * @param {Object} voice - Voice to start
+   * @param {number} when - Context time to start at
+   * @param {number} offset - Offset into the buffer in seconds
+   */
+  _startVoice(voice, when, offset) {
+    const source = this.context.createBufferSource();
+    const gain = this.context.createGain();
+    source.buffer = voice.buffer;
+    source.connect(gain);
+    gain.connect(this.masterGain);
+    source.onended = () => this._handleVoiceEnded(voice);
+    source.start(when, offset);
+
+    voice.source = source;
+    voice.gain = gain;
+    voice.startTime = when - offset;
+  }
+
+  /**
+   * Stop a voice and release its nodes
+   * @private
+   * @param {Object} voice - Voice to stop
+   */
+  _stopVoice(voice) {
+    if (!voice || !voice.source) return;
+    voice.source.onended = null;
+    try {
+      voice.source.stop();
+    } catch (e) {
+      // Source was never started or already stopped
+    }
+    voice.source.disconnect();
+    voice.gain.disconnect();
+    voice.source = null;
+    voice.gain = null;
+  }
+
+  /**
+   * Build fade-in and fade-out gain curves
+   * @private
+   * @param {string} curve - Curve type ('equal-power' or 'linear')
+   * @returns {{fadeIn: Float32Array, fadeOut: Float32Array}} Gain curves
+   */
+  _createFadeCurves(curve) {
+    const steps = this.FADE_CURVE_STEPS;
+    const fadeIn = new Float32Array(steps);
+    const fadeOut = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+      const x = i / (steps - 1);
+      if (curve === 'linear') {
+        fadeIn[i] = x;
+        fadeOut[i] = 1 - x;
+      } else {
+        // Equal-power keeps perceived loudness constant through the blend
+        fadeIn[i] = Math.sin(x * Math.PI / 2);
+        fadeOut[i] = Math.cos(x * Math.PI / 2);
+      }
+    }
+    return { fadeIn, fadeOut };
+  }
+
+  /**
+   * Apply a crossfade between two started voices
+   * @private
+   * @param {Object} outgoing - Voice fading out
+   * @param {Object} incoming - Voice fading in
+   * @param {number} when - Context time the fade starts
+   * @param {number} duration - Fade length in seconds
+   * @param {string} curve - Curve type
+   */
+  _applyCrossfade(outgoing, incoming, when, duration, curve) {
+    if (duration <= 0) return;
+    const { fadeIn, fadeOut } = this._createFadeCurves(curve);
+    outgoing.gain.gain.setValueCurveAtTime(fadeOut, when, duration);
+    incoming.gain.gain.setValueCurveAtTime(fadeIn, when, duration);
+  }
+
+  /**
+   * Start the scheduled voice so it begins exactly when the current one ends
+   * @private
+   */
+  _armNextVoice() {
+    const current = this.current;
+    const next = this.nextVoice;
+    if (!current || !current.source || !next || next.source) return;
+
+    const endTime = current.startTime + current.buffer.duration;
+    const fade = Math.min(next.crossfadeDuration, current.buffer.duration, next.buffer.duration);
+    const when = Math.max(this.context.currentTime, endTime - fade);
+
+    this._startVoice(next, when, 0);
+    this._applyCrossfade(current, next, when, endTime - when, next.curve);
+  }
+
+  /**
+   * Undo a scheduled voice without touching the current one
+   * @private
+   */
+  _disarmNextVoice() {
+    if (!this.nextVoice || !this.nextVoice.source) return;
+    this._stopVoice(this.nextVoice);
+    if (this.current && this.current.gain) {
+      this.current.gain.gain.cancelScheduledValues(0);
+      this.current.gain.gain.value = 1;
+    }
+  }
+
+  /**
+   * Handle a buffer source reaching its end
+   * @private
+   * @param {Object} voice - Voice that ended
+   */
+  _handleVoiceEnded(voice) {
+    if (voice !== this.current) {
+      this.fadingVoices.delete(voice);
+      this._stopVoice(voice);
+      return;
+    }
+
+    if (this.nextVoice && this.nextVoice.source) {
+      const next = this.nextVoice;
+      this._stopVoice(voice);
+      this.current = next;
+      this.nextVoice = null;
+      this._emit('advance', { url: next.url });
+      return;
+    }
+
+    this._stopVoice(voice);
+    this.playing = false;
+    this._offset = voice.buffer.duration;
+    this._stopTimeUpdates();
+    this._emit('ended');
+  }
+
+  /**
+   * Silence any voices still fading out
+   * @private
+   */
+  _stopFadingVoices() {
+    this.fadingVoices.forEach(voice => this._stopVoice(voice));
+    this.fadingVoices.clear();
+  }
+
+  /**
+   * Start emitting timeupdate events
+   * @private
+   */
+  _startTimeUpdates() {
+    this._stopTimeUpdates();
+    this._timeUpdateInterval = setInterval(() => {
+      this._emit('timeupdate', this.getCurrentTime());
+    }, this.TIME_UPDATE_INTERVAL_MS);
+  }
+
+  /**
+   * Stop emitting timeupdate events
+   * @private
+   */
+  _stopTimeUpdates() {
+    if (this._timeUpdateInterval) {
+      clearInterval(this._timeUpdateInterval);
+      this._timeUpdateInterval = null;
+    }
+  }
+
+  /**
+   * Load audio from URL
+   * @param {string} url - Audio file URL
+   * @returns {Promise<void>}
+   */
+  async load(url) {
+    const token = ++this._loadToken;
+    this.cancelNext();
+    this._stopFadingVoices();
+    this._stopVoice(this.current);
+    this._stopTimeUpdates();
+    this.current = null;
+    this.playing = false;
+    this._offset = 0;
+    this._emit('loading');
+
+    let buffer;
+    try {
+      buffer = await this._getBuffer(url);
+    } catch (error) {
+      if (token === this._loadToken) {
+        this._emit('error', error);
+      }
+      throw error;
+    }
+
+    // A newer load() superseded this one
+    if (token !== this._loadToken) return;
+
+    this.current = { url, buffer, source: null, gain: null, startTime: 0 };
+    this._emit('loadedmetadata');
+    this._emit('canplay');
+  }
+
+  /**
+   * Preload audio so a later load() of the same URL starts without delay
+   * @param {string} url - Audio file URL
+   * @returns {Promise<void>}
+   */
+  async preload(url) {
+    await this._getBuffer(url);
+  }
+
+  /**
+   * Start playback
+   * @returns {Promise<void>}
+   */
+  async play() {
+    if (!this.current) {
+      throw new Error('No audio loaded');
+    }
+    if (this.playing) return;
+
+    if (this.context.state === 'suspended') {
+      await this.context.resume();
+    }
+
+    const offset = this._offset >= this.current.buffer.duration ? 0 : this._offset;
+    this._startVoice(this.current, this.context.currentTime, offset);
+    this.playing = true;
+    this._armNextVoice();
+    this._startTimeUpdates();
+    this._emit('play');
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.playing) return;
+    this._offset = this.getCurrentTime();
+    this._disarmNextVoice();
+    this._stopFadingVoices();
+    this._stopVoice(this.current);
+    this.playing = false;
+    this._stopTimeUpdates();
+    this._emit('pause');
+  }
+
+  /**
+   * Stop playback and reset position
+   */
+  stop() {
+    this.pause();
+    this._offset = 0;
+  }
+
+  /**
+   * Seek to specific time
+   * @param {number} time - Time in seconds
+   */
+  seek(time) {
+    if (!this.current) return;
+    const target = Math.max(0, Math.min(time, this.getDuration()));
+
+    if (this.playing) {
+      this._disarmNextVoice();
+      this._stopVoice(this.current);
+      this._startVoice(this.current, this.context.currentTime, target);
+      this._armNextVoice();
+    } else {
+      this._offset = target;
+    }
+    this._emit('timeupdate', target);
+  }
+
+  /**
+   * Set volume
+   * @param {number} volume - Volume level (0.0 to 1.0)
+   */
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    this.masterGain.gain.value = this.volume;
+  }
+
+  /**
+   * Get current playback time
+   * @returns {number} Current time in seconds
+   */
+  getCurrentTime() {
+    if (!this.current) return 0;
+    if (!this.playing) return this._offset;
+    const elapsed = this.context.currentTime - this.current.startTime;
+    return Math.max(0, Math.min(elapsed, this.current.buffer.duration));
+  }
+
+  /**
+   * Get duration
+   * @returns {number} Duration in seconds
+   */
+  getDuration() {
+    return this.current ? this.current.buffer.duration : 0;
+  }
+
+  /**
+   * Get current volume
+   * @returns {number} Volume level (0.0 to 1.0)
+   */
+  getVolume() {
+    return this.volume;
+  }
+
+  /**
+   * Set the crossfade length used by scheduleNext()
+   * @param {number} seconds - Crossfade length in seconds (0 = gapless)
+   */
+  setCrossfadeDuration(seconds) {
+    this.crossfadeDuration = Math.max(0, seconds);
+  }
+
+  /**
+   * Check if the engine can schedule transitions between tracks
+   * @returns {boolean} Always true
+   */
+  supportsTransitions() {
+    return true;
+  }
+
+  /**
+   * Schedule audio to take over when the current audio ends
+   * The next buffer starts on the exact sample the current one ends on, or overlaps it
+   * by the crossfade duration. Emits 'advance' once the current audio has finished.
+   * @param {string} url - Audio file URL
+   * @param {Object} [options] - Transition options
+   * @param {number} [options.crossfadeDuration] - Crossfade length in seconds (defaults to engine setting)
+   * @param {string} [options.curve='equal-power'] - Fade curve ('equal-power' or 'linear')
+   * @returns {Promise<boolean>} True if the transition was scheduled
+   */
+  async scheduleNext(url, { crossfadeDuration = this.crossfadeDuration, curve = 'equal-power' } = {}) {
+    this.cancelNext();
+    const token = this._scheduleToken;
+    const loadToken = this._loadToken;
+
+    const buffer = await this._getBuffer(url);
+
+    // Cancelled, rescheduled or replaced by a load() while decoding
+    if (token !== this._scheduleToken || loadToken !== this._loadToken || !this.current) {
+      return false;
+    }
+
+    this.nextVoice = {
+      url,
+      buffer,
+      source: null,
+      gain: null,
+      startTime: 0,
+      crossfadeDuration: Math.max(0, crossfadeDuration),
+      curve
+    };
+    if (this.playing) {
+      this._armNextVoice();
+    }
+    return true;
+  }
+
+  /**
+   * Cancel a transition scheduled with scheduleNext()
+   */
+  cancelNext() {
+    this._scheduleToken++;
+    this._disarmNextVoice();
+    this.nextVoice = null;
+  }
+
+  /**
+   * Start new audio now, blending it with the audio currently playing
+   * The new audio becomes current immediately; the outgoing audio fades out and stops.
+   * @param {string} url - Audio file URL
+   * @param {Object} [options] - Crossfade options
+   * @param {number} [options.duration] - Crossfade length in seconds (defaults to engine setting)
+   * @param {string} [options.curve='equal-power'] - Fade curve ('equal-power' or 'linear')
+   * @returns {Promise<boolean>} True if the crossfade started
+   */
+  async crossfadeTo(url, { duration = this.crossfadeDuration, curve = 'equal-power' } = {}) {
+    const token = ++this._loadToken;
+    this.cancelNext();
+
+    const buffer = await this._getBuffer(url);
+
+    // A load() or another crossfade superseded this one
+    if (token !== this._loadToken) return false;
+
+    const outgoing = this.current;
+    const incoming = { url, buffer, source: null, gain: null, startTime: 0 };
+    this.current = incoming;
+
+    if (!this.playing || !outgoing || !outgoing.source) {
+      // Nothing audible left to blend from - start the new audio directly
+      this._stopVoice(outgoing);
+      this._offset = 0;
+      this.playing = false;
+      await this.play();
+      return true;
+    }
+
+    const now = this.context.currentTime;
+    const remaining = outgoing.buffer.duration - (now - outgoing.startTime);
+    const fade = Math.max(0, Math.min(duration, remaining, buffer.duration));
+
+    this._startVoice(incoming, now, 0);
+    if (fade > 0) {
+      this._applyCrossfade(outgoing, incoming, now, fade, curve);
+      outgoing.source.stop(now + fade);
+      this.fadingVoices.add(outgoing);
+    } else {
+      this._stopVoice(outgoing);
+    }
+    return true;
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name (play, pause, ended, advance, timeupdate, error, loading, canplay, loadedmetadata)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Unregister event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+}
+
+export default WebAudioEngine;
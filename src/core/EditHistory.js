@@ -0,0 +1,166 @@
+/**
+ * EditHistory - Undo/redo stack of edit commands
+ *
+ * A command is a plain object with a name and execute() / undo() functions, and
+ * optionally redo() when running execute() again would not reproduce the same
+ * result (e.g. because it draws random numbers). Commands are undone and redone
+ * in strict order, so each one can rely on the state it left behind.
+ */
+class EditHistory {
+  /**
+   * @param {Object} [options] - History options
+   * @param {number} [options.maxDepth=100] - Commands kept for undo (the oldest are dropped)
+   */
+  constructor({ maxDepth = 100 } = {}) {
+    this.undoStack = []; // Oldest first
+    this.redoStack = []; // Next to redo last
+    this.maxDepth = Math.max(0, maxDepth);
+    this.eventListeners = {};
+  }
+
+  /**
+   * Run a command and make it undoable
+   * Anything that could be redone is discarded.
+   * @param {{name: string, execute: Function, undo: Function, redo?: Function}} command - Edit command
+   * @returns {*} The value returned by execute()
+   */
+  execute(command) {
+    const result = command.execute();
+    this.redoStack = [];
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.maxDepth) {
+      this.undoStack.splice(0, this.undoStack.length - this.maxDepth);
+    }
+    this._emitChange('execute', command);
+    return result;
+  }
+
+  /**
+   * Undo the latest command
+   * @returns {boolean} True if a command was undone
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+    command.undo();
+    this.redoStack.push(command);
+    this._emitChange('undo', command);
+    return true;
+  }
+
+  /**
+   * Redo the latest undone command
+   * @returns {boolean} True if a command was redone
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+    (command.redo || command.execute)();
+    this.undoStack.push(command);
+    this._emitChange('redo', command);
+    return true;
+  }
+
+  /**
+   * Check if there is anything to undo
+   * @returns {boolean} True if undo() would do something
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is anything to redo
+   * @returns {boolean} True if redo() would do something
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget every command
+   */
+  clear() {
+    if (this.undoStack.length === 0 && this.redoStack.length === 0) return;
+    this.undoStack = [];
+    this.redoStack = [];
+    this._emitChange('clear', null);
+  }
+
+  /**
+   * Set how many commands are kept for undo
+   * @param {number} depth - Maximum depth
+   */
+  setMaxDepth(depth) {
+    this.maxDepth = Math.max(0, depth);
+    if (this.undoStack.length > this.maxDepth) {
+      this.undoStack.splice(0, this.undoStack.length - this.maxDepth);
+      this._emitChange('trim', null);
+    }
+  }
+
+  /**
+   * Get what can be undone and redone
+   * @returns {{canUndo: boolean, canRedo: boolean, undoName: string|null, redoName: string|null,
+   *   undoDepth: number, redoDepth: number}} History state
+   */
+  getState() {
+    const undoCommand = this.undoStack[this.undoStack.length - 1];
+    const redoCommand = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoName: undoCommand ? undoCommand.name : null,
+      redoName: redoCommand ? redoCommand.name : null,
+      undoDepth: this.undoStack.length,
+      redoDepth: this.redoStack.length
+    };
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name (change)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Unregister event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Announce a change to the history
+   * @private
+   * @param {string} reason - What happened ('execute', 'undo', 'redo', 'clear', 'trim')
+   * @param {Object|null} command - Command involved
+   */
+  _emitChange(reason, command) {
+    this._emit('change', { ...this.getState(), reason, name: command ? command.name : null });
+  }
+}
+
+export default EditHistory;
@@ -1,8 +1,16 @@
 import PlaybackState from '../models/PlaybackState.js';
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import RepeatMode from '../models/RepeatMode.js';
 import HTML5AudioEngine from '../audio/HTML5AudioEngine.js';
 import QueueManager from './QueueManager.js';
 import InteractionTracker from '../runtime/InteractionTracker.js';
+import ProbabilityEngine from '../runtime/ProbabilityEngine.js';
+import BlendedProbabilityEngine from '../runtime/BlendedProbabilityEngine.js';
+import ListenerProfile from '../profiles/ListenerProfile.js';
+import StateManager from '../state/StateManager.js';
 import RuntimeClock from '../runtime/RuntimeClock.js';
+import SystemClock from '../time/SystemClock.js';
 
 /**
  * Music Runtime Engine - Orchestrates musical states and consciousness
@@ -12,40 +20,115 @@ import RuntimeClock from '../runtime/RuntimeClock.js';
  * - Responds to observer interaction
  * - Maintains separate audio and runtime time
  * - Enables emergent behavior through probability
+ *
+ * Listeners sharing a device each get a profile with their own interaction
+ * history and probability field; profiles can be switched or blended at runtime.
  */
 class PlayerEngine {
   /**
    * @param {Object} options - Player options
    * @param {AudioEngine} [options.audioEngine] - Custom audio engine (defaults to HTML5AudioEngine)
    * @param {QueueManager} [options.queueManager] - Custom queue manager
+   * @param {boolean} [options.smartCrossfade=true] - Let flow and energy shape transitions
+   *   (only with audio engines that support transitions)
+   * @param {RandomSource} [options.random] - Random source for shuffle and selection
+   *   (ignored when a queue manager is given; pass it to the queue manager instead)
+   * @param {Clock} [options.clock] - Time source and timers (defaults to SystemClock)
+   * @param {StateManager} [options.stateManager] - Store the player's state is kept in
    */
-  constructor({ audioEngine = null, queueManager = null } = {}) {
+  constructor({
+    audioEngine = null,
+    queueManager = null,
+    smartCrossfade = true,
+    random = null,
+    clock = null,
+    stateManager = null
+  } = {}) {
+    this.clock = clock || new SystemClock();
     this.audioEngine = audioEngine || new HTML5AudioEngine();
-    this.queueManager = queueManager || new QueueManager();
-    this.state = PlaybackState.STOPPED;
-    this.currentTrack = null;
+    this.queueManager = queueManager || new QueueManager(null, { random, clock: this.clock });
+    // Playback state and current track live in the state manager
+    this.stateManager = stateManager || new StateManager();
     this.eventListeners = {};
     
     // Runtime components
-    this.interactionTracker = new InteractionTracker();
-    this.runtimeClock = new RuntimeClock();
+    this.interactionTracker = new InteractionTracker({ clock: this.clock });
+    this.runtimeClock = new RuntimeClock({ clock: this.clock });
     this._previousVolume = 1.0;
     this._trackStartTime = 0;
+    this._trackOutcome = null; // Interactions observed during the current track
+    this._scheduledTrack = null; // Track the audio engine will advance to on its own
+    this.stopAfterTracks = null; // Tracks left to finish before stopping (null = keep playing)
+
+    // Smart crossfade - transitions scheduled on the runtime clock
+    this.smartCrossfade = smartCrossfade;
+    this._transitionEventId = null;
+    this._transitionEndEventId = null;
+    this._transition = null; // In-progress transition
+    this._transitionPending = false; // Waiting for the audio engine to start a crossfade
+    this.MIN_CROSSFADE_SECONDS = 0.5;
+    this.MAX_CROSSFADE_SECONDS = 8;
+    this.TICK_INTERVAL_MS = 100; // Runtime clock tick rate
+    this.SNAPSHOT_VERSION = 1; // Version of the format produced by snapshot()
     
     // Start runtime clock
-    this._clockInterval = setInterval(() => {
+    this._clockInterval = this.clock.setInterval(() => {
       this.runtimeClock.tick();
-    }, 100); // Tick every 100ms
+    }, this.TICK_INTERVAL_MS);
     
     this._setupAudioEngineListeners();
+    this.queueManager.on('upnextchange', ({ reason }) => {
+      // Tracks leaving Up Next to play are handled by the playback path itself
+      if (reason !== 'played') {
+        this._refreshUpcomingTrack();
+      }
+    });
+    this.queueManager.on('repeatmodechange', () => {
+      this._refreshUpcomingTrack();
+    });
+    this.queueManager.on('editchange', ({ reason }) => {
+      // Clearing or trimming the edit history leaves the queue as it is
+      if (reason === 'execute' || reason === 'undo' || reason === 'redo') {
+        this._refreshUpcomingTrack();
+      }
+    });
+    this._forwardSelection = (explanation) => {
+      this._emit('selection', explanation);
+    };
+    this.queueManager.getProbabilityEngine().on('selection', this._forwardSelection);
+
+    // Listener profiles - the starting tracker and field form the default profile
+    this.profiles = new Map();
+    this.profiles.set('default', new ListenerProfile({
+      id: 'default',
+      name: 'Default',
+      interactionTracker: this.interactionTracker,
+      probabilityEngine: this.queueManager.getProbabilityEngine()
+    }));
+    this.activeProfileIds = ['default']; // More than one while blending
+
+    this.stateManager.batch(() => {
+      this.stateManager.setState({
+        playbackState: PlaybackState.STOPPED,
+        currentTrack: null,
+        volume: this.audioEngine.getVolume(),
+        stopAfterTracks: this.stopAfterTracks,
+        smartCrossfade: this.smartCrossfade,
+        activeProfiles: [...this.activeProfileIds],
+        blending: false
+      });
+      this.queueManager.setStateManager(this.stateManager);
+      this._publishRuntimeState();
+    });
   }
 
   /**
    * Clean up resources
    */
   destroy() {
+    this._cancelTransition();
     if (this._clockInterval) {
-      clearInterval(this._clockInterval);
+      this.clock.clearInterval(this._clockInterval);
       this._clockInterval = null;
     }
   }
@@ -56,55 +139,354 @@ class PlayerEngine {
    */
   _setupAudioEngineListeners() {
     this.audioEngine.on('play', () => {
-      this.state = PlaybackState.PLAYING;
-      this._emit('statechange', this.state);
+      this._setPlaybackState(PlaybackState.PLAYING);
     });
 
     this.audioEngine.on('pause', () => {
-      this.state = PlaybackState.PAUSED;
-      this._emit('statechange', this.state);
+      this._setPlaybackState(PlaybackState.PAUSED);
     });
 
     this.audioEngine.on('ended', () => {
       this._handleTrackEnded();
     });
 
+    this.audioEngine.on('advance', () => {
+      this._handleTrackAdvanced();
+    });
+
     this.audioEngine.on('timeupdate', (time) => {
-      this._emit('timeupdate', {
+      const update = {
         currentTime: time,
         duration: this.audioEngine.getDuration()
-      });
+      };
+      this.stateManager.setState(update);
+      this._emit('timeupdate', update);
     });
 
     this.audioEngine.on('error', (error) => {
-      this.state = PlaybackState.STOPPED;
+      this._setPlaybackState(PlaybackState.STOPPED, false);
       this._emit('error', error);
-      this._emit('statechange', this.state);
+      this._emit('statechange', this.getState());
     });
 
     this.audioEngine.on('loading', () => {
-      this.state = PlaybackState.LOADING;
-      this._emit('statechange', this.state);
+      this._setPlaybackState(PlaybackState.LOADING);
     });
   }
 
   /**
    * Handle track ended event
+   * Load failures are not rethrown: _play() has already reported them through 'error'.
    * @private
    */
-  async _handleTrackEnded() {
-    this.state = PlaybackState.STOPPED;
-    this._emit('trackended', this.currentTrack);
+  _handleTrackEnded() {
+    // The crossfade that replaces this track is still being prepared
+    if (this._transitionPending) return;
+
+    this._cancelTransition();
+    this._finalizeTrack('ended');
+    this._setPlaybackState(PlaybackState.STOPPED, false);
+    const endedTrack = this.getCurrentTrack();
+    this._emit('trackended', endedTrack);
+
+    // Stop after current / after N tracks
+    if (this.stopAfterTracks === 0) {
+      this._setStopAfterTracks(null);
+      this._emit('statechange', this.getState());
+      return;
+    }
+
+    if (this.queueManager.getRepeatMode() === RepeatMode.ONE && endedTrack) {
+      this._play(endedTrack).catch(() => {});
+      return;
+    }
     
     // Auto-play next track if available
-    const nextTrack = this.queueManager.next();
+    const context = this.interactionTracker.getContext();
+    const nextTrack = this.queueManager.next(context);
     if (nextTrack) {
-      await this.play();
+      this._play().catch(() => {});
+    } else {
+      this._emit('statechange', this.getState());
+    }
+  }
+
+  /**
+   * Handle the audio engine advancing to a scheduled track on its own
+   * @private
+   */
+  _handleTrackAdvanced() {
+    const endedTrack = this.getCurrentTrack();
+    const scheduledTrack = this._scheduledTrack;
+    this._scheduledTrack = null;
+    this._finalizeTrack('ended');
+    this._emit('trackended', endedTrack);
+
+    const nextTrack = this.queueManager.next();
+    if (!nextTrack) {
+      this._stop();
+      return;
+    }
+
+    // Queue changed after the transition was scheduled - follow the queue
+    if (!scheduledTrack || nextTrack.id !== scheduledTrack.id) {
+      this._play(nextTrack).catch(() => {});
+      return;
+    }
+
+    this._beginTrack(nextTrack);
+    this._prepareNextTrack();
+  }
+
+  /**
+   * Re-prepare the upcoming track after a change to what follows the current one
+   * (Up Next and playlist edits, repeat mode, stop-after settings)
+   * @private
+   */
+  _refreshUpcomingTrack() {
+    if (!this.getCurrentTrack() || this.getState() === PlaybackState.STOPPED) return;
+
+    if (this._scheduledTrack) {
+      this.audioEngine.cancelNext();
+    }
+    this._prepareNextTrack();
+  }
+
+  /**
+   * Check if playback moves on to another track when the current one ends
+   * False when repeating one track or stopping after this one; the end is then
+   * handled in _handleTrackEnded instead of by a gapless transition or crossfade.
+   * @private
+   * @returns {boolean} True if the next queue track follows
+   */
+  _advancesAfterCurrent() {
+    return this.stopAfterTracks !== 1 && this.queueManager.getRepeatMode() !== RepeatMode.ONE;
+  }
+
+  /**
+   * Preload the upcoming queue entry, or schedule a gapless transition to it
+   * when the audio engine supports transitions
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _prepareNextTrack() {
+    this._scheduledTrack = null;
+    if (!this._advancesAfterCurrent()) return;
+    const nextTrack = this.queueManager.peekNext();
+    if (!nextTrack) return;
+
+    try {
+      if (this.audioEngine.supportsTransitions() && !this.smartCrossfade) {
+        const scheduled = await this.audioEngine.scheduleNext(nextTrack.url);
+        if (scheduled) {
+          this._scheduledTrack = nextTrack;
+        }
+      } else {
+        await this.audioEngine.preload(nextTrack.url);
+      }
+    } catch (error) {
+      // Best effort - the track is loaded normally once it is reached
+    }
+  }
+
+  /**
+   * Derive crossfade length and curve from the listener's current state
+   * High flow = long, smooth equal-power blends; low flow = quick linear cuts.
+   * High energy tightens the blend.
+   * @private
+   * @returns {{duration: number, curve: string, flow: number, energy: number}} Transition profile
+   */
+  _getTransitionProfile() {
+    const flow = this.interactionTracker.getFlowState();
+    const energy = this.interactionTracker.getEnergyLevel();
+    const range = this.MAX_CROSSFADE_SECONDS - this.MIN_CROSSFADE_SECONDS;
+    const duration = this.MIN_CROSSFADE_SECONDS + range * flow * (1 - energy * 0.5);
+    const curve = flow >= 0.5 ? 'equal-power' : 'linear';
+    return { duration, curve, flow, energy };
+  }
+
+  /**
+   * Schedule the transition out of the current track on the runtime clock
+   * @private
+   */
+  _scheduleTransition() {
+    this._cancelScheduledTransition();
+    if (!this.smartCrossfade || !this.getCurrentTrack() || !this.audioEngine.supportsTransitions()) {
+      return;
+    }
+
+    const remaining = this.getDuration() - this.getCurrentTime();
+    if (remaining <= 0) return;
+
+    const profile = this._getTransitionProfile();
+    profile.duration = Math.min(profile.duration, remaining);
+
+    // Runtime time runs at the clock's time scale, audio time does not
+    const delay = (remaining - profile.duration) * this.runtimeClock.timeScale;
+    this._transitionEventId = this.runtimeClock.scheduleEvent(
+      this.runtimeClock.getInternalTime() + delay,
+      () => {
+        this._transitionEventId = null;
+        this._beginTransition(profile);
+      }
+    );
+  }
+
+  /**
+   * Start a transition now instead of when it is scheduled (used by session replays)
+   * @private
+   * @param {Object} [profile] - Transition profile (defaults to the current one)
+   * @returns {Promise<void>}
+   */
+  _startTransition(profile = this._getTransitionProfile()) {
+    this._cancelScheduledTransition();
+    return this._beginTransition(profile);
+  }
+
+  /**
+   * Cancel a transition that has been scheduled but not started
+   * @private
+   */
+  _cancelScheduledTransition() {
+    if (this._transitionEventId) {
+      this.runtimeClock.cancelEvent(this._transitionEventId);
+      this._transitionEventId = null;
+    }
+  }
+
+  /**
+   * Cancel the scheduled transition and interrupt one in progress
+   * @private
+   */
+  _cancelTransition() {
+    this._cancelScheduledTransition();
+    if (this._transitionEndEventId) {
+      this.runtimeClock.cancelEvent(this._transitionEndEventId);
+      this._transitionEndEventId = null;
+    }
+    if (this._transition) {
+      const transition = this._transition;
+      this._transition = null;
+      this._emit('transitionend', { ...transition, interrupted: true });
+    }
+  }
+
+  /**
+   * Crossfade from the current track into the next one
+   * @private
+   * @param {Object} profile - Transition profile from _getTransitionProfile()
+   * @returns {Promise<void>}
+   */
+  async _beginTransition({ duration, curve, flow, energy }) {
+    // Repeating or stopping - let the track end normally
+    if (!this._advancesAfterCurrent()) return;
+
+    const fromTrack = this.getCurrentTrack();
+    const context = this.interactionTracker.getContext();
+    const toTrack = this.queueManager.next(context);
+
+    // Nothing to blend into - let the track end normally
+    if (!toTrack) return;
+
+    const transition = { from: fromTrack, to: toTrack, duration, curve, flow, energy };
+    this._transition = transition;
+    this._emit('transitionstart', transition);
+    this._finalizeTrack('ended');
+    this._emit('trackended', fromTrack);
+    this._beginTrack(toTrack);
+
+    this._transitionPending = true;
+    try {
+      await this.audioEngine.crossfadeTo(toTrack.url, { duration, curve });
+    } catch (error) {
+      this._transition = null;
+      this._setPlaybackState(PlaybackState.STOPPED, false);
+      this._emit('error', error);
+      this._emit('statechange', this.getState());
+      return;
+    } finally {
+      this._transitionPending = false;
+    }
+
+    // Superseded while the audio engine was preparing the crossfade
+    if (this._transition !== transition) return;
+
+    this._transitionEndEventId = this.runtimeClock.scheduleEvent(
+      this.runtimeClock.getInternalTime() + duration * this.runtimeClock.timeScale,
+      () => {
+        this._transitionEndEventId = null;
+        this._transition = null;
+        this._emit('transitionend', transition);
+      }
+    );
+    this._scheduleTransition();
+    this._prepareNextTrack();
+  }
+
+  /**
+   * Make a track current and start observing interactions for it
+   * @private
+   * @param {Track} track - Track that is starting
+   */
+  _beginTrack(track) {
+    this.stateManager.setState({ currentTrack: track });
+    this._trackStartTime = this.runtimeClock.getInternalTime();
+    this.interactionTracker.startTrack(track.duration);
+    this._trackOutcome = { track, pauses: 0, volumeChanges: 0 };
+    this._emit('trackchange', track);
+  }
+
+  /**
+   * Close out the current track and feed its outcome into the probability field
+   * @private
+   * @param {string} reason - Why the track is leaving ('ended', 'skipped', 'replaced', 'stopped')
+   */
+  _finalizeTrack(reason) {
+    const outcome = this._trackOutcome;
+    if (!outcome) return;
+    this._trackOutcome = null;
+
+    const duration = this.getDuration() || outcome.track.duration;
+    const listenTime = reason === 'ended' ? duration : this.getCurrentTime();
+    const listenPercentage = duration > 0 ? Math.min(listenTime / duration, 1) : 0;
+
+    if (reason === 'skipped') {
+      this.interactionTracker.recordSkip(listenPercentage, outcome.track.id);
     } else {
-      this._emit('statechange', this.state);
+      this.interactionTracker.completeTrack(listenTime);
+    }
+
+    const { hour, dayOfWeek } = this.interactionTracker.getContext();
+    const feedback = {
+      listenPercentage,
+      skipped: reason === 'skipped',
+      paused: outcome.pauses > 0,
+      pauses: outcome.pauses,
+      volumeChanges: outcome.volumeChanges,
+      hour,
+      dayOfWeek,
+      tags: outcome.track.features ? [...outcome.track.features.tags] : []
+    };
+    this.queueManager.updateTrackFeedback(outcome.track.id, feedback);
+    this._publishRuntimeState();
+    this._emit('trackfeedback', { track: outcome.track, reason, feedback });
+
+    if (reason === 'ended' && this.stopAfterTracks !== null) {
+      this._setStopAfterTracks(this.stopAfterTracks - 1);
     }
   }
 
+  /**
+   * Announce a listener command (used for session recording)
+   * Only direct calls are announced; playback the engine starts on its own is not.
+   * @private
+   * @param {string} name - Command name
+   * @param {Array} [args] - Command arguments (JSON-safe)
+   */
+  _emitCommand(name, args = []) {
+    this._emit('command', { name, args });
+  }
+
   /**
    * Emit event to registered listeners
    * @private
@@ -122,45 +504,52 @@ class PlayerEngine {
    * @param {Track} [track] - Track to play (optional, uses current from queue if not specified)
    * @returns {Promise<void>}
    */
-  async play(track = null) {
+  play(track = null) {
+    this._emitCommand('play', [track ? track.toJSON() : null]);
+    return this._play(track);
+  }
+
+  /**
+   * Play current or specified track
+   * @private
+   * @param {Track} [track] - Track to play
+   * @returns {Promise<void>}
+   */
+  async _play(track = null) {
     try {
       if (track) {
-        // Complete previous track if it was playing
-        if (this.currentTrack && this.state === PlaybackState.PLAYING) {
-          const listenTime = this.getCurrentTime();
-          this.interactionTracker.completeTrack(listenTime);
-        }
+        this._cancelTransition();
+
+        // Close out the track being replaced
+        this._finalizeTrack('replaced');
         
         // Play specific track
-        this.currentTrack = track;
-        this.state = PlaybackState.LOADING;
-        this._emit('statechange', this.state);
-        this._emit('trackchange', track);
-        
-        // Track runtime clock state
-        this._trackStartTime = this.runtimeClock.getInternalTime();
-        this.interactionTracker.startTrack(track.duration);
+        this._setPlaybackState(PlaybackState.LOADING);
+        this._beginTrack(track);
         this.runtimeClock.resume();
         
         await this.audioEngine.load(track.url);
         await this.audioEngine.play();
-      } else if (this.state === PlaybackState.PAUSED && this.currentTrack) {
+        this._scheduleTransition();
+        this._prepareNextTrack();
+      } else if (this.getState() === PlaybackState.PAUSED && this.getCurrentTrack()) {
         // Resume paused track
         this.runtimeClock.resume();
         await this.audioEngine.play();
+        this._scheduleTransition();
       } else {
         // Play current track from queue
         const queueTrack = this.queueManager.getCurrentTrack();
         if (queueTrack) {
-          return this.play(queueTrack);
+          return this._play(queueTrack);
         } else {
           throw new Error('No track to play');
         }
       }
     } catch (error) {
-      this.state = PlaybackState.STOPPED;
+      this._setPlaybackState(PlaybackState.STOPPED, false);
       this._emit('error', error);
-      this._emit('statechange', this.state);
+      this._emit('statechange', this.getState());
       throw error;
     }
   }
@@ -169,14 +558,19 @@ class PlayerEngine {
    * Pause playback
    */
   pause() {
-    if (this.state === PlaybackState.PLAYING) {
+    this._emitCommand('pause');
+    if (this.getState() === PlaybackState.PLAYING) {
       const currentTime = this.getCurrentTime();
       const duration = this.getDuration();
       const trackProgress = duration > 0 ? currentTime / duration : 0;
       
       // Record pause interaction
       this.interactionTracker.recordPause(trackProgress);
+      if (this._trackOutcome) {
+        this._trackOutcome.pauses++;
+      }
       this.runtimeClock.pause();
+      this._publishRuntimeState();
       
       this.audioEngine.pause();
     }
@@ -186,9 +580,19 @@ class PlayerEngine {
    * Stop playback
    */
   stop() {
+    this._emitCommand('stop');
+    this._stop();
+  }
+
+  /**
+   * Stop playback
+   * @private
+   */
+  _stop() {
+    this._cancelTransition();
+    this._finalizeTrack('stopped');
     this.audioEngine.stop();
-    this.state = PlaybackState.STOPPED;
-    this._emit('statechange', this.state);
+    this._setPlaybackState(PlaybackState.STOPPED);
   }
 
   /**
@@ -196,7 +600,11 @@ class PlayerEngine {
    * @param {number} time - Time in seconds
    */
   seek(time) {
+    this._emitCommand('seek', [time]);
     this.audioEngine.seek(time);
+    if (this._transitionEventId) {
+      this._scheduleTransition();
+    }
   }
 
   /**
@@ -204,14 +612,85 @@ class PlayerEngine {
    * @param {number} volume - Volume level (0.0 to 1.0)
    */
   setVolume(volume) {
+    this._emitCommand('setVolume', [volume]);
+
     // Record volume change interaction
     this.interactionTracker.recordVolumeChange(this._previousVolume, volume);
     this._previousVolume = volume;
+    if (this._trackOutcome) {
+      this._trackOutcome.volumeChanges++;
+    }
     
     this.audioEngine.setVolume(volume);
+    this.stateManager.batch(() => {
+      this.stateManager.setState({ volume });
+      this._publishRuntimeState();
+    });
     this._emit('volumechange', volume);
   }
 
+  /**
+   * Enable or disable flow-driven crossfades between tracks
+   * When disabled, engines that support transitions fall back to gapless playback
+   * @param {boolean} enabled - Enable smart crossfade
+   */
+  setSmartCrossfade(enabled) {
+    this._emitCommand('setSmartCrossfade', [enabled]);
+    this.smartCrossfade = enabled;
+    this.stateManager.setState({ smartCrossfade: enabled });
+    if (enabled) {
+      this.audioEngine.cancelNext();
+      this._scheduledTrack = null;
+      if (this.getState() === PlaybackState.PLAYING) {
+        this._scheduleTransition();
+      }
+    } else {
+      this._cancelScheduledTransition();
+      this._prepareNextTrack();
+    }
+  }
+
+  /**
+   * Stop when the current track ends
+   * @param {boolean} enabled - Stop after the current track
+   */
+  setStopAfterCurrent(enabled) {
+    this._emitCommand('setStopAfterCurrent', [enabled]);
+    this._setStopAfterTracks(enabled ? 1 : null);
+    this._refreshUpcomingTrack();
+  }
+
+  /**
+   * Stop once a number of tracks have played to the end (the current one included)
+   * Repeats count as tracks; skipped tracks do not.
+   * @param {number|null} count - Tracks to finish before stopping (null or 0 to keep playing)
+   */
+  setStopAfterTracks(count) {
+    this._emitCommand('setStopAfterTracks', [count]);
+    this._setStopAfterTracks(count > 0 ? Math.floor(count) : null);
+    this._refreshUpcomingTrack();
+  }
+
+  /**
+   * Get the number of tracks left to finish before playback stops
+   * @returns {number|null} Tracks left (1 = stop after the current track), or null if not stopping
+   */
+  getStopAfterTracks() {
+    return this.stopAfterTracks;
+  }
+
+  /**
+   * Update the stop-after countdown
+   * @private
+   * @param {number|null} count - Tracks left, or null
+   */
+  _setStopAfterTracks(count) {
+    if (count === this.stopAfterTracks) return;
+    this.stopAfterTracks = count;
+    this.stateManager.setState({ stopAfterTracks: count });
+    this._emit('stopafterchange', count);
+  }
+
   /**
    * Get current volume
    * @returns {number} Volume level (0.0 to 1.0)
@@ -225,12 +704,11 @@ class PlayerEngine {
    * @returns {Promise<void>}
    */
   async next() {
+    this._emitCommand('next');
+
     // Record skip if current track was playing
-    if (this.currentTrack && this.state === PlaybackState.PLAYING) {
-      const currentTime = this.getCurrentTime();
-      const duration = this.getDuration();
-      const trackProgress = duration > 0 ? currentTime / duration : 0;
-      this.interactionTracker.recordSkip(trackProgress, this.currentTrack.id);
+    if (this.getState() === PlaybackState.PLAYING || this.getState() === PlaybackState.PAUSED) {
+      this._finalizeTrack('skipped');
     }
     
     // Get listening context for probability-based selection
@@ -238,9 +716,9 @@ class PlayerEngine {
     const nextTrack = this.queueManager.next(context);
     
     if (nextTrack) {
-      await this.play(nextTrack);
+      await this._play(nextTrack);
     } else {
-      this.stop();
+      this._stop();
     }
   }
 
@@ -249,11 +727,130 @@ class PlayerEngine {
    * @returns {Promise<void>}
    */
   async previous() {
+    this._emitCommand('previous');
     const previousTrack = this.queueManager.previous();
     if (previousTrack) {
-      await this.play(previousTrack);
+      await this._play(previousTrack);
     } else {
-      this.stop();
+      this._stop();
+    }
+  }
+
+  /**
+   * Change the playback state
+   * @private
+   * @param {string} state - PlaybackState value
+   * @param {boolean} [notify=true] - Emit statechange (callers that decide later pass false)
+   */
+  _setPlaybackState(state, notify = true) {
+    this.stateManager.setState({ playbackState: state });
+    if (notify) {
+      this._emit('statechange', state);
+    }
+  }
+
+  /**
+   * Publish the listener's energy and flow
+   * @private
+   */
+  _publishRuntimeState() {
+    this.stateManager.setState({
+      energy: this.interactionTracker.getEnergyLevel(),
+      flow: this.interactionTracker.getFlowState()
+    });
+  }
+
+  /**
+   * Get the state manager holding the player's state
+   * Playback, queue and runtime state are published into it; use select() to
+   * watch a slice.
+   * @returns {StateManager} State manager
+   */
+  getStateManager() {
+    return this.stateManager;
+  }
+
+  /**
+   * Capture the full player state: playlist, queue, listener profiles, runtime
+   * time, settings and the playback position
+   * @returns {Object} Versioned, JSON-safe snapshot
+   */
+  snapshot() {
+    const playlist = this.queueManager.playlist;
+    const currentTrack = this.getCurrentTrack();
+
+    return {
+      version: this.SNAPSHOT_VERSION,
+      playbackState: this.getState(),
+      currentTrackId: currentTrack ? currentTrack.id : null,
+      position: currentTrack ? this.getCurrentTime() : 0,
+      volume: this.getVolume(),
+      smartCrossfade: this.smartCrossfade,
+      stopAfterTracks: this.stopAfterTracks,
+      playlist: {
+        id: playlist.id,
+        name: playlist.name,
+        tracks: playlist.tracks.map(track => track.toJSON())
+      },
+      queue: this.queueManager.serialize(),
+      ...this.serializeProfiles(),
+      runtimeClock: this.runtimeClock.serialize()
+    };
+  }
+
+  /**
+   * Restore a snapshot produced by snapshot()
+   * Replaces the playlist and queue, restores every profile (creating missing ones)
+   * and reloads the current track at its position, paused unless it was playing.
+   * Playback in progress is stopped first; restoring itself records no interactions.
+   * @param {Object} snapshot - Snapshot
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(snapshot) {
+    if (!snapshot || snapshot.version > this.SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported player snapshot version: ${snapshot && snapshot.version}`);
+    }
+    this._stop();
+    this.restoreProfiles(snapshot);
+
+    this.stateManager.batch(() => {
+      if (snapshot.playlist) {
+        this.queueManager.restorePlaylist(new Playlist({
+          id: snapshot.playlist.id,
+          name: snapshot.playlist.name,
+          tracks: snapshot.playlist.tracks.map(data => new Track(data))
+        }));
+      }
+      if (snapshot.queue) {
+        this.queueManager.restore(snapshot.queue);
+      }
+      if (snapshot.runtimeClock) {
+        this.runtimeClock.restore(snapshot.runtimeClock);
+      }
+      if (typeof snapshot.volume === 'number') {
+        this._previousVolume = snapshot.volume;
+        this.audioEngine.setVolume(snapshot.volume);
+        this.stateManager.setState({ volume: snapshot.volume });
+      }
+      if (typeof snapshot.smartCrossfade === 'boolean') {
+        this.smartCrossfade = snapshot.smartCrossfade;
+        this.stateManager.setState({ smartCrossfade: snapshot.smartCrossfade });
+      }
+      this._setStopAfterTracks(snapshot.stopAfterTracks === undefined ? null : snapshot.stopAfterTracks);
+      this.stateManager.setState({ currentTrack: null, currentTime: 0 });
+    });
+
+    const track = this.queueManager.getCurrentTrack();
+    const wasActive = snapshot.playbackState === PlaybackState.PLAYING || snapshot.playbackState === PlaybackState.PAUSED;
+    if (!track || track.id !== snapshot.currentTrackId || !wasActive) return;
+
+    await this._play(track);
+    if (snapshot.position > 0) {
+      this.audioEngine.seek(snapshot.position);
+    }
+    if (snapshot.playbackState === PlaybackState.PAUSED) {
+      this.runtimeClock.pause();
+      this.audioEngine.pause();
     }
   }
 
@@ -262,7 +859,7 @@ class PlayerEngine {
    * @returns {string} Current state
    */
   getState() {
-    return this.state;
+    return this.stateManager.get('playbackState');
   }
 
   /**
@@ -270,7 +867,7 @@ class PlayerEngine {
    * @returns {Track|null} Current track
    */
   getCurrentTrack() {
-    return this.currentTrack;
+    return this.stateManager.get('currentTrack');
   }
 
   /**
@@ -289,9 +886,230 @@ class PlayerEngine {
     return this.audioEngine.getDuration();
   }
 
+  /**
+   * Create a listener profile with a fresh interaction history and probability field
+   * @param {string} id - Profile ID
+   * @param {Object} [options] - Profile options
+   * @param {string} [options.name] - Display name
+   * @param {Object} [options.probability] - ProbabilityEngine options (decayHalfLife, explorationRate, ...)
+   * @returns {ListenerProfile} New profile
+   */
+  createProfile(id, { name = null, probability = {} } = {}) {
+    this._emitCommand('createProfile', [id, { name, probability }]);
+    return this._createProfile(id, { name, probability });
+  }
+
+  /**
+   * Create a listener profile without announcing a command
+   * @private
+   * @param {string} id - Profile ID
+   * @param {Object} options - Profile options (see createProfile())
+   * @returns {ListenerProfile} New profile
+   */
+  _createProfile(id, { name = null, probability = {} }) {
+    if (this.profiles.has(id)) {
+      throw new Error(`Listener profile already exists: ${id}`);
+    }
+    const profile = new ListenerProfile({
+      id,
+      name,
+      interactionTracker: new InteractionTracker({ clock: this.clock }),
+      probabilityEngine: new ProbabilityEngine({
+        ...probability,
+        random: this.queueManager.getRandomSource(),
+        clock: this.clock
+      })
+    });
+    this.profiles.set(id, profile);
+    return profile;
+  }
+
+  /**
+   * Delete a listener profile that is not in use
+   * @param {string} id - Profile ID
+   */
+  removeProfile(id) {
+    this._emitCommand('removeProfile', [id]);
+    if (this.activeProfileIds.includes(id)) {
+      throw new Error(`Cannot remove an active listener profile: ${id}`);
+    }
+    this.profiles.delete(id);
+  }
+
+  /**
+   * Get a listener profile
+   * @param {string} id - Profile ID
+   * @returns {ListenerProfile|null} Profile or null if unknown
+   */
+  getProfile(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  /**
+   * Get all listener profiles
+   * @returns {Array<ListenerProfile>} Profiles
+   */
+  getProfiles() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Get the active listener profile (the first one while blending)
+   * @returns {ListenerProfile} Profile
+   */
+  getActiveProfile() {
+    return this.profiles.get(this.activeProfileIds[0]);
+  }
+
+  /**
+   * Get every active listener profile
+   * @returns {Array<ListenerProfile>} One profile, or the blended ones
+   */
+  getActiveProfiles() {
+    return this.activeProfileIds.map(id => this.profiles.get(id));
+  }
+
+  /**
+   * Check if several profiles are blended
+   * @returns {boolean} True while blending
+   */
+  isBlending() {
+    return this.activeProfileIds.length > 1;
+  }
+
+  /**
+   * Listen and learn as one listener
+   * @param {string} id - Profile ID
+   */
+  switchProfile(id) {
+    this._emitCommand('switchProfile', [id]);
+    this._switchProfile(id);
+  }
+
+  /**
+   * Switch profiles without announcing a command
+   * @private
+   * @param {string} id - Profile ID
+   */
+  _switchProfile(id) {
+    const profile = this._requireProfile(id);
+    this._activateProfiles([id], profile.probabilityEngine);
+  }
+
+  /**
+   * Listen as a group: select from the merged probability fields of several profiles
+   * Interactions are tracked in the first profile; listening feedback teaches every one of them.
+   * @param {Array<string>} ids - Profile IDs (at least two)
+   * @param {Object} [options] - Blend options
+   * @param {Object} [options.weights] - Influence by profile ID (defaults to 1 each)
+   */
+  blendProfiles(ids, { weights = {} } = {}) {
+    this._emitCommand('blendProfiles', [ids, { weights }]);
+    this._blendProfiles(ids, weights);
+  }
+
+  /**
+   * Blend profiles without announcing a command
+   * @private
+   * @param {Array<string>} ids - Profile IDs (at least two)
+   * @param {Object} weights - Influence by profile ID
+   */
+  _blendProfiles(ids, weights) {
+    if (!Array.isArray(ids) || new Set(ids).size < 2) {
+      throw new Error('Blending needs at least two listener profiles');
+    }
+    const members = [...new Set(ids)].map(id => ({
+      name: id,
+      engine: this._requireProfile(id).probabilityEngine,
+      weight: typeof weights[id] === 'number' ? weights[id] : 1
+    }));
+    const blend = new BlendedProbabilityEngine({
+      members,
+      random: this.queueManager.getRandomSource(),
+      clock: this.clock
+    });
+    this._activateProfiles(members.map(member => member.name), blend);
+  }
+
+  /**
+   * Serialize every listener profile and which of them are active
+   * Each profile's own field is saved; a blend is saved as its profile IDs and weights.
+   * @returns {{profiles: Array<Object>, activeProfiles: Array<string>, blendWeights: Object|null}} JSON-safe state
+   */
+  serializeProfiles() {
+    const engine = this.queueManager.getProbabilityEngine();
+    return {
+      profiles: this.getProfiles().map(profile => profile.serialize()),
+      activeProfiles: [...this.activeProfileIds],
+      blendWeights: this.isBlending()
+        ? Object.fromEntries(engine.getMembers().map(({ name, weight }) => [name, weight]))
+        : null
+    };
+  }
+
+  /**
+   * Restore state produced by serializeProfiles()
+   * Missing profiles are created; the saved profile is switched to, or the saved blend rebuilt.
+   * @param {Object} data - Serialized profiles
+   */
+  restoreProfiles(data) {
+    (data.profiles || []).forEach(profileData => {
+      const profile = this.getProfile(profileData.id) || this._createProfile(profileData.id, { name: profileData.name });
+      profile.restore(profileData);
+    });
+    const activeProfiles = data.activeProfiles || ['default'];
+    if (activeProfiles.length > 1) {
+      this._blendProfiles(activeProfiles, data.blendWeights || {});
+    } else {
+      this._switchProfile(activeProfiles[0]);
+    }
+  }
+
+  /**
+   * Get a profile or throw
+   * @private
+   * @param {string} id - Profile ID
+   * @returns {ListenerProfile} Profile
+   */
+  _requireProfile(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      throw new Error(`Unknown listener profile: ${id}`);
+    }
+    return profile;
+  }
+
+  /**
+   * Point the interaction tracker and the queue at the given profiles
+   * @private
+   * @param {Array<string>} ids - Active profile IDs, the first one tracks interactions
+   * @param {ProbabilityEngine} engine - Probability field to select from
+   */
+  _activateProfiles(ids, engine) {
+    this.queueManager.getProbabilityEngine().off('selection', this._forwardSelection);
+    this.queueManager.setProbabilityEngine(engine);
+    engine.on('selection', this._forwardSelection);
+
+    this.activeProfileIds = ids;
+    const previousTracker = this.interactionTracker;
+    this.interactionTracker = this.profiles.get(ids[0]).interactionTracker;
+    this.stateManager.batch(() => {
+      this.stateManager.setState({ activeProfiles: [...ids], blending: this.isBlending() });
+      this._publishRuntimeState();
+    });
+    this._emit('profilechange', { profiles: this.getActiveProfiles(), blending: this.isBlending() });
+
+    if (this._trackOutcome && this.interactionTracker !== previousTracker) {
+      // Hand the running track over so its completion or skip is recorded by the new listener
+      // (after profilechange, so listeners that follow the tracker see the handover)
+      this.interactionTracker.startTrack(previousTracker.currentTrackDuration);
+    }
+  }
+
   /**
    * Register event listener
-   * @param {string} event - Event name (play, pause, stop, trackchange, trackended, timeupdate, volumechange, statechange, error)
+   * @param {string} event - Event name (play, pause, stop, trackchange, trackended, timeupdate, volumechange, statechange,
+   *   transitionstart, transitionend, trackfeedback, stopafterchange, selection, profilechange, command, error)
    * @param {Function} callback - Event callback
    */
   on(event, callback) {
@@ -320,6 +1138,14 @@ class PlayerEngine {
     return this.queueManager;
   }
 
+  /**
+   * Get the random source driving shuffle and probability selection
+   * @returns {RandomSource} Random source
+   */
+  getRandomSource() {
+    return this.queueManager.getRandomSource();
+  }
+
   /**
    * Get interaction tracker
    * @returns {InteractionTracker} Interaction tracker instance
@@ -343,8 +1169,8 @@ class PlayerEngine {
   getRuntimeState() {
     const context = this.interactionTracker.getContext();
     return {
-      playbackState: this.state,
-      currentTrack: this.currentTrack,
+      playbackState: this.getState(),
+      currentTrack: this.getCurrentTrack(),
       audioTime: this.getCurrentTime(),
       runtimeTime: this.runtimeClock.getInternalTime(),
       energy: context.energy,
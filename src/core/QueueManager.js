@@ -1,5 +1,9 @@
 import Playlist from '../models/Playlist.js';
+import Track from '../models/Track.js';
+import RepeatMode from '../models/RepeatMode.js';
 import ProbabilityEngine from '../runtime/ProbabilityEngine.js';
+import RandomSource from '../runtime/RandomSource.js';
+import EditHistory from './EditHistory.js';
 
 /**
  * Queue Manager - Orchestrates playlist state and probability-based selection
@@ -8,56 +12,496 @@ import ProbabilityEngine from '../runtime/ProbabilityEngine.js';
  * - User behavior patterns
  * - Listening context
  * - Energy and flow states
+ *
+ * Tracks the listener queues explicitly ("Up Next") are played before anything
+ * the playlist, shuffle or probability field would pick.
+ *
+ * Every track reached through the queue is kept in a history, so previous()
+ * walks back through what actually played and next() replays it forward again.
+ *
+ * Playlist edits made through the queue (setPlaylist, adding, removing, moving,
+ * sorting, deduplicating, clear) are commands in an EditHistory and can be undone
+ * and redone.
+ *
+ * Direct calls that change the queue (edits, undo/redo, jumps, modes and Up Next)
+ * are announced as 'command' events so sessions can be recorded and replayed.
  */
 class QueueManager {
   /**
    * @param {Playlist} playlist - Initial playlist
+   * @param {Object} [options] - Queue options
+   * @param {RandomSource} [options.random] - Random source shared by shuffle and probability selection
+   * @param {Clock} [options.clock] - Time source for the probability engine's weight decay
+   * @param {Object} [options.probability] - Further ProbabilityEngine options (decayHalfLife,
+   *   explorationRate, temperature, discoveryBoost, ...)
+   * @param {number} [options.maxEditHistory=100] - Edits kept for undo
    */
-  constructor(playlist = null) {
+  constructor(playlist = null, { random = null, clock = null, probability = {}, maxEditHistory = 100 } = {}) {
     this.playlist = playlist || new Playlist({ id: 'default', name: 'Default Queue' });
     this.currentIndex = -1;
-    this.repeat = false;
+    this.repeatMode = RepeatMode.OFF;
+    this.repeat = false; // Wrap around at the end of the queue (repeat all or one)
     this.shuffle = false;
-    this.shuffledIndices = [];
+    this.smartShuffle = false; // Keep the same artist from playing back to back
+    this.shuffledIndices = []; // Playlist indices in shuffled play order
+    this.eventListeners = {};
+
+    // Up Next - listener-queued tracks, layered on top of the playlist
+    this.upNext = [];
+    this.upNextTrack = null; // Up Next track being played (the playlist position is kept)
+
+    // Playback history - { track, position, upNext } entries, oldest first
+    this.history = [];
+    this.historyPosition = -1; // Entry of the current track
+    this.MAX_HISTORY = 200;
+
+    // Undoable playlist edits
+    this.editHistory = new EditHistory({ maxDepth: maxEditHistory });
+    this.editHistory.on('change', (change) => this._emit('editchange', change));
     
     // Runtime components
-    this.probabilityEngine = new ProbabilityEngine();
+    this.random = random || new RandomSource();
+    this.probabilityEngine = new ProbabilityEngine({ ...probability, random: this.random, clock });
     this.probabilityMode = false; // Can be toggled
+    this.stateManager = null; // Receives the queue's state once connected
+
+    // Version of the format produced by serialize()
+    this.SERIALIZATION_VERSION = 1;
   }
 
   /**
-   * Set the playlist
+   * Set the playlist (undoable)
    * @param {Playlist} playlist - Playlist to set
    */
   setPlaylist(playlist) {
+    this._emitCommand('setPlaylist', [{
+      id: playlist.id,
+      name: playlist.name,
+      tracks: playlist.tracks.map(track => track.toJSON())
+    }]);
+    const before = this._captureEditState();
+    let after = null;
+    this.editHistory.execute({
+      name: 'setPlaylist',
+      execute: () => {
+        this._setPlaylist(playlist);
+        after = this._captureEditState();
+      },
+      undo: () => this._restoreEditState(before),
+      redo: () => this._restoreEditState(after)
+    });
+  }
+
+  /**
+   * Replace the playlist while restoring saved state
+   * Unlike setPlaylist(), this is not announced as a command and cannot be undone:
+   * the edit history is cleared.
+   * @param {Playlist} playlist - Playlist to set
+   */
+  restorePlaylist(playlist) {
+    this._setPlaylist(playlist);
+    this.editHistory.clear();
+  }
+
+  /**
+   * Replace the playlist and start from its beginning
+   * @private
+   * @param {Playlist} playlist - Playlist to set
+   */
+  _setPlaylist(playlist) {
     this.playlist = playlist;
     this.currentIndex = -1;
+    this.clearHistory();
     this._updateShuffledIndices();
     
     // Initialize probability engine with new tracks
     this.probabilityEngine.initializeTracks(playlist.tracks);
+    this._publishState();
   }
 
   /**
-   * Add track to queue
+   * Add track to queue (undoable)
+   * When shuffling, the track gets a random position among the tracks still to come.
    * @param {Track} track - Track to add
+   * @param {number} [index] - Playlist index to insert at (defaults to the end)
    */
-  addTrack(track) {
-    this.playlist.addTrack(track);
-    this._updateShuffledIndices();
+  addTrack(track, index = this.playlist.getTrackCount()) {
+    this.insertAt(index, track);
+  }
+
+  /**
+   * Add tracks to the end of the queue (undoable, as one edit)
+   * @param {Array<Track>} tracks - Tracks, in order
+   */
+  addTracks(tracks) {
+    this.insertAt(this.playlist.getTrackCount(), tracks);
   }
 
   /**
-   * Remove track from queue
-   * @param {string} trackId - Track ID to remove
+   * Insert tracks at a playlist index (undoable, as one edit)
+   * The current track stays current. When shuffling, each track gets a random
+   * position among the tracks still to come.
+   * @param {number} index - Playlist index (clamped to the playlist)
+   * @param {Track|Array<Track>} tracks - Track or tracks, in order
+   */
+  insertAt(index, tracks) {
+    const added = Array.isArray(tracks) ? tracks : [tracks];
+    if (added.length === 0) return;
+    this._emitCommand('insertAt', [index, added.map(track => track.toJSON())]);
+    const at = Math.max(0, Math.min(index, this.playlist.getTrackCount()));
+    let shufflePositions = []; // Drawn once, so redo puts the tracks back in the same places
+
+    this.editHistory.execute({
+      name: 'add',
+      execute: () => {
+        shufflePositions = added.map((track, i) =>
+          this._insertTrack(track, at + i, i < shufflePositions.length ? shufflePositions[i] : null)
+        );
+      },
+      undo: () => {
+        for (let i = added.length - 1; i >= 0; i--) {
+          this._removeTrackAt(at + i);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remove track from queue (undoable)
+   * The shuffle order of the remaining tracks is kept.
+   * @param {string} trackId - Track ID to remove (its first copy if it appears twice)
    * @returns {boolean} True if removed
    */
   removeTrack(trackId) {
-    const removed = this.playlist.removeTrack(trackId);
-    if (removed) {
-      this._updateShuffledIndices();
+    this._emitCommand('removeTrack', [trackId]);
+    const index = this.playlist.tracks.findIndex(track => track.id === trackId);
+    if (index === -1) {
+      return false;
+    }
+    this._removeTracksAt('remove', [index]);
+    return true;
+  }
+
+  /**
+   * Remove the track at a playlist index (undoable)
+   * Unlike removeTrack(), this picks the right copy of a track that appears twice.
+   * @param {number} index - Playlist index
+   * @returns {boolean} True if removed
+   */
+  removeAt(index) {
+    this._emitCommand('removeAt', [index]);
+    if (!Number.isInteger(index) || index < 0 || index >= this.playlist.getTrackCount()) {
+      return false;
     }
-    return removed;
+    this._removeTracksAt('remove', [index]);
+    return true;
+  }
+
+  /**
+   * Remove every track matching a predicate (undoable, as one edit)
+   * @param {Function} predicate - Called with (track, index); true removes the track
+   * @returns {Array<Track>} Removed tracks, in playlist order
+   */
+  removeWhere(predicate) {
+    const indices = [];
+    this.playlist.tracks.forEach((track, index) => {
+      if (predicate(track, index)) indices.push(index);
+    });
+    // Predicates are not JSON-safe, so the command carries the indices they matched
+    this._emitCommand('removeWhere', [indices]);
+    return this._removeTracksAt('remove', indices);
+  }
+
+  /**
+   * Remove tracks that repeat an earlier track (undoable)
+   * The first copy is kept, unless another copy is the current track.
+   * @param {string} [by='id'] - 'id', or 'artistTitle' to match artist and title (case-insensitive)
+   * @returns {Array<Track>} Removed tracks, in playlist order
+   */
+  dedupe(by = 'id') {
+    this._emitCommand('dedupe', [by]);
+    const keep = this.upNextTrack ? -1 : this._getCurrentPlaylistIndex();
+    return this._removeTracksAt('dedupe', this.playlist.getDuplicateIndices(by, { keep }));
+  }
+
+  /**
+   * Move a track within the playlist (undoable)
+   * The current track stays current, and the shuffle order is kept.
+   * @param {number} fromIndex - Current playlist index
+   * @param {number} toIndex - New playlist index
+   * @returns {boolean} True if moved
+   */
+  moveTrack(fromIndex, toIndex) {
+    this._emitCommand('moveTrack', [fromIndex, toIndex]);
+    const count = this.playlist.getTrackCount();
+    if (fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) {
+      return false;
+    }
+    if (fromIndex === toIndex) {
+      return true;
+    }
+    this.editHistory.execute({
+      name: 'move',
+      execute: () => this._moveTrack(fromIndex, toIndex),
+      undo: () => this._moveTrack(toIndex, fromIndex)
+    });
+    return true;
+  }
+
+  /**
+   * Sort the playlist (undoable)
+   * The current track stays current; when shuffling, only the playlist order
+   * changes, not the play order.
+   * @param {string} [key='title'] - 'title', 'artist', 'album' or 'duration'
+   * @param {Object} [options] - Sort options
+   * @param {boolean} [options.descending=false] - Sort from high to low
+   * @returns {boolean} True if the order changed
+   */
+  sort(key = 'title', options = {}) {
+    this._emitCommand('sort', [key, options]);
+    const order = this.playlist.getSortOrder(key, options);
+    if (order.every((from, to) => from === to)) {
+      return false;
+    }
+    const inverse = [];
+    order.forEach((from, to) => {
+      inverse[from] = to;
+    });
+
+    this.editHistory.execute({
+      name: 'sort',
+      execute: () => this._reorderTracks(order),
+      undo: () => this._reorderTracks(inverse)
+    });
+    return true;
+  }
+
+  /**
+   * Insert a track into the playlist and the play order
+   * @private
+   * @param {Track} track - Track to insert
+   * @param {number} index - Playlist index
+   * @param {number|null} [shufflePosition=null] - Position in the shuffle order (random future position if null)
+   * @returns {number|null} Shuffle position used, or null when not shuffling
+   */
+  _insertTrack(track, index, shufflePosition = null) {
+    this.playlist.insertAt(index, track);
+    let position = null;
+
+    if (this.shuffle) {
+      this.shuffledIndices = this.shuffledIndices.map(i => (i >= index ? i + 1 : i));
+      if (shufflePosition === null) {
+        position = this._insertShuffled(index);
+      } else {
+        position = Math.min(shufflePosition, this.shuffledIndices.length);
+        this.shuffledIndices.splice(position, 0, index);
+        if (position <= this.currentIndex) {
+          this.currentIndex++;
+        }
+      }
+    } else if (index <= this.currentIndex) {
+      this.currentIndex++;
+    }
+    this._publishState();
+    return position;
+  }
+
+  /**
+   * Remove tracks by playlist index as one edit
+   * @private
+   * @param {string} name - Edit name
+   * @param {Array<number>} indices - Playlist indices, ascending
+   * @returns {Array<Track>} Removed tracks, in playlist order
+   */
+  _removeTracksAt(name, indices) {
+    if (indices.length === 0) {
+      return [];
+    }
+    const tracks = indices.map(index => this.playlist.tracks[index]);
+    let removed = [];
+
+    this.editHistory.execute({
+      name,
+      execute: () => {
+        // From the back, so the indices still to remove stay valid
+        removed = [...indices].reverse().map(index => this._removeTrackAt(index));
+      },
+      undo: () => {
+        [...removed].reverse().forEach(entry => this._restoreRemovedTrack(entry));
+      }
+    });
+    return tracks;
+  }
+
+  /**
+   * Remove a track from the playlist and the play order
+   * @private
+   * @param {number} index - Playlist index
+   * @returns {{track: Track, index: number, position: number, current: boolean, shuffle: boolean}}
+   *   Where the track was
+   */
+  _removeTrackAt(index) {
+    const position = this.shuffle ? this.shuffledIndices.indexOf(index) : index;
+    const current = position === this.currentIndex;
+    const track = this.playlist.removeAt(index);
+
+    if (this.shuffle) {
+      this.shuffledIndices.splice(position, 1);
+      this.shuffledIndices = this.shuffledIndices.map(i => (i > index ? i - 1 : i));
+    }
+    // Removing the current track leaves next() on the track that followed it
+    if (position <= this.currentIndex) {
+      this.currentIndex--;
+    }
+    this._publishState();
+    return { track, index, position, current, shuffle: this.shuffle };
+  }
+
+  /**
+   * Put a removed track back where _removeTrackAt() took it from
+   * @private
+   * @param {Object} removed - What _removeTrackAt() returned
+   */
+  _restoreRemovedTrack({ track, index, position, current, shuffle }) {
+    // Shuffle positions only mean something while the shuffle mode is unchanged
+    const sameOrder = shuffle === this.shuffle;
+    this._insertTrack(track, index, sameOrder ? position : null);
+    // Make the track current again if playback has not moved on since
+    if (sameOrder && current && this.currentIndex === position - 1) {
+      this.currentIndex = position;
+    }
+  }
+
+  /**
+   * Move a track within the playlist, keeping the play order
+   * @private
+   * @param {number} fromIndex - Current playlist index
+   * @param {number} toIndex - New playlist index
+   */
+  _moveTrack(fromIndex, toIndex) {
+    const moved = (i) => {
+      if (i === fromIndex) return toIndex;
+      if (fromIndex < toIndex && i > fromIndex && i <= toIndex) return i - 1;
+      if (fromIndex > toIndex && i >= toIndex && i < fromIndex) return i + 1;
+      return i;
+    };
+
+    this.playlist.move(fromIndex, toIndex);
+    if (this.shuffle) {
+      this.shuffledIndices = this.shuffledIndices.map(moved);
+    } else if (this.currentIndex !== -1) {
+      this.currentIndex = moved(this.currentIndex);
+    }
+    this._publishState();
+  }
+
+  /**
+   * Put the playlist in a new order, keeping the play order
+   * @private
+   * @param {Array<number>} order - Every current playlist index once, in the new order
+   */
+  _reorderTracks(order) {
+    const newIndexOf = [];
+    order.forEach((from, to) => {
+      newIndexOf[from] = to;
+    });
+
+    this.playlist.reorder(order);
+    if (this.shuffle) {
+      this.shuffledIndices = this.shuffledIndices.map(i => newIndexOf[i]);
+    } else if (this.currentIndex !== -1) {
+      this.currentIndex = newIndexOf[this.currentIndex];
+    }
+    this._publishState();
+  }
+
+  /**
+   * Capture everything clear() and setPlaylist() replace, so they can be undone
+   * @private
+   * @returns {Object} Queue state
+   */
+  _captureEditState() {
+    return {
+      playlist: this.playlist,
+      tracks: [...this.playlist.tracks],
+      currentIndex: this.currentIndex,
+      shuffle: this.shuffle,
+      shuffledIndices: [...this.shuffledIndices],
+      upNext: [...this.upNext],
+      upNextTrack: this.upNextTrack,
+      history: [...this.history],
+      historyPosition: this.historyPosition
+    };
+  }
+
+  /**
+   * Bring back a queue state captured by _captureEditState()
+   * If shuffle was toggled since, the current track is kept and the rest reshuffled.
+   * @private
+   * @param {Object} state - Queue state
+   */
+  _restoreEditState(state) {
+    this.playlist = state.playlist;
+    this.playlist.tracks = [...state.tracks];
+    this.upNext = [...state.upNext];
+    this.upNextTrack = state.upNextTrack;
+    this.history = [...state.history];
+    this.historyPosition = state.historyPosition;
+
+    if (state.shuffle === this.shuffle) {
+      this.currentIndex = state.currentIndex;
+      this.shuffledIndices = [...state.shuffledIndices];
+    } else {
+      const currentTrackIndex = state.currentIndex === -1 ? -1 :
+        (state.shuffle ? state.shuffledIndices[state.currentIndex] : state.currentIndex);
+      this._updateShuffledIndices(currentTrackIndex);
+      this.currentIndex = this.shuffle && currentTrackIndex !== -1 ? 0 : currentTrackIndex;
+    }
+
+    this.probabilityEngine.initializeTracks(this.playlist.tracks);
+    this._emitUpNextChange('restore');
+  }
+
+  /**
+   * Undo the latest playlist edit
+   * @returns {boolean} True if an edit was undone
+   */
+  undo() {
+    this._emitCommand('undo');
+    return this.editHistory.undo();
+  }
+
+  /**
+   * Redo the latest undone playlist edit
+   * @returns {boolean} True if an edit was redone
+   */
+  redo() {
+    this._emitCommand('redo');
+    return this.editHistory.redo();
+  }
+
+  /**
+   * Check if there is an edit to undo
+   * @returns {boolean} True if undo() would do something
+   */
+  canUndo() {
+    return this.editHistory.canUndo();
+  }
+
+  /**
+   * Check if there is an edit to redo
+   * @returns {boolean} True if redo() would do something
+   */
+  canRedo() {
+    return this.editHistory.canRedo();
+  }
+
+  /**
+   * Get the history of playlist edits
+   * @returns {EditHistory} Edit history
+   */
+  getEditHistory() {
+    return this.editHistory;
   }
 
   /**
@@ -65,6 +509,9 @@ class QueueManager {
    * @returns {Track|null} Current track or null
    */
   getCurrentTrack() {
+    if (this.upNextTrack) {
+      return this.upNextTrack;
+    }
     if (this.currentIndex === -1 || this.playlist.getTrackCount() === 0) {
       return null;
     }
@@ -78,17 +525,38 @@ class QueueManager {
    * @returns {Track|null} Next track or null
    */
   next(context = null) {
+    // Listener-queued tracks take precedence over every selection mode
+    if (this.upNext.length > 0) {
+      this.upNextTrack = this.upNext.shift();
+      this._recordHistory(this.upNextTrack, true);
+      this.probabilityEngine.recordPlay(this.upNextTrack);
+      this._emitUpNextChange('played');
+      return this.upNextTrack;
+    }
+
+    // After going back, replay what already played before picking anything new
+    const historyTrack = this._stepHistory(1);
+    if (historyTrack) {
+      return historyTrack;
+    }
+    const currentTrack = this.getCurrentTrack();
+    this.upNextTrack = null;
+
     if (this.playlist.getTrackCount() === 0) {
       return null;
     }
 
     // Probability-based selection if enabled and context provided
     if (this.probabilityMode && context) {
-      const nextTrack = this.probabilityEngine.selectNextTrack(this.playlist.tracks, context);
+      const nextTrack = this.probabilityEngine.selectNextTrack(this.playlist.tracks, {
+        ...context,
+        currentTrackId: currentTrack ? currentTrack.id : null
+      });
       if (nextTrack) {
-        const newIndex = this.playlist.tracks.findIndex(t => t.id === nextTrack.id);
+        const newIndex = this._positionOf(nextTrack.id);
         if (newIndex !== -1) {
           this.currentIndex = newIndex;
+          this._recordHistory(nextTrack);
           return nextTrack;
         }
       }
@@ -103,15 +571,64 @@ class QueueManager {
       return null;
     }
 
-    return this.getCurrentTrack();
+    const track = this.getCurrentTrack();
+    this._recordHistory(track);
+    this.probabilityEngine.recordPlay(track);
+    return track;
+  }
+
+  /**
+   * Get the track next() would move to, without moving
+   * Returns null in probability mode (unless a track is queued in Up Next), where the
+   * next track is only chosen when needed
+   * @returns {Track|null} Upcoming track or null
+   */
+  peekNext() {
+    if (this.upNext.length > 0) {
+      return this.upNext[0];
+    }
+    const forward = this.history
+      .slice(this.historyPosition + 1)
+      .find(entry => this._canRestoreHistoryEntry(entry));
+    if (forward) {
+      return forward.track;
+    }
+    if (this.playlist.getTrackCount() === 0 || this.probabilityMode) {
+      return null;
+    }
+
+    let index;
+    if (this.currentIndex < this.playlist.getTrackCount() - 1) {
+      index = this.currentIndex + 1;
+    } else if (this.repeat) {
+      index = 0;
+    } else {
+      return null;
+    }
+
+    const actualIndex = this.shuffle ? this.shuffledIndices[index] : index;
+    return this.playlist.getTrackByIndex(actualIndex);
   }
 
   /**
    * Move to previous track
+   * Walks back through the playback history; before its start, steps back through
+   * the playlist (except in probability mode, where the neighbouring track means nothing)
    * @returns {Track|null} Previous track or null
    */
   previous() {
-    if (this.playlist.getTrackCount() === 0) {
+    const historyTrack = this._stepHistory(-1);
+    if (historyTrack) {
+      return historyTrack;
+    }
+
+    // Leaving an Up Next track returns to the playlist position it interrupted
+    if (this.upNextTrack) {
+      this.upNextTrack = null;
+      return this.getCurrentTrack();
+    }
+
+    if (this.playlist.getTrackCount() === 0 || this.probabilityMode) {
       return null;
     }
 
@@ -123,18 +640,32 @@ class QueueManager {
       return null;
     }
 
-    return this.getCurrentTrack();
+    // Extend the history backwards so next() returns the way it came
+    const track = this.getCurrentTrack();
+    this.history.unshift({ track, position: this.currentIndex, upNext: false });
+    this.historyPosition = Math.max(this.historyPosition, 0);
+    if (this.history.length > this.MAX_HISTORY) {
+      this.history.pop();
+    }
+    return track;
   }
 
   /**
    * Jump to specific track by index
-   * @param {number} index - Track index
+   * When shuffling, the track is moved to follow the current one in the shuffle order,
+   * so the tracks still to come stay to come.
+   * @param {number} index - Track index in the playlist
    * @returns {Track|null} Track at index or null
    */
   jumpToTrack(index) {
+    this._emitCommand('jumpToTrack', [index]);
     if (index >= 0 && index < this.playlist.getTrackCount()) {
-      this.currentIndex = index;
-      return this.getCurrentTrack();
+      this.upNextTrack = null;
+      this.currentIndex = this.shuffle ? this._moveToNextShufflePosition(index) : index;
+      const track = this.getCurrentTrack();
+      this._recordHistory(track);
+      this.probabilityEngine.recordPlay(track);
+      return track;
     }
     return null;
   }
@@ -157,7 +688,9 @@ class QueueManager {
    * @returns {boolean} True if next track exists
    */
   hasNext() {
-    return this.currentIndex < this.playlist.getTrackCount() - 1 || this.repeat;
+    return this.upNext.length > 0 ||
+      this.historyPosition < this.history.length - 1 ||
+      this.currentIndex < this.playlist.getTrackCount() - 1 || this.repeat;
   }
 
   /**
@@ -165,47 +698,216 @@ class QueueManager {
    * @returns {boolean} True if previous track exists
    */
   hasPrevious() {
-    return this.currentIndex > 0 || this.repeat;
+    return this.historyPosition > 0 ||
+      this.upNextTrack !== null ||
+      (!this.probabilityMode && (this.currentIndex > 0 || this.repeat));
   }
 
   /**
    * Set repeat mode
-   * @param {boolean} enabled - Enable repeat
+   * With RepeatMode.ONE the player replays a track when it ends; moving on
+   * explicitly wraps around as with RepeatMode.ALL.
+   * @param {string} mode - RepeatMode value
+   */
+  setRepeatMode(mode) {
+    this._emitCommand('setRepeatMode', [mode]);
+    if (!Object.values(RepeatMode).includes(mode)) {
+      throw new Error(`Unknown repeat mode: ${mode}`);
+    }
+    this.repeatMode = mode;
+    this.repeat = mode !== RepeatMode.OFF;
+    this._publishState();
+    this._emit('repeatmodechange', mode);
+  }
+
+  /**
+   * Get repeat mode
+   * @returns {string} RepeatMode value
+   */
+  getRepeatMode() {
+    return this.repeatMode;
+  }
+
+  /**
+   * Enable or disable repeating the whole queue
+   * @param {boolean} enabled - Enable repeat (RepeatMode.ALL)
    */
   setRepeat(enabled) {
-    this.repeat = enabled;
+    this.setRepeatMode(enabled ? RepeatMode.ALL : RepeatMode.OFF);
   }
 
   /**
    * Set shuffle mode
+   * Turning shuffle on keeps the current track current, as the first entry of the
+   * shuffle order; turning it off continues the playlist from the current track.
    * @param {boolean} enabled - Enable shuffle
    */
   setShuffle(enabled) {
+    this._emitCommand('setShuffle', [enabled]);
+    if (enabled === this.shuffle) return;
+
+    const currentTrackIndex = this._getCurrentPlaylistIndex();
     this.shuffle = enabled;
+    this._updateShuffledIndices(currentTrackIndex);
     if (enabled) {
-      this._updateShuffledIndices();
+      this.currentIndex = currentTrackIndex === -1 ? -1 : 0;
+    } else {
+      this.currentIndex = currentTrackIndex;
     }
+    this._publishState();
+  }
+
+  /**
+   * Enable or disable smart shuffle
+   * Smart shuffle spreads artists out so the same artist does not play twice in a
+   * row where it can be avoided. Only tracks still to come are reordered.
+   * @param {boolean} enabled - Enable smart shuffle
+   */
+  setSmartShuffle(enabled) {
+    this._emitCommand('setSmartShuffle', [enabled]);
+    this.smartShuffle = enabled;
+    if (enabled && this.shuffle) {
+      this._spreadArtists(this.shuffledIndices, this.currentIndex + 1);
+    }
+    this._publishState();
   }
 
   /**
    * Update shuffled indices
    * @private
+   * @param {number} [firstIndex=-1] - Playlist index to put first (-1 for none)
    */
-  _updateShuffledIndices() {
+  _updateShuffledIndices(firstIndex = -1) {
     if (!this.shuffle) {
       this.shuffledIndices = [];
       return;
     }
 
     const count = this.playlist.getTrackCount();
-    this.shuffledIndices = Array.from({ length: count }, (_, i) => i);
+    const rest = Array.from({ length: count }, (_, i) => i).filter(i => i !== firstIndex);
     
     // Fisher-Yates shuffle
-    for (let i = count - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.shuffledIndices[i], this.shuffledIndices[j]] = 
-        [this.shuffledIndices[j], this.shuffledIndices[i]];
+    for (let i = rest.length - 1; i > 0; i--) {
+      const j = this.random.nextInt(i + 1);
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+
+    this.shuffledIndices = firstIndex === -1 ? rest : [firstIndex, ...rest];
+    if (this.smartShuffle) {
+      this._spreadArtists(this.shuffledIndices, firstIndex === -1 ? 0 : 1);
+    }
+  }
+
+  /**
+   * Insert a newly added track at a random position still to come in the shuffle order
+   * @private
+   * @param {number} index - Playlist index of the added track
+   * @returns {number} Shuffle position chosen
+   */
+  _insertShuffled(index) {
+    const order = this.shuffledIndices;
+    const first = this.currentIndex + 1;
+    let positions = Array.from({ length: order.length - first + 1 }, (_, i) => first + i);
+
+    if (this.smartShuffle) {
+      const spread = positions.filter(position =>
+        !this._sameArtist(index, order[position - 1]) && !this._sameArtist(index, order[position])
+      );
+      if (spread.length > 0) {
+        positions = spread;
+      }
+    }
+
+    const position = positions[this.random.nextInt(positions.length)];
+    order.splice(position, 0, index);
+    return position;
+  }
+
+  /**
+   * Move a track to play right after the current one in the shuffle order
+   * @private
+   * @param {number} index - Playlist index
+   * @returns {number} New shuffle position of the track
+   */
+  _moveToNextShufflePosition(index) {
+    const from = this.shuffledIndices.indexOf(index);
+    if (from === this.currentIndex) {
+      return from;
+    }
+    this.shuffledIndices.splice(from, 1);
+    if (from < this.currentIndex) {
+      this.currentIndex--;
     }
+    const to = this.currentIndex + 1;
+    this.shuffledIndices.splice(to, 0, index);
+    return to;
+  }
+
+  /**
+   * Reorder so the same artist does not play twice in a row where it can be avoided
+   * @private
+   * @param {Array<number>} order - Playlist indices in play order (reordered in place)
+   * @param {number} start - First position that may move
+   */
+  _spreadArtists(order, start) {
+    const rest = order.splice(start);
+    let previous = start > 0 ? order[start - 1] : -1;
+
+    while (rest.length > 0) {
+      // An artist with half the remaining tracks or more must be placed now
+      const counts = new Map();
+      rest.forEach(index => {
+        const artist = this._artistKey(index);
+        if (artist !== null) counts.set(artist, (counts.get(artist) || 0) + 1);
+      });
+      let crowded = null;
+      counts.forEach((count, artist) => {
+        if (count * 2 > rest.length && artist !== this._artistKey(previous)) crowded = artist;
+      });
+
+      let pick = crowded !== null
+        ? rest.findIndex(index => this._artistKey(index) === crowded)
+        : rest.findIndex(index => !this._sameArtist(index, previous));
+      if (pick === -1) pick = 0; // Only this artist is left
+
+      previous = rest.splice(pick, 1)[0];
+      order.push(previous);
+    }
+  }
+
+  /**
+   * Check if two playlist tracks are by the same (known) artist
+   * @private
+   * @param {number} a - Playlist index
+   * @param {number} b - Playlist index
+   * @returns {boolean} True if both tracks name the same artist
+   */
+  _sameArtist(a, b) {
+    const artist = this._artistKey(a);
+    return artist !== null && artist === this._artistKey(b);
+  }
+
+  /**
+   * Get the artist of a playlist track, normalized for comparison
+   * @private
+   * @param {number} index - Playlist index
+   * @returns {string|null} Lowercased artist, or null if unknown
+   */
+  _artistKey(index) {
+    const track = this.playlist.getTrackByIndex(index);
+    return track && track.artist ? track.artist.toLowerCase() : null;
+  }
+
+  /**
+   * Get the playlist index of the current queue position
+   * @private
+   * @returns {number} Playlist index, or -1 if nothing is current
+   */
+  _getCurrentPlaylistIndex() {
+    if (this.currentIndex === -1) {
+      return -1;
+    }
+    return this.shuffle ? this.shuffledIndices[this.currentIndex] : this.currentIndex;
   }
 
   /**
@@ -225,12 +927,262 @@ class QueueManager {
   }
 
   /**
-   * Clear queue
+   * Clear queue (undoable)
+   * Also empties Up Next and the playback history; undo brings all of them back.
    */
   clear() {
+    this._emitCommand('clear');
+    const before = this._captureEditState();
+    let after = null;
+    this.editHistory.execute({
+      name: 'clear',
+      execute: () => {
+        this._clear();
+        after = this._captureEditState();
+      },
+      undo: () => this._restoreEditState(before),
+      redo: () => this._restoreEditState(after)
+    });
+  }
+
+  /**
+   * Empty the playlist, Up Next and the playback history
+   * @private
+   */
+  _clear() {
     this.playlist.clear();
     this.currentIndex = -1;
     this.shuffledIndices = [];
+    this.upNextTrack = null;
+    this.clearHistory();
+    this._clearUpNext();
+    this._publishState();
+  }
+
+  /**
+   * Get the tracks played through the queue
+   * @returns {Array<Track>} Played tracks, oldest first
+   */
+  getHistory() {
+    return this.history.map(entry => entry.track);
+  }
+
+  /**
+   * Get the position of the current track in the history
+   * Lower than the last index after going back with previous()
+   * @returns {number} History index, or -1 if the history is empty
+   */
+  getHistoryPosition() {
+    return this.historyPosition;
+  }
+
+  /**
+   * Forget the playback history
+   */
+  clearHistory() {
+    this.history = [];
+    this.historyPosition = -1;
+  }
+
+  /**
+   * Add a newly played track to the history, after the current entry
+   * Entries ahead of the current one (after going back) are kept.
+   * @private
+   * @param {Track} track - Played track
+   * @param {boolean} [upNext=false] - Whether the track came from Up Next
+   */
+  _recordHistory(track, upNext = false) {
+    this.historyPosition++;
+    this.history.splice(this.historyPosition, 0, { track, position: this.currentIndex, upNext });
+    if (this.history.length > this.MAX_HISTORY) {
+      this.history.shift();
+      this.historyPosition--;
+    }
+  }
+
+  /**
+   * Move through the history and make the entry reached current
+   * Entries whose tracks have left the playlist are dropped on the way.
+   * @private
+   * @param {number} direction - 1 for forward, -1 for back
+   * @returns {Track|null} Track reached, or null at either end of the history
+   */
+  _stepHistory(direction) {
+    let position = this.historyPosition + direction;
+    while (position >= 0 && position < this.history.length) {
+      const entry = this.history[position];
+      if (this._canRestoreHistoryEntry(entry)) {
+        this.historyPosition = position;
+        return this._restoreHistoryEntry(entry);
+      }
+      this.history.splice(position, 1);
+      if (direction < 0) {
+        position--;
+        this.historyPosition--;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if a history entry can still be played
+   * @private
+   * @param {Object} entry - History entry
+   * @returns {boolean} True if the entry's track is playable
+   */
+  _canRestoreHistoryEntry(entry) {
+    return entry.upNext || this._positionOf(entry.track.id) !== -1;
+  }
+
+  /**
+   * Make a history entry current
+   * @private
+   * @param {Object} entry - History entry
+   * @returns {Track} Entry track
+   */
+  _restoreHistoryEntry(entry) {
+    if (entry.upNext) {
+      this.upNextTrack = entry.track;
+      this.currentIndex = Math.min(entry.position, this.playlist.getTrackCount() - 1);
+      return entry.track;
+    }
+    this.upNextTrack = null;
+    this.currentIndex = this._positionOf(entry.track.id);
+    return this.getCurrentTrack();
+  }
+
+  /**
+   * Find the queue position (in shuffle order when shuffling) of a playlist track
+   * @private
+   * @param {string} trackId - Track ID
+   * @returns {number} Queue position, or -1 if the track is not in the playlist
+   */
+  _positionOf(trackId) {
+    const index = this.playlist.tracks.findIndex(track => track.id === trackId);
+    if (index === -1 || !this.shuffle) {
+      return index;
+    }
+    return this.shuffledIndices.indexOf(index);
+  }
+
+  /**
+   * Queue tracks to play next, before anything already in Up Next
+   * @param {Track|Array<Track>} tracks - Track or tracks (played in the given order)
+   */
+  enqueueNext(tracks) {
+    const added = Array.isArray(tracks) ? tracks : [tracks];
+    if (added.length === 0) return;
+    this._emitCommand('enqueueNext', [added.map(track => track.toJSON())]);
+    this.upNext.unshift(...added);
+    this._emitUpNextChange('enqueue');
+  }
+
+  /**
+   * Queue tracks after everything already in Up Next
+   * @param {Track|Array<Track>} tracks - Track or tracks (played in the given order)
+   */
+  enqueueLast(tracks) {
+    const added = Array.isArray(tracks) ? tracks : [tracks];
+    if (added.length === 0) return;
+    this._emitCommand('enqueueLast', [added.map(track => track.toJSON())]);
+    this.upNext.push(...added);
+    this._emitUpNextChange('enqueue');
+  }
+
+  /**
+   * Reorder Up Next
+   * @param {number} fromIndex - Current position
+   * @param {number} toIndex - New position
+   * @returns {boolean} True if moved
+   */
+  moveInUpNext(fromIndex, toIndex) {
+    this._emitCommand('moveInUpNext', [fromIndex, toIndex]);
+    const count = this.upNext.length;
+    if (fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) {
+      return false;
+    }
+    if (fromIndex !== toIndex) {
+      const [track] = this.upNext.splice(fromIndex, 1);
+      this.upNext.splice(toIndex, 0, track);
+      this._emitUpNextChange('move');
+    }
+    return true;
+  }
+
+  /**
+   * Remove a track from Up Next
+   * @param {number} index - Position in Up Next
+   * @returns {Track|null} Removed track or null
+   */
+  removeFromUpNext(index) {
+    this._emitCommand('removeFromUpNext', [index]);
+    if (index < 0 || index >= this.upNext.length) {
+      return null;
+    }
+    const [track] = this.upNext.splice(index, 1);
+    this._emitUpNextChange('remove');
+    return track;
+  }
+
+  /**
+   * Remove every track from Up Next
+   */
+  clearUpNext() {
+    this._emitCommand('clearUpNext');
+    this._clearUpNext();
+  }
+
+  /**
+   * Empty Up Next without announcing a command
+   * @private
+   */
+  _clearUpNext() {
+    if (this.upNext.length === 0) return;
+    this.upNext = [];
+    this._emitUpNextChange('clear');
+  }
+
+  /**
+   * Get tracks queued in Up Next
+   * @returns {Array<Track>} Queued tracks, in play order
+   */
+  getUpNext() {
+    return [...this.upNext];
+  }
+
+  /**
+   * Announce an Up Next change
+   * @private
+   * @param {string} reason - What changed ('enqueue', 'move', 'remove', 'clear', 'played', 'restore')
+   */
+  _emitUpNextChange(reason) {
+    this._publishState();
+    this._emit('upnextchange', { tracks: this.getUpNext(), reason });
+  }
+
+  /**
+   * Publish the queue's state into a state manager, now and after every change
+   * @param {StateManager|null} stateManager - State manager, or null to stop publishing
+   */
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    this._publishState();
+  }
+
+  /**
+   * Write the queue's state into the connected state manager
+   * @private
+   */
+  _publishState() {
+    if (!this.stateManager) return;
+    this.stateManager.setState({
+      queue: [...this.playlist.tracks],
+      upNext: this.getUpNext(),
+      repeatMode: this.repeatMode,
+      shuffle: this.shuffle,
+      smartShuffle: this.smartShuffle,
+      probabilityMode: this.probabilityMode
+    });
   }
 
   /**
@@ -238,7 +1190,9 @@ class QueueManager {
    * @param {boolean} enabled - Enable probability mode
    */
   setProbabilityMode(enabled) {
+    this._emitCommand('setProbabilityMode', [enabled]);
     this.probabilityMode = enabled;
+    this._publishState();
   }
 
   /**
@@ -249,6 +1203,130 @@ class QueueManager {
     return this.probabilityEngine;
   }
 
+  /**
+   * Replace the probability engine (e.g. another listener's field)
+   * @param {ProbabilityEngine} engine - Probability engine
+   */
+  setProbabilityEngine(engine) {
+    this.probabilityEngine = engine;
+    this.probabilityEngine.initializeTracks(this.playlist.tracks);
+  }
+
+  /**
+   * Get the random source used for shuffle and probability selection
+   * @returns {RandomSource} Random source
+   */
+  getRandomSource() {
+    return this.random;
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name (upnextchange, repeatmodechange, editchange, command)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Unregister event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * Announce a queue command (used for session recording)
+   * @private
+   * @param {string} name - Command name
+   * @param {Array} [args] - Command arguments (JSON-safe)
+   */
+  _emitCommand(name, args = []) {
+    this._emit('command', { name, args });
+  }
+
+  /**
+   * Emit event to registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Serialize queue position, modes, Up Next and history
+   * (playlist tracks and learned weights are not included)
+   * @returns {Object} Plain, JSON-safe state
+   */
+  serialize() {
+    return {
+      version: this.SERIALIZATION_VERSION,
+      currentIndex: this.currentIndex,
+      repeat: this.repeat,
+      repeatMode: this.repeatMode,
+      shuffle: this.shuffle,
+      smartShuffle: this.smartShuffle,
+      shuffledIndices: [...this.shuffledIndices],
+      probabilityMode: this.probabilityMode,
+      upNext: this.upNext.map(track => track.toJSON()),
+      upNextTrack: this.upNextTrack ? this.upNextTrack.toJSON() : null,
+      history: this.history.map(({ track, position, upNext }) => ({ track: track.toJSON(), position, upNext })),
+      historyPosition: this.historyPosition
+    };
+  }
+
+  /**
+   * Restore queue position and modes produced by serialize()
+   * The playlist must hold the same tracks it held when serialized. The edit
+   * history is cleared.
+   * @param {Object} data - Serialized state
+   */
+  restore(data) {
+    if (!data || data.version > this.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported QueueManager state version: ${data && data.version}`);
+    }
+    this.currentIndex = data.currentIndex;
+    this.repeatMode = data.repeatMode || (data.repeat ? RepeatMode.ALL : RepeatMode.OFF);
+    this.repeat = this.repeatMode !== RepeatMode.OFF;
+    this.shuffle = data.shuffle;
+    this.smartShuffle = Boolean(data.smartShuffle);
+    this.shuffledIndices = [...(data.shuffledIndices || [])];
+    this.probabilityMode = data.probabilityMode;
+    this.upNext = (data.upNext || []).map(trackData => this._resolveTrack(trackData));
+    this.upNextTrack = data.upNextTrack ? this._resolveTrack(data.upNextTrack) : null;
+    this.history = (data.history || []).map(({ track, position, upNext }) => ({
+      track: this._resolveTrack(track),
+      position,
+      upNext
+    }));
+    this.historyPosition = typeof data.historyPosition === 'number' ? data.historyPosition : this.history.length - 1;
+    // Earlier edits refer to a queue that no longer exists
+    this.editHistory.clear();
+    this._emitUpNextChange('restore');
+  }
+
+  /**
+   * Find the playlist's instance of a serialized track, or recreate it
+   * @private
+   * @param {Object} data - Track data from Track.toJSON()
+   * @returns {Track} Track
+   */
+  _resolveTrack(data) {
+    return this.playlist.getTrack(data.id) || new Track(data);
+  }
+
   /**
    * Update track weight based on listening feedback
    * @param {string} trackId - Track ID
@@ -0,0 +1,114 @@
+import PlaylistFormat from './PlaylistFormat.js';
+
+/**
+ * JSPF playlists (XSPF written as JSON)
+ * { playlist: { title, track: [{ location: [...], title, creator, album, duration, image, identifier: [...] }] } }
+ * Durations are in milliseconds. Of several locations or identifiers, the first is used.
+ */
+class JSPFFormat extends PlaylistFormat {
+  constructor() {
+    super({ name: 'jspf', extensions: ['jspf'], mimeType: 'application/jspf+json' });
+  }
+
+  /**
+   * Check if text is a JSPF playlist
+   * @param {string} text - File contents
+   * @returns {boolean} True if it is a JSON object with a "playlist" member
+   */
+  canParse(text) {
+    return /^\uFEFF?\s*\{\s*"playlist"\s*:/.test(text);
+  }
+
+  /**
+   * Read a playlist
+   * @param {string} text - File contents
+   * @param {Object} [options] - Parse options (see PlaylistFormat)
+   * @returns {{playlist: Playlist, errors: Array<Object>}} Playlist and unreadable entries
+   */
+  parse(text, options = {}) {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Invalid JSPF playlist: ${error.message}`);
+    }
+    const playlist = data && data.playlist;
+    if (!playlist || typeof playlist !== 'object') {
+      throw new Error('Invalid JSPF playlist: missing "playlist" object');
+    }
+
+    const entries = [];
+    const errors = [];
+    (Array.isArray(playlist.track) ? playlist.track : []).forEach((track, i) => {
+      const index = i + 1;
+      if (!track || typeof track !== 'object') {
+        errors.push(this._error({ index }, `Track ${index} is not an object`));
+        return;
+      }
+      const location = this._first(track.location);
+      const duration = track.duration === undefined ? 0 : this._parseDuration(track.duration, 0.001);
+      if (!location) {
+        errors.push(this._error({ index }, `Track ${index} has no location`));
+      } else if (duration === null) {
+        errors.push(this._error({ index }, `Invalid duration "${track.duration}" in track ${index}`));
+      } else {
+        entries.push({
+          location,
+          title: this._string(track.title),
+          artist: this._string(track.creator),
+          album: this._string(track.album),
+          duration,
+          artwork: this._string(track.image),
+          identifier: this._first(track.identifier),
+          index
+        });
+      }
+    });
+
+    return this._createResult(entries, errors, options, this._string(playlist.title) || null);
+  }
+
+  /**
+   * Write a JSPF playlist
+   * Track IDs other than the URL are written as identifiers.
+   * @param {Playlist} playlist - Playlist to write
+   * @param {Object} [options] - Serialize options (see PlaylistFormat)
+   * @returns {string} File contents
+   */
+  serialize(playlist, { baseUrl = null } = {}) {
+    const tracks = playlist.tracks.map(track => {
+      const entry = { location: [this._relativeUrl(track.url, baseUrl)] };
+      if (track.id && track.id !== track.url) entry.identifier = [track.id];
+      if (track.title) entry.title = track.title;
+      if (track.artist) entry.creator = track.artist;
+      if (track.album) entry.album = track.album;
+      if (track.duration > 0) entry.duration = Math.round(track.duration * 1000);
+      if (track.artwork) entry.image = this._relativeUrl(track.artwork, baseUrl);
+      return entry;
+    });
+    const data = { playlist: playlist.name ? { title: playlist.name, track: tracks } : { track: tracks } };
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Get the first string of a value that may be a string or an array of them
+   * @private
+   * @param {*} value - Value
+   * @returns {string} String, or '' if there is none
+   */
+  _first(value) {
+    return this._string(Array.isArray(value) ? value[0] : value);
+  }
+
+  /**
+   * Get a value as a trimmed string
+   * @private
+   * @param {*} value - Value
+   * @returns {string} String, or '' if it is not a string
+   */
+  _string(value) {
+    return typeof value === 'string' ? value.trim() : '';
+  }
+}
+
+export default JSPFFormat;
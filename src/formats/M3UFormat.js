@@ -0,0 +1,132 @@
+import PlaylistFormat from './PlaylistFormat.js';
+
+/**
+ * M3U / M3U8 playlists
+ * One location per line. Extended M3U adds #EXTINF (duration and "Artist - Title")
+ * before a location, #EXTALB (album) and #EXTIMG (artwork) for the next location,
+ * and #PLAYLIST for the playlist's title. Other # lines are comments.
+ */
+class M3UFormat extends PlaylistFormat {
+  constructor() {
+    super({ name: 'm3u', extensions: ['m3u', 'm3u8'], mimeType: 'audio/x-mpegurl' });
+  }
+
+  /**
+   * Check if text is an extended M3U playlist
+   * Plain M3U has no header and is only recognised by its file extension.
+   * @param {string} text - File contents
+   * @returns {boolean} True if it starts with #EXTM3U
+   */
+  canParse(text) {
+    return /^\uFEFF?\s*#EXTM3U/.test(text);
+  }
+
+  /**
+   * Read a playlist
+   * @param {string} text - File contents
+   * @param {Object} [options] - Parse options (see PlaylistFormat)
+   * @returns {{playlist: Playlist, errors: Array<Object>}} Playlist and unreadable entries
+   */
+  parse(text, options = {}) {
+    const entries = [];
+    const errors = [];
+    let title = null;
+    let pending = {}; // Fields for the next location
+    let infoLine = null; // Line of the #EXTINF waiting for a location
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.trim();
+      const lineNumber = i + 1;
+      if (!line) return;
+
+      if (line.startsWith('#')) {
+        const [directive, value] = this._directive(line);
+        if (directive === '#EXTINF') {
+          if (infoLine !== null) {
+            errors.push(this._error({ line: infoLine }, '#EXTINF without a location'));
+            pending = {};
+          }
+          infoLine = lineNumber;
+          const info = this._parseInfo(value);
+          if (info) {
+            Object.assign(pending, info);
+          } else {
+            pending.invalid = `Invalid #EXTINF "${value.trim()}"`;
+          }
+        } else if (directive === '#EXTALB') {
+          pending.album = value.trim();
+        } else if (directive === '#EXTIMG') {
+          pending.artwork = value.trim();
+        } else if (directive === '#PLAYLIST') {
+          title = value.trim();
+        }
+        return;
+      }
+
+      const { invalid, ...fields } = pending;
+      if (invalid) {
+        // The location is still usable; the track is named after its file
+        errors.push(this._error({ line: infoLine }, invalid));
+      }
+      entries.push({ ...fields, location: line, line: lineNumber });
+      pending = {};
+      infoLine = null;
+    });
+
+    if (infoLine !== null) {
+      errors.push(this._error({ line: infoLine }, '#EXTINF without a location'));
+    }
+    return this._createResult(entries, errors, options, title);
+  }
+
+  /**
+   * Write an extended M3U playlist
+   * @param {Playlist} playlist - Playlist to write
+   * @param {Object} [options] - Serialize options (see PlaylistFormat)
+   * @returns {string} File contents
+   */
+  serialize(playlist, { baseUrl = null } = {}) {
+    const lines = ['#EXTM3U'];
+    if (playlist.name) {
+      lines.push(`#PLAYLIST:${playlist.name}`);
+    }
+    playlist.tracks.forEach(track => {
+      const duration = track.duration > 0 ? Math.round(track.duration) : -1;
+      lines.push(`#EXTINF:${duration},${this._displayTitle(track)}`);
+      if (track.album) lines.push(`#EXTALB:${track.album}`);
+      if (track.artwork) lines.push(`#EXTIMG:${this._relativeUrl(track.artwork, baseUrl)}`);
+      lines.push(this._relativeUrl(track.url, baseUrl));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Split a # line into its directive and value
+   * @private
+   * @param {string} line - Line starting with #
+   * @returns {Array<string>} Upper-cased directive and the text after the colon
+   */
+  _directive(line) {
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      return [line.toUpperCase(), ''];
+    }
+    return [line.slice(0, colon).toUpperCase(), line.slice(colon + 1)];
+  }
+
+  /**
+   * Read the value of an #EXTINF line: duration, optional attributes, comma, display title
+   * @private
+   * @param {string} value - Text after "#EXTINF:"
+   * @returns {{duration: number, artist: string, title: string}|null} Fields, or null if malformed
+   */
+  _parseInfo(value) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)(?:\s+[^,]*)?,(.*)$/.exec(value);
+    if (!match) {
+      return null;
+    }
+    return { duration: this._parseDuration(match[1]), ...this._splitDisplayTitle(match[2]) };
+  }
+}
+
+export default M3UFormat;
@@ -0,0 +1,90 @@
+import PlaylistFormat from './PlaylistFormat.js';
+
+/**
+ * PLS playlists
+ * An INI-style [playlist] section with numbered FileN, TitleN ("Artist - Title")
+ * and LengthN (seconds, -1 for unknown) keys. Entries play in number order.
+ */
+class PLSFormat extends PlaylistFormat {
+  constructor() {
+    super({ name: 'pls', extensions: ['pls'], mimeType: 'audio/x-scpls' });
+  }
+
+  /**
+   * Check if text is a PLS playlist
+   * @param {string} text - File contents
+   * @returns {boolean} True if it starts with a [playlist] section
+   */
+  canParse(text) {
+    return /^\uFEFF?\s*\[playlist\]/i.test(text);
+  }
+
+  /**
+   * Read a playlist
+   * @param {string} text - File contents
+   * @param {Object} [options] - Parse options (see PlaylistFormat)
+   * @returns {{playlist: Playlist, errors: Array<Object>}} Playlist and unreadable entries
+   */
+  parse(text, options = {}) {
+    if (!this.canParse(text)) {
+      throw new Error('Invalid PLS playlist: missing [playlist] section');
+    }
+    const fields = new Map(); // Entry number -> { file, title, length, line }
+    const errors = [];
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.trim();
+      const lineNumber = i + 1;
+      if (!line || line.startsWith(';') || line.startsWith('#') || /^\[playlist\]$/i.test(line)) return;
+
+      const match = /^([a-z-]+?)(\d*)\s*=(.*)$/i.exec(line);
+      if (!match) {
+        errors.push(this._error({ line: lineNumber }, `Unreadable line "${line}"`));
+        return;
+      }
+      const key = match[1].toLowerCase();
+      // NumberOfEntries and Version are implied by the entries themselves
+      if (!match[2] || !['file', 'title', 'length'].includes(key)) return;
+
+      const index = parseInt(match[2], 10);
+      if (!fields.has(index)) fields.set(index, { line: lineNumber });
+      fields.get(index)[key] = match[3].trim();
+    });
+
+    const entries = [];
+    Array.from(fields.keys()).sort((a, b) => a - b).forEach(index => {
+      const { file, title: displayTitle, length, line } = fields.get(index);
+      const duration = length === undefined ? 0 : this._parseDuration(length);
+      if (!file) {
+        errors.push(this._error({ line, index }, `Entry ${index} has no File${index}`));
+      } else if (duration === null) {
+        errors.push(this._error({ line, index }, `Invalid Length${index} "${length}"`));
+      } else {
+        entries.push({ location: file, duration, ...this._splitDisplayTitle(displayTitle || ''), line, index });
+      }
+    });
+
+    return this._createResult(entries, errors, options);
+  }
+
+  /**
+   * Write a PLS playlist (version 2)
+   * @param {Playlist} playlist - Playlist to write
+   * @param {Object} [options] - Serialize options (see PlaylistFormat)
+   * @returns {string} File contents
+   */
+  serialize(playlist, { baseUrl = null } = {}) {
+    const lines = ['[playlist]'];
+    playlist.tracks.forEach((track, i) => {
+      const number = i + 1;
+      lines.push(`File${number}=${this._relativeUrl(track.url, baseUrl)}`);
+      lines.push(`Title${number}=${this._displayTitle(track)}`);
+      lines.push(`Length${number}=${track.duration > 0 ? Math.round(track.duration) : -1}`);
+    });
+    lines.push(`NumberOfEntries=${playlist.tracks.length}`);
+    lines.push('Version=2');
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default PLSFormat;
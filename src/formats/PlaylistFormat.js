@@ -0,0 +1,239 @@
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+
+/**
+ * Playlist Format interface
+ * Converts between a playlist file's text and a Playlist of Tracks.
+ *
+ * parse() keeps going past entries it cannot read and reports them instead,
+ * so one broken line does not lose the rest of the playlist. Text that is not
+ * this format at all is an error.
+ */
+class PlaylistFormat {
+  /**
+   * @param {Object} options - Format options
+   * @param {string} options.name - Format name (e.g. 'm3u')
+   * @param {Array<string>} options.extensions - File extensions, without the dot
+   * @param {string} options.mimeType - MIME type of serialized playlists
+   */
+  constructor({ name, extensions, mimeType }) {
+    this.name = name;
+    this.extensions = extensions;
+    this.mimeType = mimeType;
+  }
+
+  /**
+   * Check if text looks like this format
+   * @param {string} text - File contents
+   * @returns {boolean} True if parse() should be able to read it
+   */
+  canParse(text) {
+    throw new Error('Method canParse() must be implemented');
+  }
+
+  /**
+   * Read a playlist
+   * @param {string} text - File contents
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.baseUrl] - URL or path of the playlist file; relative locations resolve against it
+   * @param {string} [options.id='imported'] - Playlist ID
+   * @param {string} [options.name] - Playlist name (defaults to the title in the file)
+   * @returns {{playlist: Playlist, errors: Array<{line: number|null, index: number|null, message: string}>}}
+   *   The playlist and the entries that could not be read
+   */
+  parse(text, options = {}) {
+    throw new Error('Method parse() must be implemented');
+  }
+
+  /**
+   * Write a playlist
+   * @param {Playlist} playlist - Playlist to write
+   * @param {Object} [options] - Serialize options
+   * @param {string} [options.baseUrl] - URL or path the file will be saved at; locations under it are written relative
+   * @returns {string} File contents
+   */
+  serialize(playlist, options = {}) {
+    throw new Error('Method serialize() must be implemented');
+  }
+
+  /**
+   * Create the playlist for parsed entries
+   * Entries whose location cannot be resolved are added to the errors.
+   * @private
+   * @param {Array<Object>} entries - Track fields per entry (location, title, artist, album, duration,
+   *   artwork, identifier) and where the entry is (line, index)
+   * @param {Array<Object>} errors - Entries that could not be read so far
+   * @param {Object} options - Parse options
+   * @param {string} [title] - Title found in the file
+   * @returns {{playlist: Playlist, errors: Array<Object>}} Parse result
+   */
+  _createResult(entries, errors, { baseUrl = null, id = 'imported', name = null } = {}, title = null) {
+    const tracks = [];
+    const allErrors = [...errors];
+    entries.forEach(entry => {
+      try {
+        tracks.push(this._createTrack(entry, baseUrl));
+      } catch (error) {
+        allErrors.push(this._error(entry, `Invalid location "${entry.location}"`));
+      }
+    });
+    allErrors.sort((a, b) => (a.line || a.index || 0) - (b.line || b.index || 0));
+
+    return {
+      playlist: new Playlist({ id, name: name || title || 'Imported Playlist', tracks }),
+      errors: allErrors
+    };
+  }
+
+  /**
+   * Describe an entry that could not be read
+   * @private
+   * @param {Object} where - Where the entry is
+   * @param {number} [where.line] - Line number (1-based)
+   * @param {number} [where.index] - Entry number (1-based)
+   * @param {string} message - What is wrong
+   * @returns {{line: number|null, index: number|null, message: string}} Error entry
+   */
+  _error({ line = null, index = null }, message) {
+    return { line, index, message };
+  }
+
+  /**
+   * Create a track from parsed fields
+   * Tracks are identified by their identifier if the file has one, or else by their URL.
+   * @private
+   * @param {Object} entry - Track fields
+   * @param {string|null} baseUrl - Base for relative locations
+   * @returns {Track} Track
+   */
+  _createTrack({ location, title, artist, album, duration, artwork, identifier }, baseUrl) {
+    const url = this._resolveUrl(location, baseUrl);
+    return new Track({
+      id: identifier || url,
+      title: title || this._titleFromUrl(url),
+      artist: artist || '',
+      duration: duration > 0 ? duration : 0,
+      url,
+      album: album || '',
+      artwork: artwork ? this._resolveUrl(artwork, baseUrl) : ''
+    });
+  }
+
+  /**
+   * Split "Artist - Title" as written by M3U and PLS
+   * @private
+   * @param {string} text - Display text
+   * @returns {{artist: string, title: string}} Artist (empty if not given) and title
+   */
+  _splitDisplayTitle(text) {
+    const value = text.trim();
+    const separator = value.indexOf(' - ');
+    if (separator === -1) {
+      return { artist: '', title: value };
+    }
+    return { artist: value.slice(0, separator).trim(), title: value.slice(separator + 3).trim() };
+  }
+
+  /**
+   * Join a track's artist and title as "Artist - Title"
+   * @private
+   * @param {Track} track - Track
+   * @returns {string} Display text
+   */
+  _displayTitle(track) {
+    return track.artist ? `${track.artist} - ${track.title}` : track.title;
+  }
+
+  /**
+   * Resolve a location against the playlist's own location
+   * Backslashes in relative paths (playlists written on Windows) become slashes.
+   * @private
+   * @param {string} location - Location as written in the file
+   * @param {string|null} baseUrl - URL or path of the playlist file
+   * @returns {string} Resolved location (unchanged if absolute or without a base)
+   */
+  _resolveUrl(location, baseUrl) {
+    const value = location.trim();
+    if (!baseUrl || this._hasScheme(value) || /^[a-z]:[\\/]/i.test(value)) {
+      return value;
+    }
+    const relative = value.replace(/\\/g, '/');
+    if (this._hasScheme(baseUrl)) {
+      return new URL(relative, baseUrl).href;
+    }
+    if (relative.startsWith('/')) {
+      return relative;
+    }
+
+    // Plain paths: join onto the playlist's directory and fold . and ..
+    const segments = baseUrl.split('/').slice(0, -1);
+    relative.split('/').forEach(segment => {
+      const last = segments[segments.length - 1];
+      if (segment === '.') return;
+      if (segment === '..' && segments.length > 0 && last !== '..') {
+        // Never above the root of an absolute path
+        if (last !== '' || segments.length > 1) segments.pop();
+        return;
+      }
+      segments.push(segment);
+    });
+    return segments.join('/');
+  }
+
+  /**
+   * Write a location relative to where the playlist is saved, if it lies under it
+   * @private
+   * @param {string} url - Track URL
+   * @param {string|null} baseUrl - URL or path the playlist is saved at
+   * @returns {string} Location to write
+   */
+  _relativeUrl(url, baseUrl) {
+    if (!baseUrl) return url;
+    const directory = baseUrl.slice(0, baseUrl.lastIndexOf('/') + 1);
+    return directory && url.startsWith(directory) ? url.slice(directory.length) : url;
+  }
+
+  /**
+   * Read a duration in seconds
+   * @private
+   * @param {string|number} value - Duration as written in the file
+   * @param {number} [scale=1] - Seconds per unit (0.001 for milliseconds)
+   * @returns {number|null} Seconds (0 when given as unknown, i.e. negative), or null if not a number
+   */
+  _parseDuration(value, scale = 1) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) {
+      return null;
+    }
+    return number < 0 ? 0 : number * scale;
+  }
+
+  /**
+   * Title for a track without one: its file name without the extension
+   * @private
+   * @param {string} url - Track URL
+   * @returns {string} Title
+   */
+  _titleFromUrl(url) {
+    const file = url.split(/[?#]/)[0].split(/[/\\]/).pop() || url;
+    let title = file.replace(/\.[^.]+$/, '') || file;
+    try {
+      title = decodeURIComponent(title);
+    } catch (error) {
+      // Not percent-encoded after all
+    }
+    return title;
+  }
+
+  /**
+   * Check if a location starts with a URL scheme (http:, file:, ...)
+   * @private
+   * @param {string} value - Location
+   * @returns {boolean} True if it has a scheme
+   */
+  _hasScheme(value) {
+    return /^[a-z][a-z0-9+.-]+:/i.test(value);
+  }
+}
+
+export default PlaylistFormat;
@@ -0,0 +1,111 @@
+import M3UFormat from './M3UFormat.js';
+import PLSFormat from './PLSFormat.js';
+import XSPFFormat from './XSPFFormat.js';
+import JSPFFormat from './JSPFFormat.js';
+
+/**
+ * PlaylistIO - Imports and exports playlists in the registered formats
+ *
+ * M3U/M3U8, PLS, XSPF and JSPF are registered by default. The format of a file
+ * is taken from its file name when one is given, or else recognised from its
+ * contents.
+ */
+class PlaylistIO {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Array<PlaylistFormat>} [options.formats] - Formats to register (defaults to all built-in ones)
+   */
+  constructor({ formats = null } = {}) {
+    this.formats = new Map(); // Name -> format
+    (formats || [new M3UFormat(), new PLSFormat(), new XSPFFormat(), new JSPFFormat()])
+      .forEach(format => this.registerFormat(format));
+  }
+
+  /**
+   * Register a format, replacing any format with the same name
+   * @param {PlaylistFormat} format - Format
+   */
+  registerFormat(format) {
+    this.formats.set(format.name, format);
+  }
+
+  /**
+   * Get a format by name or file extension
+   * @param {string} nameOrExtension - Format name or extension ('m3u8', '.xspf', ...)
+   * @returns {PlaylistFormat|null} Format, or null if none matches
+   */
+  getFormat(nameOrExtension) {
+    const key = String(nameOrExtension).toLowerCase().replace(/^\./, '');
+    if (this.formats.has(key)) {
+      return this.formats.get(key);
+    }
+    return Array.from(this.formats.values()).find(format => format.extensions.includes(key)) || null;
+  }
+
+  /**
+   * Get the names of the registered formats
+   * @returns {Array<string>} Format names
+   */
+  getFormats() {
+    return Array.from(this.formats.keys());
+  }
+
+  /**
+   * Find the format of a playlist file
+   * @param {string} text - File contents
+   * @param {string} [fileName] - File name, path or URL (its extension is checked first)
+   * @returns {PlaylistFormat|null} Format, or null if not recognised
+   */
+  detectFormat(text, fileName = null) {
+    if (fileName) {
+      const match = /\.([a-z0-9]+)$/i.exec(fileName.split(/[?#]/)[0]);
+      const format = match ? this.getFormat(match[1]) : null;
+      if (format) return format;
+    }
+    return Array.from(this.formats.values()).find(format => format.canParse(text)) || null;
+  }
+
+  /**
+   * Read a playlist
+   * @param {string} text - File contents
+   * @param {Object} [options] - Options, passed on to the format's parse()
+   * @param {string} [options.format] - Format name or extension (detected if not given)
+   * @param {string} [options.fileName] - File name, path or URL; also used as baseUrl unless one is given
+   * @param {string} [options.baseUrl] - URL or path relative locations resolve against
+   * @param {string} [options.id] - Playlist ID
+   * @param {string} [options.name] - Playlist name
+   * @returns {{playlist: Playlist, errors: Array<{line: number|null, index: number|null, message: string}>,
+   *   format: string}} Playlist, entries that could not be read, and the format used
+   */
+  importPlaylist(text, { format = null, fileName = null, ...options } = {}) {
+    const reader = format ? this.getFormat(format) : this.detectFormat(text, fileName);
+    if (!reader) {
+      throw new Error(format ? `Unknown playlist format: ${format}` : 'Unrecognised playlist format');
+    }
+    const baseUrl = options.baseUrl || fileName || null;
+    const { playlist, errors } = reader.parse(text, { ...options, baseUrl });
+    return { playlist, errors, format: reader.name };
+  }
+
+  /**
+   * Write a playlist
+   * @param {Playlist} playlist - Playlist to write
+   * @param {string} format - Format name or extension
+   * @param {Object} [options] - Options, passed on to the format's serialize()
+   * @returns {{text: string, mimeType: string, extension: string}} File contents and type
+   */
+  exportPlaylist(playlist, format, options = {}) {
+    const writer = this.getFormat(format);
+    if (!writer) {
+      throw new Error(`Unknown playlist format: ${format}`);
+    }
+    const extension = String(format).toLowerCase().replace(/^\./, '');
+    return {
+      text: writer.serialize(playlist, options),
+      mimeType: writer.mimeType,
+      extension: writer.extensions.includes(extension) ? extension : writer.extensions[0]
+    };
+  }
+}
+
+export default PlaylistIO;
@@ -0,0 +1,204 @@
+import PlaylistFormat from './PlaylistFormat.js';
+
+/**
+ * XSPF playlists (XML Shareable Playlist Format, version 1)
+ * Each <track> in the <trackList> maps location, title, creator (artist), album,
+ * duration (milliseconds), image (artwork) and identifier onto a Track.
+ *
+ * Reads XML with a small built-in reader, so it works without a DOM (Node,
+ * workers). Only elements and their text are used; attributes and
+ * namespace prefixes are ignored.
+ */
+class XSPFFormat extends PlaylistFormat {
+  constructor() {
+    super({ name: 'xspf', extensions: ['xspf'], mimeType: 'application/xspf+xml' });
+  }
+
+  /**
+   * Check if text is an XSPF playlist
+   * @param {string} text - File contents
+   * @returns {boolean} True if its root element is <playlist>
+   */
+  canParse(text) {
+    return /^\uFEFF?\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*<([a-z]+:)?playlist[\s>]/i.test(text);
+  }
+
+  /**
+   * Read a playlist
+   * @param {string} text - File contents
+   * @param {Object} [options] - Parse options (see PlaylistFormat)
+   * @returns {{playlist: Playlist, errors: Array<Object>}} Playlist and unreadable entries
+   */
+  parse(text, options = {}) {
+    const root = this._parseXml(text.replace(/^\uFEFF/, ''));
+    if (root.name !== 'playlist') {
+      throw new Error(`Invalid XSPF playlist: root element is <${root.name}>`);
+    }
+
+    const entries = [];
+    const errors = [];
+    const trackList = this._child(root, 'trackList');
+    const tracks = trackList ? trackList.children.filter(node => node.name === 'track') : [];
+    tracks.forEach((node, i) => {
+      const index = i + 1;
+      const location = this._text(node, 'location');
+      const durationText = this._text(node, 'duration');
+      const duration = durationText ? this._parseDuration(durationText, 0.001) : 0;
+      if (!location) {
+        errors.push(this._error({ index }, `Track ${index} has no location`));
+      } else if (duration === null) {
+        errors.push(this._error({ index }, `Invalid duration "${durationText}" in track ${index}`));
+      } else {
+        entries.push({
+          location,
+          title: this._text(node, 'title'),
+          artist: this._text(node, 'creator'),
+          album: this._text(node, 'album'),
+          duration,
+          artwork: this._text(node, 'image'),
+          identifier: this._text(node, 'identifier'),
+          index
+        });
+      }
+    });
+
+    return this._createResult(entries, errors, options, this._text(root, 'title') || null);
+  }
+
+  /**
+   * Write an XSPF playlist
+   * Track IDs other than the URL are written as identifiers.
+   * @param {Playlist} playlist - Playlist to write
+   * @param {Object} [options] - Serialize options (see PlaylistFormat)
+   * @returns {string} File contents
+   */
+  serialize(playlist, { baseUrl = null } = {}) {
+    const element = (indent, name, value) => `${indent}<${name}>${this._escapeXml(value)}</${name}>`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">'
+    ];
+    if (playlist.name) lines.push(element('  ', 'title', playlist.name));
+    lines.push('  <trackList>');
+    playlist.tracks.forEach(track => {
+      const indent = '      ';
+      lines.push('    <track>');
+      lines.push(element(indent, 'location', this._relativeUrl(track.url, baseUrl)));
+      if (track.id && track.id !== track.url) lines.push(element(indent, 'identifier', track.id));
+      if (track.title) lines.push(element(indent, 'title', track.title));
+      if (track.artist) lines.push(element(indent, 'creator', track.artist));
+      if (track.album) lines.push(element(indent, 'album', track.album));
+      if (track.duration > 0) lines.push(element(indent, 'duration', Math.round(track.duration * 1000)));
+      if (track.artwork) lines.push(element(indent, 'image', this._relativeUrl(track.artwork, baseUrl)));
+      lines.push('    </track>');
+    });
+    lines.push('  </trackList>');
+    lines.push('</playlist>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Read XML into a tree of { name, text, children } elements
+   * @private
+   * @param {string} text - XML document
+   * @returns {Object} Root element
+   */
+  _parseXml(text) {
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s/>!?]+)(?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*(\/?)>|([^<]+)/g;
+    const document = { name: null, text: '', children: [] };
+    const stack = [document];
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index !== position) break;
+      position = pattern.lastIndex;
+      const [token, cdata, closing, tagName, selfClosing, characters] = match;
+      const parent = stack[stack.length - 1];
+
+      if (cdata !== undefined) {
+        parent.text += cdata;
+      } else if (characters !== undefined) {
+        parent.text += this._decodeEntities(characters);
+      } else if (tagName && closing) {
+        if (stack.length === 1 || parent.tag !== tagName) {
+          throw new Error(`Invalid XSPF playlist: unexpected ${token}`);
+        }
+        stack.pop();
+      } else if (tagName) {
+        // Namespace prefixes are dropped: <xspf:track> reads as <track>
+        const element = { name: tagName.replace(/^[^:]*:/, ''), tag: tagName, text: '', children: [] };
+        parent.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+    }
+
+    if (position !== text.length) {
+      throw new Error(`Invalid XSPF playlist: malformed XML at character ${position + 1}`);
+    }
+    if (stack.length > 1) {
+      throw new Error(`Invalid XSPF playlist: <${stack[stack.length - 1].tag}> is not closed`);
+    }
+    if (document.children.length !== 1) {
+      throw new Error('Invalid XSPF playlist: expected one root element');
+    }
+    return document.children[0];
+  }
+
+  /**
+   * Get the first child element with a name
+   * @private
+   * @param {Object} node - Element
+   * @param {string} name - Child name
+   * @returns {Object|undefined} Child element
+   */
+  _child(node, name) {
+    return node.children.find(child => child.name === name);
+  }
+
+  /**
+   * Get the trimmed text of the first child element with a name
+   * @private
+   * @param {Object} node - Element
+   * @param {string} name - Child name
+   * @returns {string} Text, or '' if there is no such child
+   */
+  _text(node, name) {
+    const child = this._child(node, name);
+    return child ? child.text.trim() : '';
+  }
+
+  /**
+   * Replace XML character and entity references
+   * @private
+   * @param {string} text - Raw text
+   * @returns {string} Decoded text
+   */
+  _decodeEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code <= 0x10FFFF ? String.fromCodePoint(code) : reference;
+      }
+      return named[name] !== undefined ? named[name] : reference;
+    });
+  }
+
+  /**
+   * Escape text for XML
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Escaped text
+   */
+  _escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+export default XSPFFormat;
@@ -2,19 +2,71 @@
 export { default as Track } from './models/Track.js';
 export { default as Playlist } from './models/Playlist.js';
 export { default as PlaybackState } from './models/PlaybackState.js';
+export { default as RepeatMode } from './models/RepeatMode.js';
 
 // Audio
 export { default as AudioEngine } from './audio/AudioEngine.js';
 export { default as HTML5AudioEngine } from './audio/HTML5AudioEngine.js';
+export { default as WebAudioEngine } from './audio/WebAudioEngine.js';
+export { default as MockAudioEngine } from './audio/MockAudioEngine.js';
 
 // Core
 export { default as PlayerEngine } from './core/PlayerEngine.js';
 export { default as QueueManager } from './core/QueueManager.js';
+export { default as EditHistory } from './core/EditHistory.js';
 
 // Runtime (Consciousness Layer)
 export { default as InteractionTracker } from './runtime/InteractionTracker.js';
 export { default as ProbabilityEngine } from './runtime/ProbabilityEngine.js';
+export { default as BlendedProbabilityEngine } from './runtime/BlendedProbabilityEngine.js';
 export { default as RuntimeClock } from './runtime/RuntimeClock.js';
+export { default as SimilarityModel } from './runtime/SimilarityModel.js';
+export { default as RandomSource } from './runtime/RandomSource.js';
+export { default as TemporalAffinity } from './runtime/TemporalAffinity.js';
+
+// Scoring factors
+export { default as ScoringFactor } from './runtime/factors/ScoringFactor.js';
+export { default as LearnedWeightFactor } from './runtime/factors/LearnedWeightFactor.js';
+export { default as RecencyFactor } from './runtime/factors/RecencyFactor.js';
+export { default as FeatureFactor } from './runtime/factors/FeatureFactor.js';
+export { default as ContinuityFactor } from './runtime/factors/ContinuityFactor.js';
+export { default as JitterFactor } from './runtime/factors/JitterFactor.js';
+export { default as TimeOfDayFactor } from './runtime/factors/TimeOfDayFactor.js';
+export { default as DiscoveryFactor } from './runtime/factors/DiscoveryFactor.js';
+
+// Profiles
+export { default as ListenerProfile } from './profiles/ListenerProfile.js';
+
+// Playlist formats
+export { default as PlaylistFormat } from './formats/PlaylistFormat.js';
+export { default as M3UFormat } from './formats/M3UFormat.js';
+export { default as PLSFormat } from './formats/PLSFormat.js';
+export { default as XSPFFormat } from './formats/XSPFFormat.js';
+export { default as JSPFFormat } from './formats/JSPFFormat.js';
+export { default as PlaylistIO } from './formats/PlaylistIO.js';
+
+// Analysis
+export { default as AudioAnalyzer } from './analysis/AudioAnalyzer.js';
+export { default as WorkerAudioAnalyzer } from './analysis/WorkerAudioAnalyzer.js';
+
+// Persistence
+export { default as StorageAdapter } from './persistence/StorageAdapter.js';
+export { default as MemoryStorageAdapter } from './persistence/MemoryStorageAdapter.js';
+export { default as LocalStorageAdapter } from './persistence/LocalStorageAdapter.js';
+export { default as IndexedDBStorageAdapter } from './persistence/IndexedDBStorageAdapter.js';
+export { default as FileStorageAdapter } from './persistence/FileStorageAdapter.js';
+export { default as LearningStore } from './persistence/LearningStore.js';
+
+// Time
+export { default as Clock } from './time/Clock.js';
+export { default as SystemClock } from './time/SystemClock.js';
+export { default as ManualClock } from './time/ManualClock.js';
+export { default as AnimationFrameClock } from './time/AnimationFrameClock.js';
+
+// Session
+export { default as SessionRecorder } from './session/SessionRecorder.js';
+export { default as SessionReplayer } from './session/SessionReplayer.js';
+export { default as ReplayAudioEngine } from './session/ReplayAudioEngine.js';
 
 // State
 export { default as StateManager } from './state/StateManager.js';
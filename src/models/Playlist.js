@@ -17,9 +17,31 @@ class Playlist {
   /**
    * Add a track to the playlist
    * @param {Track} track - Track to add
+   * @param {number} [index] - Position to insert at (defaults to the end)
    */
-  addTrack(track) {
-    this.tracks.push(track);
+  addTrack(track, index = this.tracks.length) {
+    this.insertAt(index, track);
+  }
+
+  /**
+   * Insert tracks at a position
+   * @param {number} index - Position to insert at (clamped to the playlist)
+   * @param {Track|Array<Track>} tracks - Track or tracks, in order
+   * @returns {number} Index of the first inserted track
+   */
+  insertAt(index, tracks) {
+    const added = Array.isArray(tracks) ? tracks : [tracks];
+    const position = Math.max(0, Math.min(index, this.tracks.length));
+    this.tracks.splice(position, 0, ...added);
+    return position;
+  }
+
+  /**
+   * Add tracks to the end of the playlist
+   * @param {Array<Track>} tracks - Tracks, in order
+   */
+  addTracks(tracks) {
+    this.insertAt(this.tracks.length, tracks);
   }
 
   /**
@@ -33,6 +55,131 @@ class Playlist {
     return this.tracks.length < initialLength;
   }
 
+  /**
+   * Remove the track at a position
+   * @param {number} index - Track index
+   * @returns {Track|null} Removed track, or null if the index is out of bounds
+   */
+  removeAt(index) {
+    if (index < 0 || index >= this.tracks.length) {
+      return null;
+    }
+    return this.tracks.splice(index, 1)[0];
+  }
+
+  /**
+   * Remove every track matching a predicate
+   * @param {Function} predicate - Called with (track, index); true removes the track
+   * @returns {Array<Track>} Removed tracks, in playlist order
+   */
+  removeWhere(predicate) {
+    const removed = [];
+    this.tracks = this.tracks.filter((track, index) => {
+      if (!predicate(track, index)) return true;
+      removed.push(track);
+      return false;
+    });
+    return removed;
+  }
+
+  /**
+   * Get the positions of tracks that repeat an earlier track
+   * @param {string} [by='id'] - 'id', or 'artistTitle' to match artist and title (case-insensitive)
+   * @param {Object} [options] - Options
+   * @param {number} [options.keep=-1] - Index of a copy to keep instead of the first
+   * @returns {Array<number>} Indices of the copies to remove, ascending
+   */
+  getDuplicateIndices(by = 'id', { keep = -1 } = {}) {
+    const keyOf = this._duplicateKey(by);
+    const seen = new Set(this.tracks[keep] ? [keyOf(this.tracks[keep])] : []);
+    const duplicates = [];
+    this.tracks.forEach((track, index) => {
+      if (index === keep) return;
+      const key = keyOf(track);
+      if (seen.has(key)) {
+        duplicates.push(index);
+      } else {
+        seen.add(key);
+      }
+    });
+    return duplicates;
+  }
+
+  /**
+   * Remove tracks that repeat an earlier track (the first copy is kept)
+   * @param {string} [by='id'] - 'id', or 'artistTitle' to match artist and title (case-insensitive)
+   * @returns {Array<Track>} Removed tracks
+   */
+  dedupe(by = 'id') {
+    const duplicates = new Set(this.getDuplicateIndices(by));
+    return this.removeWhere((track, index) => duplicates.has(index));
+  }
+
+  /**
+   * Move a track to another position
+   * @param {number} fromIndex - Current index
+   * @param {number} toIndex - New index
+   * @returns {boolean} True if the indices were valid
+   */
+  move(fromIndex, toIndex) {
+    const count = this.tracks.length;
+    if (fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) {
+      return false;
+    }
+    const [track] = this.tracks.splice(fromIndex, 1);
+    this.tracks.splice(toIndex, 0, track);
+    return true;
+  }
+
+  /**
+   * Get the order sort() would put the tracks in
+   * Tracks that compare equal keep their relative order.
+   * @param {string} [key='title'] - 'title', 'artist', 'album' or 'duration'
+   * @param {Object} [options] - Sort options
+   * @param {boolean} [options.descending=false] - Sort from high to low
+   * @returns {Array<number>} Current indices, in sorted order
+   */
+  getSortOrder(key = 'title', { descending = false } = {}) {
+    if (!['title', 'artist', 'album', 'duration'].includes(key)) {
+      throw new Error(`Unknown sort key: ${key}`);
+    }
+    const compare = key === 'duration'
+      ? (a, b) => (a.duration || 0) - (b.duration || 0)
+      : (a, b) => String(a[key] || '').localeCompare(String(b[key] || ''), undefined, {
+        sensitivity: 'base',
+        numeric: true
+      });
+    const direction = descending ? -1 : 1;
+
+    return this.tracks
+      .map((track, index) => index)
+      .sort((a, b) => direction * compare(this.tracks[a], this.tracks[b]));
+  }
+
+  /**
+   * Sort the tracks
+   * @param {string} [key='title'] - 'title', 'artist', 'album' or 'duration'
+   * @param {Object} [options] - Sort options
+   * @param {boolean} [options.descending=false] - Sort from high to low
+   * @returns {Array<number>} Previous indices of the tracks, in their new order
+   */
+  sort(key = 'title', options = {}) {
+    const order = this.getSortOrder(key, options);
+    this.reorder(order);
+    return order;
+  }
+
+  /**
+   * Put the tracks in a new order
+   * @param {Array<number>} order - Every current index once, in the new order
+   */
+  reorder(order) {
+    if (order.length !== this.tracks.length) {
+      throw new Error('A playlist order must list every track once');
+    }
+    this.tracks = order.map(index => this.tracks[index]);
+  }
+
   /**
    * Get track by ID
    * @param {string} trackId - Track ID
@@ -65,6 +212,23 @@ class Playlist {
   clear() {
     this.tracks = [];
   }
+
+  /**
+   * Get the function that identifies copies of a track
+   * @private
+   * @param {string} by - 'id' or 'artistTitle'
+   * @returns {Function} Track -> key
+   */
+  _duplicateKey(by) {
+    if (by === 'id') {
+      return track => track.id;
+    }
+    if (by === 'artistTitle') {
+      const normalize = value => String(value || '').trim().toLowerCase();
+      return track => `${normalize(track.artist)}\u0000${normalize(track.title)}`;
+    }
+    throw new Error(`Unknown duplicate criterion: ${by}`);
+  }
 }
 
 export default Playlist;
@@ -0,0 +1,13 @@
+/**
+ * Repeat mode enumeration
+ * - OFF: stop at the end of the queue
+ * - ALL: wrap around to the start of the queue
+ * - ONE: replay the current track when it ends
+ */
+const RepeatMode = Object.freeze({
+  OFF: 'OFF',
+  ALL: 'ALL',
+  ONE: 'ONE'
+});
+
+export default RepeatMode;
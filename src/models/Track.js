@@ -11,8 +11,15 @@ class Track {
    * @param {string} options.url - Audio file URL
    * @param {string} [options.album] - Album name (optional)
    * @param {string} [options.artwork] - Artwork URL (optional)
+   * @param {Object} [options.features] - Audio features (optional)
+   * @param {number} [options.features.tempo] - Tempo in BPM
+   * @param {string} [options.features.key] - Musical key (e.g. 'C', 'F#m', 'Bb minor')
+   * @param {number} [options.features.energy] - Intensity 0-1
+   * @param {number} [options.features.valence] - Musical positiveness 0-1
+   * @param {number} [options.features.danceability] - Rhythmic steadiness 0-1
+   * @param {Array<string>} [options.features.tags] - Mood/genre tags
    */
-  constructor({ id, title, artist, duration, url, album = '', artwork = '' }) {
+  constructor({ id, title, artist, duration, url, album = '', artwork = '', features = null }) {
     this.id = id;
     this.title = title;
     this.artist = artist;
@@ -20,6 +27,42 @@ class Track {
     this.url = url;
     this.album = album;
     this.artwork = artwork;
+    this.features = features ? { ...features, tags: [...(features.tags || [])] } : null;
+  }
+
+  /**
+   * Merge audio features into the track
+   * @param {Object} features - Features to set (see constructor)
+   */
+  setFeatures(features) {
+    const merged = { ...(this.features || {}), ...features };
+    merged.tags = [...(merged.tags || [])];
+    this.features = merged;
+  }
+
+  /**
+   * Check if the track has any audio features
+   * @returns {boolean} True if features are present
+   */
+  hasFeatures() {
+    return this.features !== null;
+  }
+
+  /**
+   * Get the track as plain data (accepted by the constructor)
+   * @returns {Object} JSON-safe track data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      artist: this.artist,
+      duration: this.duration,
+      url: this.url,
+      album: this.album,
+      artwork: this.artwork,
+      features: this.features ? { ...this.features, tags: [...(this.features.tags || [])] } : null
+    };
   }
 
   /**
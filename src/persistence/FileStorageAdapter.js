@@ -0,0 +1,85 @@
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * Node.js file system implementation of StorageAdapter
+ * Each key is stored as a JSON file in a directory. Node modules are loaded lazily,
+ * so importing this adapter is harmless in the browser.
+ */
+class FileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.directory - Directory the JSON files are written to
+   */
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    this._modules = null;
+  }
+
+  /**
+   * Load Node's fs and path modules
+   * @private
+   * @returns {Promise<{fs: Object, path: Object}>} Node modules
+   */
+  _load() {
+    if (!this._modules) {
+      this._modules = Promise.all([import('node:fs/promises'), import('node:path')])
+        .then(([fs, path]) => ({ fs, path }));
+    }
+    return this._modules;
+  }
+
+  /**
+   * Get the file path for a key
+   * @private
+   * @param {Object} path - Node path module
+   * @param {string} key - Storage key
+   * @returns {string} File path
+   */
+  _filePath(path, key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Stored value or null if missing
+   */
+  async get(key) {
+    const { fs, path } = await this._load();
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(path, key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a value
+   * Writes to a temporary file first so a crash never leaves a half-written state file.
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-safe value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const { fs, path } = await this._load();
+    const filePath = this._filePath(path, key);
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(value), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const { fs, path } = await this._load();
+    await fs.rm(this._filePath(path, key), { force: true });
+  }
+}
+
+export default FileStorageAdapter;
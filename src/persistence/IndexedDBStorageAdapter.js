@@ -0,0 +1,92 @@
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * IndexedDB implementation of StorageAdapter
+ * Suited to large interaction histories that outgrow localStorage quotas.
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {string} [options.databaseName='music-runtime-engine'] - Database name
+   * @param {string} [options.storeName='learning'] - Object store name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to window.indexedDB)
+   */
+  constructor({ databaseName = 'music-runtime-engine', storeName = 'learning', indexedDB = null } = {}) {
+    super();
+    this.databaseName = databaseName;
+    this.storeName = storeName;
+    this.factory = indexedDB || globalThis.indexedDB;
+    this._database = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @private
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  _open() {
+    if (!this._database) {
+      this._database = new Promise((resolve, reject) => {
+        const request = this.factory.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this._database = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this._database;
+  }
+
+  /**
+   * Run a single request inside a transaction
+   * @private
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async _request(mode, operation) {
+    const database = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Stored value or null if missing
+   */
+  async get(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-safe value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this._request('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+}
+
+export default IndexedDBStorageAdapter;
@@ -0,0 +1,108 @@
+import MemoryStorageAdapter from './MemoryStorageAdapter.js';
+
+/**
+ * LearningStore - Persists a listener's probability field across sessions
+ *
+ * Saves and restores the learned state of:
+ * - Every listener profile (its ProbabilityEngine and InteractionTracker)
+ * - Which profile is active, or which profiles are blended
+ * - RuntimeClock (internal time)
+ *
+ * State is written as a single versioned document through a pluggable StorageAdapter.
+ */
+class LearningStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {StorageAdapter} [options.adapter] - Storage backend (defaults to in-memory)
+   * @param {string} [options.key='learning-state'] - Key the document is stored under
+   */
+  constructor({ adapter = null, key = 'learning-state' } = {}) {
+    this.adapter = adapter || new MemoryStorageAdapter();
+    this.key = key;
+
+    // Version of the stored document
+    this.VERSION = 2;
+  }
+
+  /**
+   * Build the persisted document for a player
+   * @param {PlayerEngine} player - Player to capture
+   * @returns {Object} Versioned, JSON-safe document
+   */
+  snapshot(player) {
+    return {
+      version: this.VERSION,
+      savedAt: player.clock.now(),
+      ...player.serializeProfiles(),
+      runtimeClock: player.getRuntimeClock().serialize()
+    };
+  }
+
+  /**
+   * Apply a persisted document to a player
+   * Version 1 documents hold a single field, which is restored into the active profile.
+   * @param {PlayerEngine} player - Player to restore into
+   * @param {Object} document - Document produced by snapshot()
+   */
+  apply(player, document) {
+    if (!document || document.version > this.VERSION) {
+      throw new Error(`Unsupported learning state version: ${document && document.version}`);
+    }
+    if (document.profiles) {
+      player.restoreProfiles(document);
+    } else {
+      player.getActiveProfile().restore(document);
+    }
+    if (document.runtimeClock) {
+      player.getRuntimeClock().restore(document.runtimeClock);
+    }
+  }
+
+  /**
+   * Save a player's learned state
+   * @param {PlayerEngine} player - Player to save
+   * @returns {Promise<void>}
+   */
+  async save(player) {
+    await this.adapter.set(this.key, this.snapshot(player));
+  }
+
+  /**
+   * Restore a player's learned state
+   * @param {PlayerEngine} player - Player to restore into
+   * @returns {Promise<boolean>} True if saved state was found and applied
+   */
+  async restore(player) {
+    const document = await this.adapter.get(this.key);
+    if (!document) return false;
+    this.apply(player, document);
+    return true;
+  }
+
+  /**
+   * Delete saved state
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.remove(this.key);
+  }
+
+  /**
+   * Save automatically whenever the player learns something new
+   * @param {PlayerEngine} player - Player to watch
+   * @param {Object} [options] - Auto-save options
+   * @param {Function} [options.onError] - Called when a save fails
+   * @returns {Function} Detach function
+   */
+  attach(player, { onError = null } = {}) {
+    const handler = () => {
+      this.save(player).catch(error => {
+        if (onError) onError(error);
+      });
+    };
+    player.on('trackfeedback', handler);
+    return () => player.off('trackfeedback', handler);
+  }
+}
+
+export default LearningStore;
@@ -0,0 +1,48 @@
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * Web Storage (localStorage) implementation of StorageAdapter
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {Storage} [options.storage] - Storage object (defaults to window.localStorage)
+   * @param {string} [options.prefix='music-runtime:'] - Prefix added to every key
+   */
+  constructor({ storage = null, prefix = 'music-runtime:' } = {}) {
+    super();
+    this.storage = storage || globalThis.localStorage;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Stored value or null if missing
+   */
+  async get(key) {
+    const raw = this.storage.getItem(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-safe value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(value));
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,44 @@
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * In-memory implementation of StorageAdapter
+ * State lives as long as the adapter does - useful for tests and sessions without storage.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Stored value or null if missing
+   */
+  async get(key) {
+    if (!this.entries.has(key)) return null;
+    // Stored as JSON so callers never share references with the store
+    return JSON.parse(this.entries.get(key));
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-safe value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.entries.set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.entries.delete(key);
+  }
+}
+
+export default MemoryStorageAdapter;
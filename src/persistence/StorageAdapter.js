@@ -0,0 +1,36 @@
+/**
+ * Storage Adapter interface
+ * Abstract key-value storage used to persist learned runtime state.
+ * Values are plain JSON-safe objects.
+ */
+class StorageAdapter {
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Stored value or null if missing
+   */
+  get(key) {
+    throw new Error('Method get() must be implemented');
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {Object} value - JSON-safe value
+   * @returns {Promise<void>}
+   */
+  set(key, value) {
+    throw new Error('Method set() must be implemented');
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  remove(key) {
+    throw new Error('Method remove() must be implemented');
+  }
+}
+
+export default StorageAdapter;
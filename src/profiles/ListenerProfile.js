@@ -0,0 +1,73 @@
+/**
+ * ListenerProfile - One listener's learned state
+ *
+ * Bundles the interaction history (InteractionTracker) and the probability
+ * field (ProbabilityEngine, with its track weights, constraints and settings)
+ * that belong to one person, so listeners sharing a device train separate fields.
+ */
+class ListenerProfile {
+  /**
+   * @param {Object} options - Profile options
+   * @param {string} options.id - Profile ID
+   * @param {string} [options.name] - Display name (defaults to the ID)
+   * @param {InteractionTracker} options.interactionTracker - The listener's interaction history
+   * @param {ProbabilityEngine} options.probabilityEngine - The listener's probability field
+   */
+  constructor({ id, name = null, interactionTracker, probabilityEngine }) {
+    if (!id) {
+      throw new Error('Listener profiles need an id');
+    }
+    this.id = id;
+    this.name = name || id;
+    this.interactionTracker = interactionTracker;
+    this.probabilityEngine = probabilityEngine;
+
+    // Version of the format produced by serialize()
+    this.SERIALIZATION_VERSION = 1;
+  }
+
+  /**
+   * Get the listener's interaction history
+   * @returns {InteractionTracker} Interaction tracker
+   */
+  getInteractionTracker() {
+    return this.interactionTracker;
+  }
+
+  /**
+   * Get the listener's probability field
+   * @returns {ProbabilityEngine} Probability engine
+   */
+  getProbabilityEngine() {
+    return this.probabilityEngine;
+  }
+
+  /**
+   * Serialize the profile's learned state for persistence
+   * @returns {Object} Plain, JSON-safe state
+   */
+  serialize() {
+    return {
+      version: this.SERIALIZATION_VERSION,
+      id: this.id,
+      name: this.name,
+      probabilityEngine: this.probabilityEngine.serialize(),
+      interactionTracker: this.interactionTracker.serialize()
+    };
+  }
+
+  /**
+   * Restore learned state produced by serialize()
+   * @param {Object} data - Serialized state
+   */
+  restore(data) {
+    if (!data || data.version > this.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported ListenerProfile state version: ${data && data.version}`);
+    }
+    if (data.name) this.name = data.name;
+    if (data.probabilityEngine) this.probabilityEngine.restore(data.probabilityEngine);
+    if (data.interactionTracker) this.interactionTracker.restore(data.interactionTracker);
+  }
+}
+
+export default ListenerProfile;
@@ -0,0 +1,128 @@
+import ProbabilityEngine from './ProbabilityEngine.js';
+
+/**
+ * BlendedProbabilityEngine - Merges several listeners' probability fields
+ *
+ * Each member engine weighs the tracks as it would on its own; the blend takes
+ * the weighted geometric mean of those weights, so a track only does well if
+ * it suits everyone listening. Explanations break each weight down by member.
+ *
+ * Hard constraints come from the members: any member's bans apply, pins are
+ * combined and the widest no-repeat windows win. Plays, selections and listening
+ * feedback are passed on to every member, so each keeps learning.
+ */
+class BlendedProbabilityEngine extends ProbabilityEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Array<{name: string, engine: ProbabilityEngine, weight?: number}>} options.members - Fields to blend
+   * @param {RandomSource} [options.random] - Random source for selection
+   * @param {Clock} [options.clock] - Time source
+   * @param {number} [options.explorationRate=0] - Share of selections made uniformly at random (0-1)
+   * @param {number} [options.temperature=1] - Softmax temperature for the blended field
+   * @param {number} [options.maxExplanations=20] - Selection explanations to keep
+   */
+  constructor({ members, random = null, clock = null, explorationRate = 0, temperature = 1, maxExplanations = 20 }) {
+    super({ random, clock, explorationRate, temperature, maxExplanations, factors: [] });
+    if (!members || members.length === 0) {
+      throw new Error('A blend needs at least one probability engine');
+    }
+    this.members = members.map(({ name, engine, weight = 1 }) => ({ name, engine, weight: Math.max(0, weight) }));
+  }
+
+  /**
+   * Get the blended members
+   * @returns {Array<{name: string, engine: ProbabilityEngine, weight: number}>} Members
+   */
+  getMembers() {
+    return this.members.map(member => ({ ...member }));
+  }
+
+  /**
+   * Initialize or update track weights in every member
+   * @param {Array<Track>} tracks - Available tracks
+   */
+  initializeTracks(tracks) {
+    this.members.forEach(({ engine }) => engine.initializeTracks(tracks));
+  }
+
+  /**
+   * Weigh each track by every member and merge the weights
+   * @private
+   * @param {Array<Track>} tracks - Tracks to score
+   * @param {Object} context - Current listening context
+   * @param {Array<Track>} [knownTracks] - Tracks to look recent track IDs up in (defaults to tracks)
+   * @returns {Map<string, {weight: number, probability: number, factors: Object}>} Scores by track ID;
+   *   factors maps each member's name to its share of the weight
+   */
+  _scoreTracks(tracks, context = {}, knownTracks = tracks) {
+    const totalWeight = this.members.reduce((total, member) => total + member.weight, 0) || 1;
+    const memberScores = this.members.map(({ engine }) => engine._scoreTracks(tracks, context, knownTracks));
+
+    const scores = new Map();
+    tracks.forEach(track => {
+      const factors = {};
+      let weight = 1;
+      this.members.forEach((member, i) => {
+        const multiplier = Math.pow(memberScores[i].get(track.id).weight, member.weight / totalWeight);
+        factors[member.name] = multiplier;
+        weight *= multiplier;
+      });
+      scores.set(track.id, { weight: Math.max(weight, 0.01), probability: 0, factors });
+    });
+
+    return this._normalizeScores(scores);
+  }
+
+  /**
+   * Apply the members' hard constraints to a set of tracks
+   * @param {Array<Track>} tracks - Available tracks
+   * @param {string} [currentTrackId] - Track playing now
+   * @returns {{candidates: Array<Track>, relaxed: Array<string>}} Eligible tracks and relaxed constraints
+   */
+  getCandidates(tracks, currentTrackId = null) {
+    const engines = this.members.map(({ engine }) => engine);
+    this.noRepeatTracks = Math.max(...engines.map(engine => engine.noRepeatTracks));
+    this.noRepeatArtists = Math.max(...engines.map(engine => engine.noRepeatArtists));
+    this.pinnedTracks = new Set(engines.flatMap(engine => Array.from(engine.pinnedTracks)));
+    return super.getCandidates(tracks, currentTrackId);
+  }
+
+  /**
+   * Check if any member bans a track
+   * @param {Track} track - Track
+   * @returns {boolean} True if banned
+   */
+  isBanned(track) {
+    return super.isBanned(track) || this.members.some(({ engine }) => engine.isBanned(track));
+  }
+
+  /**
+   * Record a play in the blend and every member
+   * @param {Track} track - Played track
+   */
+  recordPlay(track) {
+    super.recordPlay(track);
+    this.members.forEach(({ engine }) => engine.recordPlay(track));
+  }
+
+  /**
+   * Teach every member from a track's outcome
+   * @param {string} trackId - Track ID
+   * @param {Object} feedback - Listening feedback
+   */
+  updateTrackWeight(trackId, feedback = {}) {
+    this.members.forEach(({ engine }) => engine.updateTrackWeight(trackId, feedback));
+  }
+
+  /**
+   * Add a track to the recently selected tracks of the blend and every member
+   * @private
+   * @param {string} trackId - Track ID
+   */
+  _rememberRecent(trackId) {
+    super._rememberRecent(trackId);
+    this.members.forEach(({ engine }) => engine._rememberRecent(trackId));
+  }
+}
+
+export default BlendedProbabilityEngine;
@@ -1,3 +1,5 @@
+import SystemClock from '../time/SystemClock.js';
+
 /**
  * InteractionTracker - Monitors and analyzes user interaction patterns
  * 
@@ -9,7 +11,13 @@
  * - Time of day patterns
  */
 class InteractionTracker {
-  constructor() {
+  /**
+   * @param {Object} [options] - Tracker options
+   * @param {Clock} [options.clock] - Time source (defaults to SystemClock)
+   */
+  constructor({ clock = null } = {}) {
+    this.clock = clock || new SystemClock();
+    this.eventListeners = {};
     this.interactions = {
       volumeChanges: [],
       pauses: [],
@@ -26,13 +34,16 @@ class InteractionTracker {
       interactionDensity: 0 // Overall interaction intensity
     };
     
-    this.startTime = Date.now();
+    this.startTime = this.clock.now();
     this.currentTrackStart = null;
     this.currentTrackDuration = 0;
     
     // Constants for activity calculation
     this.RECENT_ACTIVITY_THRESHOLD_MINUTES = 5;
     this.MAX_INACTIVITY_MINUTES = 30;
+
+    // Version of the format produced by serialize()
+    this.SERIALIZATION_VERSION = 1;
   }
 
   /**
@@ -41,14 +52,16 @@ class InteractionTracker {
    * @param {number} newVolume - New volume level
    */
   recordVolumeChange(oldVolume, newVolume) {
-    const now = Date.now();
-    this.interactions.volumeChanges.push({
+    const now = this.clock.now();
+    const entry = {
       timestamp: now,
       magnitude: Math.abs(newVolume - oldVolume),
       direction: newVolume > oldVolume ? 'up' : 'down'
-    });
+    };
+    this.interactions.volumeChanges.push(entry);
     this.interactions.lastInteractionTime = now;
     this._updateMetrics();
+    this._emit('interaction', { type: 'volumechange', ...entry });
   }
 
   /**
@@ -56,14 +69,16 @@ class InteractionTracker {
    * @param {number} trackProgress - How far into the track (0-1)
    */
   recordPause(trackProgress) {
-    const now = Date.now();
-    this.interactions.pauses.push({
+    const now = this.clock.now();
+    const entry = {
       timestamp: now,
       trackProgress,
       timeOfDay: new Date(now).getHours()
-    });
+    };
+    this.interactions.pauses.push(entry);
     this.interactions.lastInteractionTime = now;
     this._updateMetrics();
+    this._emit('interaction', { type: 'pause', ...entry });
   }
 
   /**
@@ -72,15 +87,17 @@ class InteractionTracker {
    * @param {string} trackId - ID of skipped track
    */
   recordSkip(trackProgress, trackId) {
-    const now = Date.now();
-    this.interactions.skips.push({
+    const now = this.clock.now();
+    const entry = {
       timestamp: now,
       trackProgress,
       trackId,
       timeOfDay: new Date(now).getHours()
-    });
+    };
+    this.interactions.skips.push(entry);
     this.interactions.lastInteractionTime = now;
     this._updateMetrics();
+    this._emit('interaction', { type: 'skip', ...entry });
   }
 
   /**
@@ -88,8 +105,9 @@ class InteractionTracker {
    * @param {number} duration - Track duration in seconds
    */
   startTrack(duration) {
-    this.currentTrackStart = Date.now();
+    this.currentTrackStart = this.clock.now();
     this.currentTrackDuration = duration;
+    this._emit('interaction', { type: 'trackstart', timestamp: this.currentTrackStart, duration });
   }
 
   /**
@@ -99,12 +117,14 @@ class InteractionTracker {
   completeTrack(actualListenTime) {
     if (this.currentTrackStart && this.currentTrackDuration > 0) {
       const listenPercentage = Math.min(actualListenTime / this.currentTrackDuration, 1);
-      this.interactions.listenDurations.push({
-        timestamp: Date.now(),
+      const entry = {
+        timestamp: this.clock.now(),
         percentage: listenPercentage,
         duration: actualListenTime
-      });
+      };
+      this.interactions.listenDurations.push(entry);
       this._updateMetrics();
+      this._emit('interaction', { type: 'trackcomplete', ...entry });
     }
     this.currentTrackStart = null;
   }
@@ -114,7 +134,7 @@ class InteractionTracker {
    * @private
    */
   _updateMetrics() {
-    const now = Date.now();
+    const now = this.clock.now();
     const runtimeMinutes = (now - this.startTime) / (1000 * 60);
     const runtimeHours = runtimeMinutes / 60;
 
@@ -195,7 +215,7 @@ class InteractionTracker {
    * @returns {Object} Current context including time and patterns
    */
   getContext() {
-    const now = new Date();
+    const now = new Date(this.clock.now());
     return {
       hour: now.getHours(),
       dayOfWeek: now.getDay(),
@@ -205,6 +225,81 @@ class InteractionTracker {
     };
   }
 
+  /**
+   * Register event listener
+   * @param {string} event - Event name (interaction)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Unregister event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event to registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Serialize interaction history for persistence
+   * @returns {Object} Plain, JSON-safe state
+   */
+  serialize() {
+    return {
+      version: this.SERIALIZATION_VERSION,
+      interactions: {
+        volumeChanges: this.interactions.volumeChanges.map(entry => ({ ...entry })),
+        pauses: this.interactions.pauses.map(entry => ({ ...entry })),
+        skips: this.interactions.skips.map(entry => ({ ...entry })),
+        listenDurations: this.interactions.listenDurations.map(entry => ({ ...entry })),
+        lastInteractionTime: this.interactions.lastInteractionTime
+      },
+      // Runtime is stored as elapsed time so time spent offline does not dilute the rates
+      elapsedTime: this.clock.now() - this.startTime
+    };
+  }
+
+  /**
+   * Restore interaction history produced by serialize()
+   * @param {Object} data - Serialized state
+   */
+  restore(data) {
+    if (!data || data.version > this.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported InteractionTracker state version: ${data && data.version}`);
+    }
+    const interactions = data.interactions || {};
+    this.interactions = {
+      volumeChanges: [...(interactions.volumeChanges || [])],
+      pauses: [...(interactions.pauses || [])],
+      skips: [...(interactions.skips || [])],
+      listenDurations: [...(interactions.listenDurations || [])],
+      lastInteractionTime: interactions.lastInteractionTime || null
+    };
+    this.startTime = this.clock.now() - (data.elapsedTime || 0);
+    this.currentTrackStart = null;
+    this._updateMetrics();
+  }
+
   /**
    * Reset all tracking data
    */
@@ -223,7 +318,7 @@ class InteractionTracker {
       averageListenDuration: 0,
       interactionDensity: 0
     };
-    this.startTime = Date.now();
+    this.startTime = this.clock.now();
   }
 }
 
@@ -1,3 +1,15 @@
+import SimilarityModel from './SimilarityModel.js';
+import RandomSource from './RandomSource.js';
+import TemporalAffinity from './TemporalAffinity.js';
+import SystemClock from '../time/SystemClock.js';
+import LearnedWeightFactor from './factors/LearnedWeightFactor.js';
+import RecencyFactor from './factors/RecencyFactor.js';
+import FeatureFactor from './factors/FeatureFactor.js';
+import ContinuityFactor from './factors/ContinuityFactor.js';
+import JitterFactor from './factors/JitterFactor.js';
+import TimeOfDayFactor from './factors/TimeOfDayFactor.js';
+import DiscoveryFactor from './factors/DiscoveryFactor.js';
+
 /**
  * ProbabilityEngine - Manages probability-based track selection
  * 
@@ -6,19 +18,97 @@
  * - User interaction patterns
  * - Current energy level
  * - Flow state
- * - Time context
+ * - Time context, learned per track and tag from when tracks are finished or skipped
  * - Track history
+ *
+ * Each influence is a scoring factor (see ScoringFactor); the built-in ones are
+ * registered by default and custom factors can be added, tuned or disabled.
+ *
+ * On top of the soft weighting, selection honours hard constraints: the current
+ * track, no-repeat windows by track and artist, and the listener's bans and pins.
+ * When the constraints leave nothing, they are relaxed one at a time.
+ *
+ * Learning can be tempered: learned weights can decay back to the baseline over
+ * time, selection can explore (a share of uniform picks and a softmax temperature),
+ * and tracks that were never played can get a discovery boost.
+ *
+ * Every selection is explained: each candidate's weight is broken down into the
+ * multiplicative contribution of each factor, and the last explanations are kept.
  */
 class ProbabilityEngine {
-  constructor() {
+  /**
+   * @param {Object} [options] - Engine options
+   * @param {SimilarityModel} [options.similarityModel] - Track similarity measure used for flow continuity
+   * @param {RandomSource} [options.random] - Random source for selection and jitter
+   * @param {number} [options.noRepeatTracks=0] - Plays before a track may be selected again
+   * @param {number} [options.noRepeatArtists=0] - Plays before an artist may be selected again
+   * @param {number} [options.maxExplanations=20] - Selection explanations to keep
+   * @param {Array<ScoringFactor>} [options.factors] - Scoring factors (defaults to the built-in ones)
+   * @param {Clock} [options.clock] - Time source for weight decay (defaults to SystemClock)
+   * @param {number} [options.decayHalfLife=0] - Milliseconds for a learned weight to get halfway
+   *   back to the baseline (0 = never decay)
+   * @param {number} [options.explorationRate=0] - Share of selections made uniformly at random (0-1)
+   * @param {number} [options.temperature=1] - Softmax temperature: above 1 flattens the field, below 1 sharpens it
+   * @param {number} [options.discoveryBoost=1] - Weight multiplier for tracks that were never played
+   */
+  constructor({
+    similarityModel = null,
+    random = null,
+    noRepeatTracks = 0,
+    noRepeatArtists = 0,
+    maxExplanations = 20,
+    factors = null,
+    clock = null,
+    decayHalfLife = 0,
+    explorationRate = 0,
+    temperature = 1,
+    discoveryBoost = 1
+  } = {}) {
+    this.similarityModel = similarityModel || new SimilarityModel();
+    this.random = random || new RandomSource();
+    this.clock = clock || new SystemClock();
     this.trackWeights = new Map(); // trackId -> weight
+    this.weightUpdatedAt = new Map(); // trackId -> clock time of the last weight update
+    this.playCounts = new Map(); // trackId -> plays
     this.baseWeight = 1.0;
     this.recentTracks = []; // Recently played track IDs
     this.maxRecentTracks = 5;
+    this.temporalAffinity = new TemporalAffinity(); // When each track is wanted
+
+    // Hard constraints
+    this.recentPlays = []; // { trackId, artist } of every play, most recent first
+    this.noRepeatTracks = noRepeatTracks;
+    this.noRepeatArtists = noRepeatArtists;
+    this.bannedTracks = new Set();
+    this.bannedArtists = new Set(); // Lowercased artist names
+    this.pinnedTracks = new Set(); // When not empty, only these tracks are selected
+    this.MAX_RECENT_PLAYS = 100;
+
+    // Selection explanations, oldest first
+    this.explanations = [];
+    this.maxExplanations = maxExplanations;
+    this.eventListeners = {};
     
     // Constants for weight bounds
     this.MIN_WEIGHT = 0.1;
     this.MAX_WEIGHT = 5.0;
+    this.MIN_TEMPERATURE = 0.05;
+
+    // Exploration and exploitation
+    this.decayHalfLife = 0;
+    this.explorationRate = 0;
+    this.temperature = 1;
+    this.discoveryBoost = 1;
+    this.setDecayHalfLife(decayHalfLife);
+    this.setExploration({ rate: explorationRate, temperature });
+    this.setDiscoveryBoost(discoveryBoost);
+
+    // Scoring factors, applied in order
+    this.factors = [];
+    (factors || this._createDefaultFactors()).forEach(factor => this.addFactor(factor));
+
+    // Version of the format produced by serialize()
+    this.SERIALIZATION_VERSION = 1;
   }
 
   /**
@@ -40,48 +130,69 @@ class ProbabilityEngine {
    * @returns {Map<string, number>} Track ID to probability mapping
    */
   calculateProbabilities(tracks, context = {}) {
-    const { energy = 0.5, flow = 0.5, hour = 12, skipRate = 0 } = context;
-    
     const probabilities = new Map();
-    let totalWeight = 0;
+    this._scoreTracks(tracks, context).forEach(({ probability }, trackId) => {
+      probabilities.set(trackId, probability);
+    });
+    return probabilities;
+  }
 
-    tracks.forEach(track => {
-      let weight = this.trackWeights.get(track.id) || this.baseWeight;
+  /**
+   * Weigh each track and break its weight down by factor
+   * @private
+   * @param {Array<Track>} tracks - Tracks to score
+   * @param {Object} context - Current listening context
+   * @param {Array<Track>} [knownTracks] - Tracks to look recent track IDs up in (defaults to tracks)
+   * @returns {Map<string, {weight: number, probability: number, factors: Object}>} Scores by track ID;
+   *   factors maps each enabled factor's name to its multiplier
+   */
+  _scoreTracks(tracks, context = {}, knownTracks = tracks) {
+    const scores = new Map();
+    const tracksById = new Map(knownTracks.map(track => [track.id, track]));
+    const recentTracks = this.recentTracks
+      .map(trackId => tracksById.get(trackId))
+      .filter(Boolean);
+    const scoringContext = { energy: 0.5, flow: 0.5, hour: 12, ...context, recentTracks };
+    const activeFactors = this.factors.filter(factor => factor.enabled !== false);
 
-      // Reduce probability for recently played tracks
-      const recentIndex = this.recentTracks.indexOf(track.id);
-      if (recentIndex !== -1) {
-        const recency = (this.maxRecentTracks - recentIndex) / this.maxRecentTracks;
-        weight *= (1 - recency * 0.7); // Up to 70% reduction for most recent
-      }
+    tracks.forEach(track => {
+      const factors = {};
+      let weight = 1;
+      activeFactors.forEach(factor => {
+        const influence = typeof factor.weight === 'number' ? factor.weight : 1;
+        const multiplier = Math.pow(Math.max(factor.score(track, scoringContext, this), 0), influence);
+        factors[factor.name] = multiplier;
+        weight *= multiplier;
+      });
 
-      // Energy influence (higher energy = prefer different characteristics)
-      // This is a placeholder - in reality, tracks would have metadata
-      weight *= (1 + (energy - 0.5) * 0.3);
-
-      // Flow state influence (high flow = maintain continuity)
-      if (flow > 0.7) {
-        // Prefer tracks similar to recent ones (simplified)
-        weight *= 1.2;
-      } else if (flow < 0.3) {
-        // More random selection when flow is broken
-        weight *= (0.8 + Math.random() * 0.4);
-      }
+      scores.set(track.id, { weight: Math.max(weight, 0.01), probability: 0, factors });
+    });
 
-      // Time of day influence
-      const timeWeight = this._getTimeWeight(hour);
-      weight *= timeWeight;
+    return this._normalizeScores(scores);
+  }
 
-      probabilities.set(track.id, Math.max(weight, 0.01));
-      totalWeight += probabilities.get(track.id);
+  /**
+   * Turn weights into probabilities (sum to 1), sharpened or flattened by the
+   * temperature and mixed with a uniform share for exploration
+   * @private
+   * @param {Map<string, Object>} scores - Scores by track ID, probabilities filled in place
+   * @returns {Map<string, Object>} The same scores
+   */
+  _normalizeScores(scores) {
+    const exponent = 1 / this.temperature;
+    let totalSharpened = 0;
+    scores.forEach(score => {
+      score.probability = exponent === 1 ? score.weight : Math.pow(score.weight, exponent);
+      totalSharpened += score.probability;
     });
-
-    // Normalize to probabilities (sum to 1)
-    probabilities.forEach((weight, trackId) => {
-      probabilities.set(trackId, weight / totalWeight);
+    scores.forEach(score => {
+      const exploited = score.probability / totalSharpened;
+      score.probability = this.explorationRate > 0
+        ? exploited * (1 - this.explorationRate) + this.explorationRate / scores.size
+        : exploited;
     });
 
-    return probabilities;
+    return scores;
   }
 
   /**
@@ -93,40 +204,322 @@ class ProbabilityEngine {
   selectNextTrack(tracks, context = {}) {
     if (tracks.length === 0) return null;
 
-    const probabilities = this.calculateProbabilities(tracks, context);
+    const { candidates, relaxed } = this.getCandidates(tracks, context.currentTrackId);
+    const scores = this._scoreTracks(candidates, context, tracks);
     
     // Weighted random selection
-    const random = Math.random();
+    const random = this.random.next();
     let cumulative = 0;
     
-    for (const track of tracks) {
-      cumulative += probabilities.get(track.id) || 0;
+    // Fallback to last track (should rarely happen due to floating point)
+    let selected = candidates[candidates.length - 1];
+    for (const track of candidates) {
+      cumulative += scores.get(track.id).probability;
       if (random < cumulative) {
-        this._recordSelection(track.id);
-        return track;
+        selected = track;
+        break;
       }
     }
 
-    // Fallback to last track (should rarely happen due to floating point)
-    const fallback = tracks[tracks.length - 1];
-    this._recordSelection(fallback.id);
-    return fallback;
+    this._recordSelection(selected);
+    this._explainSelection(selected, scores, context, relaxed, tracks.length - candidates.length);
+    return selected;
+  }
+
+  /**
+   * Store and announce why a track was selected
+   * @private
+   * @param {Track} track - Selected track
+   * @param {Map<string, Object>} scores - Candidate scores from _scoreTracks()
+   * @param {Object} context - Listening context
+   * @param {Array<string>} relaxed - Constraints relaxed to find candidates
+   * @param {number} excluded - Tracks removed by constraints
+   */
+  _explainSelection(track, scores, context, relaxed, excluded) {
+    const candidates = Array.from(scores.entries())
+      .map(([trackId, { weight, probability, factors }]) => ({ trackId, weight, probability, factors: { ...factors } }))
+      .sort((a, b) => b.probability - a.probability);
+
+    const explanation = {
+      track,
+      trackId: track.id,
+      probability: scores.get(track.id).probability,
+      factors: { ...scores.get(track.id).factors },
+      context: { ...context },
+      relaxed: [...relaxed],
+      excluded,
+      candidates
+    };
+
+    this.explanations.push(explanation);
+    if (this.explanations.length > this.maxExplanations) {
+      this.explanations.shift();
+    }
+    this._emit('selection', explanation);
+  }
+
+  /**
+   * Get the explanations of the most recent selections
+   * Each explanation holds the selected track, its probability and factor breakdown,
+   * the context, the constraints relaxed and every candidate's breakdown.
+   * @returns {Array<Object>} Explanations, oldest first
+   */
+  getExplanations() {
+    return [...this.explanations];
+  }
+
+  /**
+   * Get the explanation of the latest selection
+   * @returns {Object|null} Explanation or null if nothing was selected yet
+   */
+  getLastExplanation() {
+    return this.explanations.length > 0 ? this.explanations[this.explanations.length - 1] : null;
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name (selection)
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Unregister event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event to registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  /**
+   * Apply the hard constraints to a set of tracks
+   * Constraints are relaxed from the weakest (artist window) to the strongest (bans)
+   * until at least one track is left, so a non-empty set always yields candidates.
+   * @param {Array<Track>} tracks - Available tracks
+   * @param {string} [currentTrackId] - Track playing now, never selected unless nothing else is left
+   * @returns {{candidates: Array<Track>, relaxed: Array<string>}} Eligible tracks and the names of
+   *   the constraints that had to be dropped, in order ('artistWindow', 'trackWindow', 'pins',
+   *   'current', 'bans')
+   */
+  getCandidates(tracks, currentTrackId = null) {
+    const recentTrackIds = new Set(this.recentPlays.slice(0, this.noRepeatTracks).map(play => play.trackId));
+    const recentArtists = new Set(this.recentPlays.slice(0, this.noRepeatArtists)
+      .map(play => play.artist)
+      .filter(Boolean));
+
+    // Strongest first
+    const constraints = [
+      { name: 'bans', allows: track => !this.isBanned(track) },
+      { name: 'current', allows: track => track.id !== currentTrackId },
+      { name: 'pins', allows: track => this.pinnedTracks.size === 0 || this.pinnedTracks.has(track.id) },
+      { name: 'trackWindow', allows: track => !recentTrackIds.has(track.id) },
+      { name: 'artistWindow', allows: track => !recentArtists.has(this._artistKey(track.artist)) }
+    ];
+
+    // Drop constraints from the weakest until something is left
+    const relaxed = [];
+    for (let active = constraints.length; active > 0; active--) {
+      const applied = constraints.slice(0, active);
+      const candidates = tracks.filter(track => applied.every(constraint => constraint.allows(track)));
+      if (candidates.length > 0) {
+        return { candidates, relaxed };
+      }
+      relaxed.push(constraints[active - 1].name);
+    }
+    return { candidates: [...tracks], relaxed };
+  }
+
+  /**
+   * Record a play for the no-repeat windows
+   * Selections made by selectNextTrack() are recorded automatically; call this for
+   * tracks played any other way (sequentially, from Up Next, chosen by the listener).
+   * @param {Track} track - Played track
+   */
+  recordPlay(track) {
+    this.playCounts.set(track.id, this.getPlayCount(track.id) + 1);
+    this.recentPlays.unshift({ trackId: track.id, artist: this._artistKey(track.artist) });
+    if (this.recentPlays.length > this.MAX_RECENT_PLAYS) {
+      this.recentPlays.pop();
+    }
+  }
+
+  /**
+   * Set the no-repeat windows
+   * @param {Object} windows - Window sizes in plays (0 to disable)
+   * @param {number} [windows.tracks] - Plays before a track may be selected again
+   * @param {number} [windows.artists] - Plays before an artist may be selected again
+   */
+  setNoRepeatWindow({ tracks = this.noRepeatTracks, artists = this.noRepeatArtists } = {}) {
+    this.noRepeatTracks = Math.max(0, Math.min(tracks, this.MAX_RECENT_PLAYS));
+    this.noRepeatArtists = Math.max(0, Math.min(artists, this.MAX_RECENT_PLAYS));
+  }
+
+  /**
+   * Get how often a track was played
+   * @param {string} trackId - Track ID
+   * @returns {number} Plays counted by recordPlay()
+   */
+  getPlayCount(trackId) {
+    return this.playCounts.get(trackId) || 0;
+  }
+
+  /**
+   * Set how fast learned weights return to the baseline
+   * @param {number} halfLife - Milliseconds to get halfway back (0 = never decay)
+   */
+  setDecayHalfLife(halfLife) {
+    this.decayHalfLife = Math.max(0, halfLife || 0);
+  }
+
+  /**
+   * Set how much selection explores instead of following the weights
+   * @param {Object} exploration - Exploration settings
+   * @param {number} [exploration.rate] - Share of selections made uniformly at random (0-1)
+   * @param {number} [exploration.temperature] - Softmax temperature (1 = weights as they are)
+   */
+  setExploration({ rate = this.explorationRate, temperature = this.temperature } = {}) {
+    this.explorationRate = Math.max(0, Math.min(rate, 1));
+    this.temperature = Math.max(this.MIN_TEMPERATURE, temperature);
+  }
+
+  /**
+   * Set the weight multiplier for tracks that were never played
+   * @param {number} boost - Multiplier (1 = no boost)
+   */
+  setDiscoveryBoost(boost) {
+    this.discoveryBoost = Math.max(0, boost);
+  }
+
+  /**
+   * Get the decay, exploration and discovery settings
+   * @returns {{decayHalfLife: number, explorationRate: number, temperature: number, discoveryBoost: number}} Settings
+   */
+  getLearningSettings() {
+    return {
+      decayHalfLife: this.decayHalfLife,
+      explorationRate: this.explorationRate,
+      temperature: this.temperature,
+      discoveryBoost: this.discoveryBoost
+    };
+  }
+
+  /**
+   * Never select a track
+   * @param {string} trackId - Track ID
+   */
+  banTrack(trackId) {
+    this.bannedTracks.add(trackId);
+  }
+
+  /**
+   * Allow a banned track again
+   * @param {string} trackId - Track ID
+   */
+  unbanTrack(trackId) {
+    this.bannedTracks.delete(trackId);
+  }
+
+  /**
+   * Never select tracks by an artist
+   * @param {string} artist - Artist name (case-insensitive)
+   */
+  banArtist(artist) {
+    this.bannedArtists.add(this._artistKey(artist));
+  }
+
+  /**
+   * Allow a banned artist again
+   * @param {string} artist - Artist name (case-insensitive)
+   */
+  unbanArtist(artist) {
+    this.bannedArtists.delete(this._artistKey(artist));
+  }
+
+  /**
+   * Check if a track is banned, by ID or artist
+   * @param {Track} track - Track
+   * @returns {boolean} True if banned
+   */
+  isBanned(track) {
+    return this.bannedTracks.has(track.id) || this.bannedArtists.has(this._artistKey(track.artist));
+  }
+
+  /**
+   * Restrict selection to pinned tracks
+   * @param {string} trackId - Track ID
+   */
+  pinTrack(trackId) {
+    this.pinnedTracks.add(trackId);
+  }
+
+  /**
+   * Remove a track from the pinned set (selection is unrestricted once it is empty)
+   * @param {string} trackId - Track ID
+   */
+  unpinTrack(trackId) {
+    this.pinnedTracks.delete(trackId);
+  }
+
+  /**
+   * Get bans and pins
+   * @returns {{bannedTracks: Array<string>, bannedArtists: Array<string>, pinnedTracks: Array<string>}}
+   *   Track IDs and lowercased artist names
+   */
+  getConstraints() {
+    return {
+      bannedTracks: [...this.bannedTracks],
+      bannedArtists: [...this.bannedArtists],
+      pinnedTracks: [...this.pinnedTracks]
+    };
+  }
+
+  /**
+   * Remove all bans and pins
+   */
+  clearConstraints() {
+    this.bannedTracks.clear();
+    this.bannedArtists.clear();
+    this.pinnedTracks.clear();
   }
 
   /**
    * Update track weight based on listening behavior
    * @param {string} trackId - Track ID
-   * @param {Object} feedback - Listening feedback
+   * @param {Object} feedback - Listening feedback; with an hour (and optionally a
+   *   dayOfWeek and the track's tags) it also teaches when the track is wanted
    */
   updateTrackWeight(trackId, feedback = {}) {
     const { 
       listenPercentage = 1.0,  // How much of the track was listened to
       skipped = false,          // Was it skipped?
       volumeChanges = 0,        // Number of volume changes during track
-      paused = false            // Was it paused?
+      paused = false,           // Was it paused?
+      hour,                     // When it happened
+      dayOfWeek,
+      tags = []                 // The track's tags
     } = feedback;
 
-    let currentWeight = this.trackWeights.get(trackId) || this.baseWeight;
+    let currentWeight = this.getTrackWeight(trackId);
     
     // Positive feedback for high listen percentage
     if (listenPercentage > 0.8) {
@@ -153,43 +546,168 @@ class ProbabilityEngine {
     currentWeight = Math.max(this.MIN_WEIGHT, Math.min(currentWeight, this.MAX_WEIGHT));
     
     this.trackWeights.set(trackId, currentWeight);
+    this.weightUpdatedAt.set(trackId, this.clock.now());
+
+    // Finished tracks are wanted at this time of the week, skipped ones are not
+    const signal = skipped ? -1 : (listenPercentage > 0.8 ? 1 : 0);
+    this.temporalAffinity.record(trackId, { hour, dayOfWeek }, signal, tags);
   }
 
   /**
-   * Get time-based weight modifier
+   * Get the learned time-of-day and day-of-week preferences
+   * @returns {TemporalAffinity} Temporal affinity model
+   */
+  getTemporalAffinity() {
+    return this.temporalAffinity;
+  }
+
+  /**
+   * Register a scoring factor
+   * @param {ScoringFactor|Object} factor - Factor, or an object with name, weight, enabled and score()
+   */
+  addFactor(factor) {
+    if (!factor || !factor.name || typeof factor.score !== 'function') {
+      throw new Error('Scoring factors need a name and a score() function');
+    }
+    if (this.getFactor(factor.name)) {
+      throw new Error(`Scoring factor already registered: ${factor.name}`);
+    }
+    this.factors.push(factor);
+  }
+
+  /**
+   * Unregister a scoring factor
+   * @param {string} name - Factor name
+   * @returns {boolean} True if removed
+   */
+  removeFactor(name) {
+    const count = this.factors.length;
+    this.factors = this.factors.filter(factor => factor.name !== name);
+    return this.factors.length < count;
+  }
+
+  /**
+   * Get a scoring factor
+   * @param {string} name - Factor name
+   * @returns {ScoringFactor|Object|null} Factor or null if not registered
+   */
+  getFactor(name) {
+    return this.factors.find(factor => factor.name === name) || null;
+  }
+
+  /**
+   * Get all scoring factors
+   * @returns {Array<ScoringFactor|Object>} Factors, in the order they are applied
+   */
+  getFactors() {
+    return [...this.factors];
+  }
+
+  /**
+   * Enable or disable a scoring factor
+   * @param {string} name - Factor name
+   * @param {boolean} enabled - Whether the factor takes part in scoring
+   * @returns {boolean} True if the factor exists
+   */
+  setFactorEnabled(name, enabled) {
+    const factor = this.getFactor(name);
+    if (!factor) return false;
+    factor.enabled = enabled;
+    return true;
+  }
+
+  /**
+   * Set how strongly a scoring factor counts
+   * @param {string} name - Factor name
+   * @param {number} weight - Influence: the factor's score is raised to this power (0 = no effect)
+   * @returns {boolean} True if the weight was set (false for unknown factors and non-numeric weights)
+   */
+  setFactorWeight(name, weight) {
+    const factor = this.getFactor(name);
+    if (!factor || typeof weight !== 'number' || Number.isNaN(weight)) return false;
+    factor.weight = Math.max(0, weight);
+    return true;
+  }
+
+  /**
+   * Create the built-in scoring factors
    * @private
-   * @param {number} hour - Hour of day (0-23)
-   * @returns {number} Weight modifier
+   * @returns {Array<ScoringFactor>} Learned weight, recency, features, continuity, jitter and time of day
    */
-  _getTimeWeight(hour) {
-    // Morning (6-11): 1.0
-    // Afternoon (12-17): 1.1
-    // Evening (18-23): 1.2
-    // Night (0-5): 0.9
-    if (hour >= 6 && hour < 12) return 1.0;
-    if (hour >= 12 && hour < 18) return 1.1;
-    if (hour >= 18 && hour < 24) return 1.2;
-    return 0.9;
+  _createDefaultFactors() {
+    return [
+      new LearnedWeightFactor(),
+      new RecencyFactor(),
+      new FeatureFactor(),
+      new ContinuityFactor({ similarityModel: this.similarityModel }),
+      new JitterFactor(),
+      new TimeOfDayFactor(),
+      new DiscoveryFactor()
+    ];
   }
 
   /**
    * Record track selection to recent history
    * @private
-   * @param {string} trackId - Selected track ID
+   * @param {Track} track - Selected track
+   */
+  _recordSelection(track) {
+    this._rememberRecent(track.id);
+    this.recordPlay(track);
+  }
+
+  /**
+   * Add a track to the recently selected tracks
+   * @private
+   * @param {string} trackId - Track ID
    */
-  _recordSelection(trackId) {
+  _rememberRecent(trackId) {
     this.recentTracks.unshift(trackId);
     if (this.recentTracks.length > this.maxRecentTracks) {
       this.recentTracks.pop();
     }
   }
 
+  /**
+   * Normalize an artist name for comparison
+   * @private
+   * @param {string} artist - Artist name
+   * @returns {string|null} Lowercased name, or null if unknown
+   */
+  _artistKey(artist) {
+    return artist ? artist.toLowerCase() : null;
+  }
+
+  /**
+   * Get a track's learned weight, decayed toward the baseline for the time since it was learned
+   * @param {string} trackId - Track ID
+   * @returns {number} Weight
+   */
+  getTrackWeight(trackId) {
+    const weight = this.trackWeights.get(trackId) || this.baseWeight;
+    const updatedAt = this.weightUpdatedAt.get(trackId);
+    if (this.decayHalfLife === 0 || updatedAt === undefined) return weight;
+
+    const elapsed = Math.max(0, this.clock.now() - updatedAt);
+    return this.baseWeight + (weight - this.baseWeight) * Math.pow(0.5, elapsed / this.decayHalfLife);
+  }
+
   /**
    * Get current track weights (for debugging/visualization)
-   * @returns {Map<string, number>} Track weights
+   * @returns {Map<string, number>} Track weights, decayed
    */
   getTrackWeights() {
-    return new Map(this.trackWeights);
+    const weights = new Map();
+    this.trackWeights.forEach((weight, trackId) => weights.set(trackId, this.getTrackWeight(trackId)));
+    return weights;
+  }
+
+  /**
+   * Get the random source used for selection
+   * @returns {RandomSource} Random source
+   */
+  getRandomSource() {
+    return this.random;
   }
 
   /**
@@ -197,7 +715,68 @@ class ProbabilityEngine {
    */
   reset() {
     this.trackWeights.clear();
+    this.weightUpdatedAt.clear();
+    this.playCounts.clear();
     this.recentTracks = [];
+    this.recentPlays = [];
+    this.explanations = [];
+    this.temporalAffinity.clear();
+  }
+
+  /**
+   * Serialize learned state, constraints and factor settings for persistence
+   * @returns {Object} Plain, JSON-safe state
+   */
+  serialize() {
+    return {
+      version: this.SERIALIZATION_VERSION,
+      trackWeights: Array.from(this.trackWeights.entries()),
+      weightUpdatedAt: Array.from(this.weightUpdatedAt.entries()),
+      playCounts: Array.from(this.playCounts.entries()),
+      ...this.getLearningSettings(),
+      recentTracks: [...this.recentTracks],
+      temporalAffinity: this.temporalAffinity.serialize(),
+      recentPlays: this.recentPlays.map(play => ({ ...play })),
+      noRepeatTracks: this.noRepeatTracks,
+      noRepeatArtists: this.noRepeatArtists,
+      ...this.getConstraints(),
+      factors: this.factors.map(({ name, weight, enabled }) => ({ name, weight, enabled: enabled !== false })),
+      randomState: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore learned state produced by serialize()
+   * @param {Object} data - Serialized state
+   */
+  restore(data) {
+    if (!data || data.version > this.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported ProbabilityEngine state version: ${data && data.version}`);
+    }
+    this.trackWeights = new Map(data.trackWeights || []);
+    // Weights saved without a time start decaying now
+    const now = this.clock.now();
+    this.weightUpdatedAt = new Map(data.weightUpdatedAt || Array.from(this.trackWeights.keys(), trackId => [trackId, now]));
+    this.playCounts = new Map(data.playCounts || []);
+    if (data.decayHalfLife !== undefined) this.setDecayHalfLife(data.decayHalfLife);
+    this.setExploration({ rate: data.explorationRate, temperature: data.temperature });
+    if (data.discoveryBoost !== undefined) this.setDiscoveryBoost(data.discoveryBoost);
+    this.recentTracks = (data.recentTracks || []).slice(0, this.maxRecentTracks);
+    this.temporalAffinity.restore(data.temporalAffinity);
+    this.recentPlays = (data.recentPlays || []).slice(0, this.MAX_RECENT_PLAYS).map(play => ({ ...play }));
+    this.setNoRepeatWindow({ tracks: data.noRepeatTracks, artists: data.noRepeatArtists });
+    this.bannedTracks = new Set(data.bannedTracks || []);
+    this.bannedArtists = new Set(data.bannedArtists || []);
+    this.pinnedTracks = new Set(data.pinnedTracks || []);
+    (data.factors || []).forEach(({ name, weight, enabled }) => {
+      // Settings for factors that are not registered here are ignored, and so are
+      // missing weights (factors without one count with weight 1)
+      if (typeof weight === 'number') this.setFactorWeight(name, weight);
+      this.setFactorEnabled(name, enabled);
+    });
+    if (typeof data.randomState === 'number') {
+      this.random.setState(data.randomState);
+    }
   }
 
   /**
@@ -0,0 +1,74 @@
+/**
+ * RandomSource - Seedable pseudo-random number generator
+ *
+ * Deterministic replacement for Math.random (mulberry32). The same seed
+ * always produces the same sequence, and the generator state can be saved
+ * and restored to continue a sequence exactly where it left off.
+ */
+class RandomSource {
+  /**
+   * @param {number} [seed] - 32-bit integer seed (random if omitted)
+   */
+  constructor(seed = null) {
+    this.seed = seed === null || seed === undefined
+      ? Math.floor(Math.random() * 0x100000000) >>> 0
+      : seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get next random number
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Get next random integer
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Integer in [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Get the seed the generator started from
+   * @returns {number} Seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get generator state
+   * @returns {number} Current state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Set generator state (as returned by getState)
+   * @param {number} state - State to continue from
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} [seed] - New seed (defaults to the original seed)
+   */
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+}
+
+export default RandomSource;
@@ -1,3 +1,5 @@
+import SystemClock from '../time/SystemClock.js';
+
 /**
  * RuntimeClock - Internal timing system separate from audio playback time
  * 
@@ -7,17 +9,26 @@
  * - Future support for non-linear time effects
  */
 class RuntimeClock {
-  constructor() {
-    this.startTime = Date.now();
+  /**
+   * @param {Object} [options] - Clock options
+   * @param {Clock} [options.clock] - Time source (defaults to SystemClock)
+   */
+  constructor({ clock = null } = {}) {
+    this.clock = clock || new SystemClock();
+    this.startTime = this.clock.now();
     this.internalTime = 0; // Internal time in seconds
     this.timeScale = 1.0; // Time dilation factor (future use)
-    this.lastUpdate = Date.now();
+    this.lastUpdate = this.clock.now();
     this.paused = false;
     this.events = [];
+    this._nextEventId = 1;
     
     // Constants for time scale bounds
     this.MIN_TIME_SCALE = 0.1;
     this.MAX_TIME_SCALE = 2.0;
+
+    // Version of the format produced by serialize()
+    this.SERIALIZATION_VERSION = 1;
   }
 
   /**
@@ -27,7 +38,7 @@ class RuntimeClock {
   tick() {
     if (this.paused) return;
 
-    const now = Date.now();
+    const now = this.clock.now();
     const deltaMs = now - this.lastUpdate;
     const deltaSeconds = (deltaMs / 1000) * this.timeScale;
     
@@ -51,7 +62,7 @@ class RuntimeClock {
    * @returns {number} Elapsed time in seconds
    */
   getElapsedTime() {
-    return (Date.now() - this.startTime) / 1000;
+    return (this.clock.now() - this.startTime) / 1000;
   }
 
   /**
@@ -67,7 +78,7 @@ class RuntimeClock {
   resume() {
     if (this.paused) {
       this.paused = false;
-      this.lastUpdate = Date.now();
+      this.lastUpdate = this.clock.now();
     }
   }
 
@@ -79,6 +90,16 @@ class RuntimeClock {
     this.timeScale = Math.max(this.MIN_TIME_SCALE, Math.min(scale, this.MAX_TIME_SCALE));
   }
 
+  /**
+   * Jump to a known internal time (e.g. from a recorded timeline) and fire events now due
+   * @param {number} internalTime - Internal time in seconds
+   */
+  syncTo(internalTime) {
+    this.internalTime = internalTime;
+    this.lastUpdate = this.clock.now();
+    this._processEvents();
+  }
+
   /**
    * Schedule an event at a specific internal time
    * @param {number} time - Internal time to trigger
@@ -86,7 +107,7 @@ class RuntimeClock {
    * @returns {string} Event ID
    */
   scheduleEvent(time, callback) {
-    const eventId = `evt_${Date.now()}_${Math.random()}`;
+    const eventId = `evt_${this._nextEventId++}`;
     this.events.push({
       id: eventId,
       time,
@@ -129,13 +150,39 @@ class RuntimeClock {
    * Reset the clock
    */
   reset() {
-    this.startTime = Date.now();
+    this.startTime = this.clock.now();
     this.internalTime = 0;
-    this.lastUpdate = Date.now();
+    this.lastUpdate = this.clock.now();
     this.paused = false;
     this.events = [];
   }
 
+  /**
+   * Serialize clock position for persistence
+   * Scheduled events hold callbacks and are not serialized.
+   * @returns {Object} Plain, JSON-safe state
+   */
+  serialize() {
+    return {
+      version: this.SERIALIZATION_VERSION,
+      internalTime: this.internalTime,
+      timeScale: this.timeScale
+    };
+  }
+
+  /**
+   * Restore clock position produced by serialize()
+   * @param {Object} data - Serialized state
+   */
+  restore(data) {
+    if (!data || data.version > this.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported RuntimeClock state version: ${data && data.version}`);
+    }
+    this.internalTime = data.internalTime || 0;
+    this.setTimeScale(data.timeScale || 1.0);
+    this.lastUpdate = this.clock.now();
+  }
+
   /**
    * Get clock state
    * @returns {Object} Clock state
@@ -0,0 +1,187 @@
+/**
+ * SimilarityModel - Measures how alike two tracks are (0-1)
+ *
+ * Compares:
+ * - Artist and album
+ * - Tags (overlap)
+ * - Tempo proximity (half/double time counts as close)
+ * - Key proximity on the circle of fifths (Camelot wheel)
+ *
+ * Only dimensions both tracks provide are compared, so tracks without
+ * features are still compared by artist and album.
+ */
+class SimilarityModel {
+  /**
+   * @param {Object} [options] - Model options
+   * @param {Object} [options.weights] - Relative importance of each dimension
+   */
+  constructor({ weights = {} } = {}) {
+    this.weights = {
+      artist: 0.3,
+      album: 0.15,
+      tags: 0.25,
+      tempo: 0.15,
+      key: 0.15,
+      ...weights
+    };
+
+    // Constants
+    this.TEMPO_TOLERANCE_OCTAVES = 0.25; // ~19% tempo difference = no tempo similarity
+    this.MODE_CHANGE_PENALTY = 0.2; // Cost of switching between major and minor
+    this.RECENCY_DECAY = 0.7; // Weight of each older track when comparing to history
+  }
+
+  /**
+   * Calculate similarity between two tracks
+   * @param {Track} a - First track
+   * @param {Track} b - Second track
+   * @returns {number} Similarity 0 (unrelated) to 1 (alike)
+   */
+  similarity(a, b) {
+    const scores = this.compare(a, b);
+    let total = 0;
+    let totalWeight = 0;
+    Object.keys(scores).forEach(dimension => {
+      const weight = this.weights[dimension] || 0;
+      total += scores[dimension] * weight;
+      totalWeight += weight;
+    });
+    return totalWeight > 0 ? total / totalWeight : 0;
+  }
+
+  /**
+   * Compare two tracks dimension by dimension
+   * @param {Track} a - First track
+   * @param {Track} b - Second track
+   * @returns {Object} Dimension name to similarity (0-1), only for dimensions both tracks have
+   */
+  compare(a, b) {
+    const scores = {};
+    const featuresA = a.features || {};
+    const featuresB = b.features || {};
+
+    if (a.artist && b.artist) {
+      scores.artist = a.artist.toLowerCase() === b.artist.toLowerCase() ? 1 : 0;
+    }
+    if (a.album && b.album) {
+      scores.album = a.album.toLowerCase() === b.album.toLowerCase() ? 1 : 0;
+    }
+    if (featuresA.tags && featuresA.tags.length > 0 && featuresB.tags && featuresB.tags.length > 0) {
+      scores.tags = this._tagSimilarity(featuresA.tags, featuresB.tags);
+    }
+    if (featuresA.tempo > 0 && featuresB.tempo > 0) {
+      scores.tempo = this._tempoSimilarity(featuresA.tempo, featuresB.tempo);
+    }
+    const keyA = this.parseKey(featuresA.key);
+    const keyB = this.parseKey(featuresB.key);
+    if (keyA && keyB) {
+      scores.key = this._keySimilarity(keyA, keyB);
+    }
+
+    return scores;
+  }
+
+  /**
+   * Calculate similarity of a track to recently played tracks
+   * More recent tracks count more. The track itself is ignored.
+   * @param {Track} track - Candidate track
+   * @param {Array<Track>} recentTracks - Recent tracks, most recent first
+   * @returns {number|null} Similarity 0-1, or null if there is nothing to compare with
+   */
+  similarityToRecent(track, recentTracks) {
+    let total = 0;
+    let totalWeight = 0;
+    let weight = 1;
+    recentTracks.forEach(recent => {
+      if (recent.id !== track.id) {
+        total += this.similarity(track, recent) * weight;
+        totalWeight += weight;
+      }
+      weight *= this.RECENCY_DECAY;
+    });
+    return totalWeight > 0 ? total / totalWeight : null;
+  }
+
+  /**
+   * Parse a musical key into its Camelot wheel position
+   * Accepts 'C', 'F#m', 'Bb minor', 'A Minor', 'F# MAJOR' and Camelot codes like '8A'.
+   * Mode words are case-insensitive; a lone 'm' is minor and a lone 'M' major.
+   * @param {string} key - Key name
+   * @returns {{number: number, minor: boolean}|null} Camelot number (1-12) and mode, or null
+   */
+  parseKey(key) {
+    if (typeof key !== 'string') return null;
+    const value = key.trim();
+
+    const camelot = value.match(/^(1[0-2]|[1-9])\s*([AB])$/i);
+    if (camelot) {
+      return { number: parseInt(camelot[1], 10), minor: camelot[2].toUpperCase() === 'A' };
+    }
+
+    // The accidental stays case-sensitive so 'B' is never read as a flat
+    const match = value.match(/^([A-Ga-g])\s*([#♯b♭]?)\s*([A-Za-z]*)$/);
+    if (!match) return null;
+    const mode = ['m', 'M'].includes(match[3]) ? match[3] : match[3].toLowerCase();
+    const minor = ['m', 'min', 'minor'].includes(mode);
+    if (!minor && !['', 'M', 'maj', 'major'].includes(mode)) return null;
+
+    const naturals = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+    let pitchClass = naturals[match[1].toLowerCase()];
+    if (match[2] === '#' || match[2] === '♯') pitchClass += 1;
+    if (match[2] === 'b' || match[2] === '♭') pitchClass -= 1;
+    pitchClass = (pitchClass + 12) % 12;
+
+    // Minor keys share a Camelot number with their relative major (three semitones up)
+    const majorPitchClass = minor ? (pitchClass + 3) % 12 : pitchClass;
+    // Each step around the wheel is a fifth; C major is 8B
+    const number = ((majorPitchClass * 7) % 12 + 7) % 12 + 1;
+
+    return { number, minor };
+  }
+
+  /**
+   * Jaccard similarity of two tag lists
+   * @private
+   * @param {Array<string>} tagsA - First tags
+   * @param {Array<string>} tagsB - Second tags
+   * @returns {number} Similarity 0-1
+   */
+  _tagSimilarity(tagsA, tagsB) {
+    const setA = new Set(tagsA.map(tag => tag.toLowerCase()));
+    const setB = new Set(tagsB.map(tag => tag.toLowerCase()));
+    let shared = 0;
+    setA.forEach(tag => {
+      if (setB.has(tag)) shared++;
+    });
+    return shared / (setA.size + setB.size - shared);
+  }
+
+  /**
+   * Tempo proximity, treating half and double time as compatible
+   * @private
+   * @param {number} tempoA - First tempo (BPM)
+   * @param {number} tempoB - Second tempo (BPM)
+   * @returns {number} Similarity 0-1
+   */
+  _tempoSimilarity(tempoA, tempoB) {
+    const octaves = Math.log2(tempoA / tempoB);
+    const distance = Math.min(Math.abs(octaves), Math.abs(octaves - 1), Math.abs(octaves + 1));
+    return Math.max(0, 1 - distance / this.TEMPO_TOLERANCE_OCTAVES);
+  }
+
+  /**
+   * Harmonic proximity on the Camelot wheel
+   * @private
+   * @param {{number: number, minor: boolean}} keyA - First key
+   * @param {{number: number, minor: boolean}} keyB - Second key
+   * @returns {number} Similarity 0-1
+   */
+  _keySimilarity(keyA, keyB) {
+    const difference = Math.abs(keyA.number - keyB.number);
+    const steps = Math.min(difference, 12 - difference);
+    const modePenalty = keyA.minor !== keyB.minor ? this.MODE_CHANGE_PENALTY : 0;
+    return Math.max(0, 1 - steps / 6 - modePenalty);
+  }
+}
+
+export default SimilarityModel;
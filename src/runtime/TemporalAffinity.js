@@ -0,0 +1,228 @@
+/**
+ * TemporalAffinity - Learns when tracks are wanted
+ *
+ * Keeps, per track and per tag, a histogram over the 24 hours of the day and
+ * the 7 days of the week. Completions add to the bin they happened in and skips
+ * subtract from it. Scoring reads the bins for the current hour and day, so a
+ * track that is finished in the morning and skipped at night gains weight in
+ * the morning only; tags carry what was learned to tracks with little history.
+ */
+class TemporalAffinity {
+  constructor() {
+    this.tracks = new Map(); // trackId -> histogram
+    this.tags = new Map(); // Lowercased tag -> histogram
+
+    this.HOURS = 24;
+    this.DAYS = 7;
+    // Neutral evidence every histogram starts with, in events
+    this.PRIOR_EVENTS = 3;
+    // Share of a neighbouring hour counted with the current one
+    this.NEIGHBOUR_HOUR_SHARE = 0.5;
+    // Largest boost or reduction (0.5 = x0.5 to x1.5) from the hour and the day
+    this.HOUR_INFLUENCE = 0.5;
+    this.DAY_INFLUENCE = 0.25;
+  }
+
+  /**
+   * Record a completion or a skip at a point in the week
+   * @param {Track|string} track - Track, or its ID
+   * @param {Object} when - When it happened
+   * @param {number} when.hour - Hour of the day (0-23)
+   * @param {number} [when.dayOfWeek] - Day of the week (0 = Sunday)
+   * @param {number} signal - Positive for completions, negative for skips
+   * @param {Array<string>} [tags] - Tags to learn for (defaults to the track's feature tags)
+   */
+  record(track, { hour, dayOfWeek }, signal, tags = null) {
+    if (!signal || !this._isHour(hour)) return;
+    const trackId = typeof track === 'string' ? track : track.id;
+    const trackTags = tags || this._tagsOf(track);
+
+    this._add(this._histogram(this.tracks, trackId), hour, dayOfWeek, signal);
+    trackTags.forEach(tag => {
+      this._add(this._histogram(this.tags, String(tag).toLowerCase()), hour, dayOfWeek, signal);
+    });
+  }
+
+  /**
+   * Get a track's learned affinity for a point in the week
+   * @param {Track} track - Track
+   * @param {Object} when - Hour of the day and optionally day of the week
+   * @returns {{hour: number, day: number}} Affinities from -1 (avoided) to 1 (wanted); 0 when unknown
+   */
+  getAffinity(track, { hour, dayOfWeek } = {}) {
+    const sources = [this.tracks.get(track.id)];
+    this._tagsOf(track).forEach(tag => sources.push(this.tags.get(String(tag).toLowerCase())));
+
+    let hourTotal = 0;
+    let dayTotal = 0;
+    let evidence = 0;
+    sources.filter(Boolean).forEach(histogram => {
+      // Each source counts as much as it has been observed
+      if (this._isHour(hour)) hourTotal += this._hourAffinity(histogram, hour) * histogram.events;
+      if (this._isDay(dayOfWeek)) dayTotal += this._dayAffinity(histogram, dayOfWeek) * histogram.events;
+      evidence += histogram.events;
+    });
+
+    if (evidence === 0) return { hour: 0, day: 0 };
+    return { hour: hourTotal / evidence, day: dayTotal / evidence };
+  }
+
+  /**
+   * Score a track for a point in the week
+   * @param {Track} track - Track
+   * @param {Object} when - Hour of the day and optionally day of the week
+   * @returns {number} Weight multiplier (1.0 when nothing was learned)
+   */
+  score(track, when = {}) {
+    const affinity = this.getAffinity(track, when);
+    return (1 + affinity.hour * this.HOUR_INFLUENCE) * (1 + affinity.day * this.DAY_INFLUENCE);
+  }
+
+  /**
+   * Get a track's histogram
+   * @param {string} trackId - Track ID
+   * @returns {{hours: Array<number>, days: Array<number>, events: number}|null} Copy of the histogram
+   */
+  getTrackHistogram(trackId) {
+    return this._copy(this.tracks.get(trackId));
+  }
+
+  /**
+   * Get a tag's histogram
+   * @param {string} tag - Tag (case-insensitive)
+   * @returns {{hours: Array<number>, days: Array<number>, events: number}|null} Copy of the histogram
+   */
+  getTagHistogram(tag) {
+    return this._copy(this.tags.get(String(tag).toLowerCase()));
+  }
+
+  /**
+   * Forget everything learned
+   */
+  clear() {
+    this.tracks.clear();
+    this.tags.clear();
+  }
+
+  /**
+   * Serialize the histograms
+   * @returns {Object} Plain, JSON-safe state
+   */
+  serialize() {
+    return {
+      tracks: Array.from(this.tracks.entries()).map(([id, histogram]) => [id, this._copy(histogram)]),
+      tags: Array.from(this.tags.entries()).map(([tag, histogram]) => [tag, this._copy(histogram)])
+    };
+  }
+
+  /**
+   * Restore histograms produced by serialize()
+   * @param {Object} data - Serialized state
+   */
+  restore(data) {
+    this.tracks = new Map((data && data.tracks || []).map(([id, histogram]) => [id, this._copy(histogram)]));
+    this.tags = new Map((data && data.tags || []).map(([tag, histogram]) => [tag, this._copy(histogram)]));
+  }
+
+  /**
+   * Affinity for an hour, with the neighbouring hours counted in part
+   * @private
+   * @param {Object} histogram - Histogram
+   * @param {number} hour - Hour of the day
+   * @returns {number} Affinity from -1 to 1
+   */
+  _hourAffinity({ hours, events }, hour) {
+    const before = hours[(hour + this.HOURS - 1) % this.HOURS];
+    const after = hours[(hour + 1) % this.HOURS];
+    const value = hours[hour] + (before + after) * this.NEIGHBOUR_HOUR_SHARE;
+    return this._clamp(value / (events + this.PRIOR_EVENTS));
+  }
+
+  /**
+   * Affinity for a day of the week
+   * @private
+   * @param {Object} histogram - Histogram
+   * @param {number} day - Day of the week
+   * @returns {number} Affinity from -1 to 1
+   */
+  _dayAffinity({ days, events }, day) {
+    return this._clamp(days[day] / (events + this.PRIOR_EVENTS));
+  }
+
+  /**
+   * Add a signal to a histogram
+   * @private
+   * @param {Object} histogram - Histogram
+   * @param {number} hour - Hour of the day
+   * @param {number} [dayOfWeek] - Day of the week
+   * @param {number} signal - Signed amount
+   */
+  _add(histogram, hour, dayOfWeek, signal) {
+    histogram.hours[hour] += signal;
+    if (this._isDay(dayOfWeek)) histogram.days[dayOfWeek] += signal;
+    histogram.events += Math.abs(signal);
+  }
+
+  /**
+   * Get a histogram, creating it if needed
+   * @private
+   * @param {Map} histograms - Track or tag histograms
+   * @param {string} key - Track ID or tag
+   * @returns {Object} Histogram
+   */
+  _histogram(histograms, key) {
+    if (!histograms.has(key)) {
+      histograms.set(key, {
+        hours: new Array(this.HOURS).fill(0),
+        days: new Array(this.DAYS).fill(0),
+        events: 0
+      });
+    }
+    return histograms.get(key);
+  }
+
+  /**
+   * Copy a histogram
+   * @private
+   */
+  _copy(histogram) {
+    if (!histogram) return null;
+    return { hours: [...histogram.hours], days: [...histogram.days], events: histogram.events };
+  }
+
+  /**
+   * Feature tags of a track
+   * @private
+   * @param {Track|string} track - Track, or its ID
+   * @returns {Array<string>} Tags
+   */
+  _tagsOf(track) {
+    return track && track.features && track.features.tags ? track.features.tags : [];
+  }
+
+  /**
+   * Whether a value is an hour of the day
+   * @private
+   */
+  _isHour(hour) {
+    return Number.isInteger(hour) && hour >= 0 && hour < this.HOURS;
+  }
+
+  /**
+   * Whether a value is a day of the week
+   * @private
+   */
+  _isDay(day) {
+    return Number.isInteger(day) && day >= 0 && day < this.DAYS;
+  }
+
+  /**
+   * Keep an affinity between -1 and 1
+   * @private
+   */
+  _clamp(value) {
+    return Math.max(-1, Math.min(value, 1));
+  }
+}
+
+export default TemporalAffinity;
@@ -0,0 +1,50 @@
+import ScoringFactor from './ScoringFactor.js';
+import SimilarityModel from '../SimilarityModel.js';
+
+/**
+ * ContinuityFactor - Keeps the session coherent in flow, changes direction out of it
+ * In high flow, tracks similar to the recent ones are favoured; in low flow,
+ * dissimilar tracks are. The effect grows the further flow is past its threshold.
+ */
+class ContinuityFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {SimilarityModel} [options.similarityModel] - Track similarity measure
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ similarityModel = null, weight = 1, enabled = true } = {}) {
+    super({ name: 'continuity', weight, enabled });
+    this.similarityModel = similarityModel || new SimilarityModel();
+
+    // Flow thresholds and how strongly similarity to recent tracks matters (0.6 = x0.4 to x1.6)
+    this.HIGH_FLOW = 0.7;
+    this.LOW_FLOW = 0.3;
+    this.SIMILARITY_INFLUENCE = 0.6;
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context (flow, recentTracks)
+   * @returns {number} Multiplier (1.0 in neutral flow or without history)
+   */
+  score(track, { flow, recentTracks }) {
+    let strength;
+    if (flow > this.HIGH_FLOW) {
+      strength = 0.5 + 0.5 * (flow - this.HIGH_FLOW) / (1 - this.HIGH_FLOW);
+    } else if (flow < this.LOW_FLOW) {
+      strength = -(0.5 + 0.5 * (this.LOW_FLOW - flow) / this.LOW_FLOW);
+    } else {
+      return 1.0;
+    }
+
+    const similarity = this.similarityModel.similarityToRecent(track, recentTracks);
+    if (similarity === null) return 1.0;
+
+    // similarity 1 = alike, 0 = unrelated; negative strength inverts the preference
+    return 1 + this.SIMILARITY_INFLUENCE * strength * (2 * similarity - 1);
+  }
+}
+
+export default ContinuityFactor;
@@ -0,0 +1,29 @@
+import ScoringFactor from './ScoringFactor.js';
+
+/**
+ * DiscoveryFactor - Raises the chance of tracks that were never played
+ * Uses the engine's discovery boost, so it is neutral unless one is set.
+ */
+class DiscoveryFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ weight = 1, enabled = true } = {}) {
+    super({ name: 'discovery', weight, enabled });
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context
+   * @param {ProbabilityEngine} engine - Engine doing the scoring
+   * @returns {number} The discovery boost for unplayed tracks, 1.0 otherwise
+   */
+  score(track, context, engine) {
+    return engine.getPlayCount(track.id) === 0 ? engine.discoveryBoost : 1.0;
+  }
+}
+
+export default DiscoveryFactor;
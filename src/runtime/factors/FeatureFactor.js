@@ -0,0 +1,50 @@
+import ScoringFactor from './ScoringFactor.js';
+
+/**
+ * FeatureFactor - Prefers tracks whose audio features fit the listener's state
+ * Compares track energy against listener energy, and danceability against flow
+ * (sustained flow favours steady grooves).
+ */
+class FeatureFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ weight = 1, enabled = true } = {}) {
+    super({ name: 'features', weight, enabled });
+
+    // How strongly audio features can raise or lower a track (0.5 = x0.5 to x1.5)
+    this.FEATURE_INFLUENCE = 0.5;
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context (energy, flow)
+   * @returns {number} Multiplier (1.0 when the track has no usable features)
+   */
+  score(track, { energy, flow }) {
+    const features = track.features;
+    if (!features) return 1.0;
+
+    const dimensions = [
+      { value: features.energy, target: energy, importance: 1.0 },
+      { value: features.danceability, target: flow, importance: 0.5 }
+    ].filter(dimension => typeof dimension.value === 'number');
+    if (dimensions.length === 0) return 1.0;
+
+    let distance = 0;
+    let totalImportance = 0;
+    dimensions.forEach(({ value, target, importance }) => {
+      distance += Math.abs(value - target) * importance;
+      totalImportance += importance;
+    });
+    distance /= totalImportance;
+
+    // distance 0 = perfect fit, 1 = opposite
+    return 1 + this.FEATURE_INFLUENCE * (1 - 2 * distance);
+  }
+}
+
+export default FeatureFactor;
@@ -0,0 +1,33 @@
+import ScoringFactor from './ScoringFactor.js';
+
+/**
+ * JitterFactor - Adds randomness when flow is broken
+ */
+class JitterFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ weight = 1, enabled = true } = {}) {
+    super({ name: 'jitter', weight, enabled });
+
+    // Flow below which selection loosens, and the spread (0.2 = x0.8 to x1.2)
+    this.LOW_FLOW = 0.3;
+    this.SPREAD = 0.2;
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context (flow)
+   * @param {ProbabilityEngine} engine - Engine doing the scoring (provides the random source)
+   * @returns {number} Random multiplier in low flow, otherwise 1.0
+   */
+  score(track, { flow }, engine) {
+    if (flow >= this.LOW_FLOW) return 1.0;
+    return (1 - this.SPREAD) + engine.random.next() * this.SPREAD * 2;
+  }
+}
+
+export default JitterFactor;
@@ -0,0 +1,28 @@
+import ScoringFactor from './ScoringFactor.js';
+
+/**
+ * LearnedWeightFactor - The weight learned from listening feedback
+ */
+class LearnedWeightFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ weight = 1, enabled = true } = {}) {
+    super({ name: 'learned', weight, enabled });
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context
+   * @param {ProbabilityEngine} engine - Engine doing the scoring
+   * @returns {number} The track's learned weight, decayed
+   */
+  score(track, context, engine) {
+    return engine.getTrackWeight(track.id);
+  }
+}
+
+export default LearnedWeightFactor;
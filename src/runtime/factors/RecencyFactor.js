@@ -0,0 +1,35 @@
+import ScoringFactor from './ScoringFactor.js';
+
+/**
+ * RecencyFactor - Lowers the chance of recently selected tracks
+ */
+class RecencyFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ weight = 1, enabled = true } = {}) {
+    super({ name: 'recency', weight, enabled });
+
+    // Reduction for the most recent track (0.7 = x0.3)
+    this.MAX_REDUCTION = 0.7;
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context
+   * @param {ProbabilityEngine} engine - Engine doing the scoring
+   * @returns {number} Multiplier (1.0 if not recently selected)
+   */
+  score(track, context, engine) {
+    const recentIndex = engine.recentTracks.indexOf(track.id);
+    if (recentIndex === -1) return 1.0;
+
+    const recency = (engine.maxRecentTracks - recentIndex) / engine.maxRecentTracks;
+    return 1 - recency * this.MAX_REDUCTION;
+  }
+}
+
+export default RecencyFactor;
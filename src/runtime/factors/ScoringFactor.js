@@ -0,0 +1,36 @@
+/**
+ * ScoringFactor interface
+ * One influence on the probability field. A factor scores each candidate track
+ * with a multiplier (1 = neutral, above 1 favours, below 1 disfavours); the
+ * ProbabilityEngine multiplies the scores of all enabled factors.
+ *
+ * Plain objects with the same shape ({ name, weight, enabled, score() }) work too.
+ */
+class ScoringFactor {
+  /**
+   * @param {Object} options - Factor options
+   * @param {string} options.name - Unique factor name
+   * @param {number} [options.weight=1] - Influence: the score is raised to this power
+   *   (0 = no effect, 2 = twice the effect)
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ name, weight = 1, enabled = true }) {
+    this.name = name;
+    this.weight = weight;
+    this.enabled = enabled;
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Listening context (energy, flow, hour, ...) plus recentTracks,
+   *   the recently selected tracks, most recent first
+   * @param {ProbabilityEngine} engine - Engine doing the scoring
+   * @returns {number} Multiplier (1 = neutral)
+   */
+  score(track, context, engine) {
+    throw new Error('Method score() must be implemented');
+  }
+}
+
+export default ScoringFactor;
@@ -0,0 +1,30 @@
+import ScoringFactor from './ScoringFactor.js';
+
+/**
+ * TimeOfDayFactor - Favours tracks at the hours and on the days they are usually finished
+ * Reads the engine's learned temporal affinity (see TemporalAffinity), so it is
+ * neutral until listening feedback with a time has been recorded.
+ */
+class TimeOfDayFactor extends ScoringFactor {
+  /**
+   * @param {Object} [options] - Factor options
+   * @param {number} [options.weight=1] - Influence
+   * @param {boolean} [options.enabled=true] - Whether the factor takes part in scoring
+   */
+  constructor({ weight = 1, enabled = true } = {}) {
+    super({ name: 'timeOfDay', weight, enabled });
+  }
+
+  /**
+   * Score a candidate track
+   * @param {Track} track - Candidate track
+   * @param {Object} context - Scoring context (hour, dayOfWeek)
+   * @param {ProbabilityEngine} engine - Engine doing the scoring
+   * @returns {number} Multiplier (1.0 when nothing was learned)
+   */
+  score(track, { hour, dayOfWeek }, engine) {
+    return engine.temporalAffinity.score(track, { hour, dayOfWeek });
+  }
+}
+
+export default TimeOfDayFactor;
@@ -0,0 +1,52 @@
+import MockAudioEngine from '../audio/MockAudioEngine.js';
+
+/**
+ * ReplayAudioEngine - Headless AudioEngine driven by a recorded session
+ *
+ * A MockAudioEngine whose playback position follows the injected clock, so
+ * positions match the recording between entries. Track ends happen only when
+ * the replayer calls end(), and loads fail only where the recording saw them fail.
+ */
+class ReplayAudioEngine extends MockAudioEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Clock} options.clock - Time source
+   * @param {Object} [options.durations] - Track duration (seconds) by URL
+   * @param {boolean} [options.transitions=false] - Report support for gapless/crossfade transitions
+   */
+  constructor({ clock, durations = {}, transitions = false }) {
+    super({ durations, defaultDuration: 0, transitions });
+    this.clock = clock;
+    this._positionTime = clock.now(); // Clock time at which _position was set
+  }
+
+  /**
+   * Move the playback position
+   * @private
+   * @param {number} position - Position in seconds
+   */
+  _setPosition(position) {
+    this._position = position;
+    this._positionTime = this.clock.now();
+  }
+
+  /**
+   * Get current playback time
+   * @returns {number} Current time in seconds
+   */
+  getCurrentTime() {
+    if (!this.playing) return this._position;
+    const elapsed = (this.clock.now() - this._positionTime) / 1000;
+    return Math.min(this._position + elapsed, this.getDuration());
+  }
+
+  /**
+   * Set the playback position to a recorded value
+   * @param {number} time - Position in seconds
+   */
+  setCurrentTime(time) {
+    this._setPosition(time);
+  }
+}
+
+export default ReplayAudioEngine;
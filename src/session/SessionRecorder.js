@@ -0,0 +1,203 @@
+/**
+ * SessionRecorder - Records a listening session into a portable log
+ *
+ * Captures:
+ * - The starting state (playlist, queue, listener profiles with their learned weights and
+ *   interaction histories, runtime clock)
+ * - Every PlayerEngine command (play, pause, stop, seek, setVolume, next, previous,
+ *   setSmartCrossfade, setStopAfterCurrent, setStopAfterTracks, and profile creation,
+ *   removal, switches and blends)
+ * - Every QueueManager command (playlist edits, undo/redo, jumps, repeat, shuffle and
+ *   probability modes, Up Next edits)
+ * - Audio events that drive playback (track ended, gapless advance, load errors)
+ * - Smart crossfade starts, with their profile, so replays start them at the same entry
+ * - Every event of the active InteractionTracker and every track change, for comparison
+ *
+ * Each entry is stamped with wall time (ms since the session started) and runtime
+ * clock time, so SessionReplayer can reproduce the session exactly.
+ */
+class SessionRecorder {
+  /**
+   * @param {PlayerEngine} player - Player to record
+   */
+  constructor(player) {
+    this.player = player;
+    this.log = null;
+    this.recording = false;
+    this._detachers = [];
+    this._detachTracker = null;
+
+    // Version of the log format
+    this.VERSION = 2;
+  }
+
+  /**
+   * Start recording (clears any previous log)
+   * For an exact replay, start before playback begins.
+   */
+  start() {
+    if (this.recording) return;
+
+    this.log = {
+      version: this.VERSION,
+      startedAt: this.player.clock.now(),
+      setup: this._captureSetup(),
+      durations: {},
+      entries: []
+    };
+    this.recording = true;
+
+    const player = this.player;
+    const audioEngine = player.audioEngine;
+
+    this._listen(player, 'command', ({ name, args }) => {
+      this._record('command', name, { args, audioTime: player.getCurrentTime() });
+    });
+    this._listen(player.getQueueManager(), 'command', ({ name, args }) => {
+      this._record('queue', name, { args });
+    });
+    this._listen(player, 'transitionstart', ({ from, to, duration, curve, flow, energy }) => {
+      this._record('transition', 'start', {
+        from: from ? from.id : null,
+        to: to.id,
+        duration,
+        curve,
+        flow,
+        energy,
+        audioTime: player.getCurrentTime()
+      });
+    });
+    this._listen(player, 'trackchange', (track) => {
+      this._record('track', 'change', { trackId: track.id });
+    });
+    // Interactions go to the active profile's tracker, so follow it across switches
+    this._listenToTracker(player.getInteractionTracker());
+    this._listen(player, 'profilechange', () => {
+      this._listenToTracker(player.getInteractionTracker());
+    });
+    this._listen(audioEngine, 'ended', () => {
+      this._record('audio', 'ended');
+    });
+    this._listen(audioEngine, 'advance', () => {
+      this._record('audio', 'advance');
+    });
+    this._listen(audioEngine, 'error', () => {
+      const track = player.getCurrentTrack();
+      this._record('audio', 'error', { url: track ? track.url : null });
+    });
+    this._listen(audioEngine, 'play', () => {
+      this._recordDuration();
+    });
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    this._detachers.forEach(detach => detach());
+    this._detachers = [];
+    if (this._detachTracker) this._detachTracker();
+    this._detachTracker = null;
+    this.recording = false;
+  }
+
+  /**
+   * Check if recording
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get the recorded log
+   * @returns {Object|null} JSON-safe copy of the log, or null if nothing was recorded
+   */
+  getLog() {
+    return this.log ? JSON.parse(JSON.stringify(this.log)) : null;
+  }
+
+  /**
+   * Register a listener that is removed on stop()
+   * @private
+   * @param {Object} source - Object with on()/off()
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  _listen(source, event, callback) {
+    source.on(event, callback);
+    this._detachers.push(() => source.off(event, callback));
+  }
+
+  /**
+   * Record the interactions of a tracker, instead of the one recorded so far
+   * @private
+   * @param {InteractionTracker} tracker - Active interaction tracker
+   */
+  _listenToTracker(tracker) {
+    if (this._detachTracker) this._detachTracker();
+    const callback = ({ type, ...data }) => {
+      this._record('interaction', type, { data });
+    };
+    tracker.on('interaction', callback);
+    this._detachTracker = () => tracker.off('interaction', callback);
+  }
+
+  /**
+   * Append an entry to the log
+   * @private
+   * @param {string} type - Entry type (command, queue, audio, transition, interaction, track)
+   * @param {string} name - Entry name
+   * @param {Object} [details] - Extra entry fields
+   */
+  _record(type, name, details = {}) {
+    this._recordDuration();
+    this.log.entries.push({
+      time: this.player.clock.now() - this.log.startedAt,
+      runtimeTime: this.player.getRuntimeClock().getInternalTime(),
+      type,
+      name,
+      ...details
+    });
+  }
+
+  /**
+   * Remember the audio duration of the current track
+   * Replays use it to reproduce transition timing.
+   * @private
+   */
+  _recordDuration() {
+    const track = this.player.getCurrentTrack();
+    const duration = this.player.getDuration();
+    if (track && duration > 0) {
+      this.log.durations[track.url] = duration;
+    }
+  }
+
+  /**
+   * Capture everything a replay needs to start from the same state
+   * @private
+   * @returns {Object} JSON-safe starting state
+   */
+  _captureSetup() {
+    const player = this.player;
+    const queueManager = player.getQueueManager();
+    const playlist = queueManager.playlist;
+
+    return {
+      smartCrossfade: player.smartCrossfade,
+      transitions: player.audioEngine.supportsTransitions(),
+      volume: player.getVolume(),
+      playlist: {
+        id: playlist.id,
+        name: playlist.name,
+        tracks: playlist.tracks.map(track => track.toJSON())
+      },
+      queue: queueManager.serialize(),
+      ...player.serializeProfiles(),
+      runtimeClock: player.getRuntimeClock().serialize()
+    };
+  }
+}
+
+export default SessionRecorder;
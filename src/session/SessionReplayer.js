@@ -0,0 +1,293 @@
+import Track from '../models/Track.js';
+import Playlist from '../models/Playlist.js';
+import PlayerEngine from '../core/PlayerEngine.js';
+import QueueManager from '../core/QueueManager.js';
+import ReplayAudioEngine from './ReplayAudioEngine.js';
+import ManualClock from '../time/ManualClock.js';
+
+/**
+ * SessionReplayer - Reproduces a recorded session in a headless PlayerEngine
+ *
+ * Rebuilds the starting state from a SessionRecorder log, then feeds the
+ * recorded commands and audio events back in at their recorded times, on a
+ * fake clock and a silent audio engine. Selections, interaction metrics and
+ * learned weights come out the same as in the original session, so a replay
+ * can be paused at any entry to see why a track was picked.
+ */
+class SessionReplayer {
+  /**
+   * @param {Object} log - Log produced by SessionRecorder.getLog()
+   */
+  constructor(log) {
+    // Version of the log format this replayer understands
+    this.VERSION = 2;
+
+    if (!log || log.version > this.VERSION) {
+      throw new Error(`Unsupported session log version: ${log && log.version}`);
+    }
+    this.log = log;
+  }
+
+  /**
+   * Replay the session
+   * @param {Object} [options] - Replay options
+   * @param {Function} [options.onEntry] - Called with (entry, player) before each log entry is applied
+   * @returns {Promise<Object>} Replay result: the replayed player, recorded and replayed track
+   *   sequences, whether they match, final interaction metrics and replayed interactions
+   */
+  async replay({ onEntry = null } = {}) {
+    const { setup, startedAt, entries } = this.log;
+
+    const clock = new ManualClock({ startTime: startedAt });
+
+    const tracks = setup.playlist.tracks.map(data => new Track(data));
+    const tracksById = new Map(tracks.map(track => [track.id, track]));
+    const durations = {};
+    tracks.forEach(track => {
+      durations[track.url] = track.duration;
+    });
+    Object.assign(durations, this.log.durations);
+
+    const audioEngine = new ReplayAudioEngine({ clock, durations, transitions: setup.transitions });
+    audioEngine.setVolume(setup.volume);
+    entries
+      .filter(entry => entry.type === 'audio' && entry.name === 'error' && entry.url)
+      .forEach(entry => audioEngine.failNextLoad(entry.url));
+
+    const queueManager = new QueueManager(new Playlist({
+      id: setup.playlist.id,
+      name: setup.playlist.name,
+      tracks
+    }), { clock });
+    queueManager.restore(setup.queue);
+
+    const player = new PlayerEngine({
+      audioEngine,
+      queueManager,
+      smartCrossfade: setup.smartCrossfade,
+      clock
+    });
+    if (setup.profiles) {
+      player.restoreProfiles(setup);
+    } else {
+      // Version 1 logs hold the single field the session started with
+      queueManager.getProbabilityEngine().restore(setup.probabilityEngine);
+      player.getInteractionTracker().restore(setup.interactionTracker);
+    }
+    player.getRuntimeClock().restore(setup.runtimeClock);
+
+    const replayedTracks = [];
+    const interactions = [];
+    let replayedTransitions = 0;
+    let recordedTransitions = 0;
+    player.on('transitionstart', () => replayedTransitions++);
+    const collectInteraction = interaction => interactions.push(interaction);
+    let tracker = player.getInteractionTracker();
+    tracker.on('interaction', collectInteraction);
+    player.on('trackchange', track => replayedTracks.push(track.id));
+    player.on('profilechange', () => {
+      // Follow the active profile's tracker
+      tracker.off('interaction', collectInteraction);
+      tracker = player.getInteractionTracker();
+      tracker.on('interaction', collectInteraction);
+    });
+
+    try {
+      for (const entry of entries) {
+        if (onEntry) onEntry(entry, player);
+        if (!['command', 'queue', 'audio', 'transition'].includes(entry.type)) {
+          continue;
+        }
+
+        // Jump to the moment of the entry; the recorded runtime timeline replaces
+        // clock ticks, and scheduled transitions fire here
+        clock.setTime(startedAt + entry.time);
+        player.getRuntimeClock().syncTo(entry.runtimeTime);
+
+        if (entry.type === 'command') {
+          if (typeof entry.audioTime === 'number') {
+            audioEngine.setCurrentTime(entry.audioTime);
+          }
+          await this._runCommand(player, entry, tracksById);
+        } else if (entry.type === 'queue') {
+          this._runQueueCommand(queueManager, entry, tracksById);
+        } else if (entry.type === 'transition') {
+          // The scheduled crossfade normally fires while syncing; if audio time drifted
+          // and it has not, start the recorded one here
+          recordedTransitions++;
+          if (replayedTransitions < recordedTransitions) {
+            await this._runTransition(player, audioEngine, entry);
+          }
+        } else if (entry.type === 'audio' && (entry.name === 'ended' || entry.name === 'advance')) {
+          audioEngine.end();
+        }
+        await this._settle();
+      }
+    } finally {
+      player.destroy();
+    }
+
+    const recordedTracks = entries
+      .filter(entry => entry.type === 'track')
+      .map(entry => entry.trackId);
+
+    return {
+      player,
+      recordedTracks,
+      replayedTracks,
+      matches: recordedTracks.length === replayedTracks.length &&
+        recordedTracks.every((trackId, index) => trackId === replayedTracks[index]),
+      metrics: player.getInteractionTracker().getMetrics(),
+      interactions
+    };
+  }
+
+  /**
+   * Apply a recorded command to the player
+   * Failures are expected where the original command failed, so they are not rethrown.
+   * @private
+   * @param {PlayerEngine} player - Replay player
+   * @param {Object} entry - Command entry
+   * @param {Map<string, Track>} tracksById - Known tracks by ID
+   * @returns {Promise<void>}
+   */
+  async _runCommand(player, entry, tracksById) {
+    const args = entry.args || [];
+    let run;
+    switch (entry.name) {
+      case 'play': {
+        const data = args[0];
+        const track = data ? this._getTrack(data, tracksById) : null;
+        run = () => player.play(track);
+        break;
+      }
+      case 'pause':
+      case 'stop':
+      case 'next':
+      case 'previous':
+      case 'seek':
+      case 'setVolume':
+      case 'setSmartCrossfade':
+      case 'setStopAfterCurrent':
+      case 'setStopAfterTracks':
+      case 'createProfile':
+      case 'removeProfile':
+      case 'switchProfile':
+      case 'blendProfiles':
+        run = () => player[entry.name](...args);
+        break;
+      default:
+        throw new Error(`Unknown session command: ${entry.name}`);
+    }
+
+    try {
+      await run();
+    } catch (error) {
+      // The player has already reported the error through its events, or the
+      // command threw in the original session as well
+    }
+  }
+
+  /**
+   * Start a recorded crossfade that did not fire on its own
+   * @private
+   * @param {PlayerEngine} player - Replay player
+   * @param {ReplayAudioEngine} audioEngine - Replay audio engine
+   * @param {Object} entry - Transition entry
+   * @returns {Promise<void>}
+   */
+  async _runTransition(player, audioEngine, entry) {
+    if (typeof entry.audioTime === 'number') {
+      audioEngine.setCurrentTime(entry.audioTime);
+    }
+    // Logs without the profile get the one the replay computes
+    const { duration, curve, flow, energy } = entry;
+    await player._startTransition(typeof duration === 'number' ? { duration, curve, flow, energy } : undefined);
+  }
+
+  /**
+   * Apply a recorded queue command to the queue
+   * Failures are expected where the original command failed, so they are not rethrown.
+   * @private
+   * @param {QueueManager} queueManager - Replay queue
+   * @param {Object} entry - Queue entry
+   * @param {Map<string, Track>} tracksById - Known tracks by ID
+   */
+  _runQueueCommand(queueManager, entry, tracksById) {
+    const args = entry.args || [];
+    const toTracks = list => list.map(data => this._getTrack(data, tracksById));
+    let run;
+    switch (entry.name) {
+      case 'setPlaylist': {
+        const { id, name, tracks } = args[0];
+        run = () => queueManager.setPlaylist(new Playlist({ id, name, tracks: toTracks(tracks) }));
+        break;
+      }
+      case 'insertAt':
+        run = () => queueManager.insertAt(args[0], toTracks(args[1]));
+        break;
+      case 'enqueueNext':
+      case 'enqueueLast':
+        run = () => queueManager[entry.name](toTracks(args[0]));
+        break;
+      case 'removeWhere': {
+        // Recorded as the indices the predicate matched
+        const indices = args[0];
+        run = () => queueManager.removeWhere((track, index) => indices.includes(index));
+        break;
+      }
+      case 'removeTrack':
+      case 'removeAt':
+      case 'dedupe':
+      case 'moveTrack':
+      case 'sort':
+      case 'undo':
+      case 'redo':
+      case 'clear':
+      case 'jumpToTrack':
+      case 'setRepeatMode':
+      case 'setShuffle':
+      case 'setSmartShuffle':
+      case 'setProbabilityMode':
+      case 'moveInUpNext':
+      case 'removeFromUpNext':
+      case 'clearUpNext':
+        run = () => queueManager[entry.name](...args);
+        break;
+      default:
+        throw new Error(`Unknown queue command: ${entry.name}`);
+    }
+
+    try {
+      run();
+    } catch (error) {
+      // The command threw in the original session as well
+    }
+  }
+
+  /**
+   * Get the track for recorded track data
+   * Tracks that were not in the starting playlist are created once and reused.
+   * @private
+   * @param {Object} data - Track data (Track.toJSON())
+   * @param {Map<string, Track>} tracksById - Known tracks by ID
+   * @returns {Track} Track
+   */
+  _getTrack(data, tracksById) {
+    if (!tracksById.has(data.id)) {
+      tracksById.set(data.id, new Track(data));
+    }
+    return tracksById.get(data.id);
+  }
+
+  /**
+   * Let event-driven work (track ends, auto-advance) finish before the next entry
+   * @private
+   * @returns {Promise<void>}
+   */
+  _settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+export default SessionReplayer;
@@ -1,19 +1,48 @@
+import PlaybackState from '../models/PlaybackState.js';
+import RepeatMode from '../models/RepeatMode.js';
+
 /**
  * State Manager for managing application state
+ *
+ * PlayerEngine publishes into the state manager it owns (player.getStateManager()),
+ * together with its QueueManager and runtime components, so the whole player
+ * state can be read and watched in one place.
+ *
+ * Listeners are only notified when something actually changed: values are
+ * compared with Object.is, and arrays item by item. Updates made inside
+ * batch() are delivered together once the batch ends.
  */
 class StateManager {
-  constructor() {
+  /**
+   * @param {Object} [initialState] - Values overriding the defaults
+   */
+  constructor(initialState = {}) {
     this.state = {
-      playbackState: 'STOPPED',
+      // Playback (PlayerEngine)
+      playbackState: PlaybackState.STOPPED,
       currentTrack: null,
       currentTime: 0,
       duration: 0,
       volume: 1.0,
+      stopAfterTracks: null, // Tracks left before playback stops (1 = stop after current)
+      smartCrossfade: true,
+      // Queue (QueueManager)
       queue: [],
-      repeat: false,
-      shuffle: false
+      upNext: [],
+      repeatMode: RepeatMode.OFF,
+      shuffle: false,
+      smartShuffle: false,
+      probabilityMode: false,
+      // Runtime (InteractionTracker, listener profiles)
+      energy: 0.5,
+      flow: 0.5,
+      activeProfiles: ['default'],
+      blending: false,
+      ...initialState
     };
-    this.listeners = [];
+    this.listeners = []; // { selector, listener, equals, value }
+    this._batchDepth = 0;
+    this._batchChanged = false; // Whether the running batch changed anything
   }
 
   /**
@@ -24,33 +53,112 @@ class StateManager {
     return { ...this.state };
   }
 
+  /**
+   * Get one value of the state
+   * @param {string} key - State key
+   * @returns {*} Value
+   */
+  get(key) {
+    return this.state[key];
+  }
+
   /**
    * Update state
+   * Keys whose value did not change are ignored; nothing is notified if none changed.
    * @param {Object} updates - State updates
    */
   setState(updates) {
-    this.state = { ...this.state, ...updates };
+    const changes = {};
+    let changed = false;
+    Object.keys(updates).forEach(key => {
+      if (!this._isSame(this.state[key], updates[key])) {
+        changes[key] = updates[key];
+        changed = true;
+      }
+    });
+    if (!changed) return;
+
+    this.state = { ...this.state, ...changes };
+    if (this._batchDepth > 0) {
+      this._batchChanged = true;
+      return;
+    }
     this._notifyListeners();
   }
 
+  /**
+   * Apply several updates and notify listeners once, when the outermost batch ends
+   * @param {Function} callback - Makes the updates
+   * @returns {*} The callback's return value
+   */
+  batch(callback) {
+    this._batchDepth++;
+    try {
+      return callback();
+    } finally {
+      this._batchDepth--;
+      if (this._batchDepth === 0 && this._batchChanged) {
+        this._batchChanged = false;
+        this._notifyListeners();
+      }
+    }
+  }
+
   /**
    * Subscribe to state changes
-   * @param {Function} listener - Listener function
+   * @param {Function} listener - Called with (state, previousState) after every change
    * @returns {Function} Unsubscribe function
    */
   subscribe(listener) {
-    this.listeners.push(listener);
+    return this.select(state => state, listener, { equals: () => false });
+  }
+
+  /**
+   * Subscribe to one slice of the state
+   * @param {Function} selector - Picks the slice from the state
+   * @param {Function} listener - Called with (slice, previousSlice) when the slice changes
+   * @param {Object} [options] - Subscription options
+   * @param {Function} [options.equals] - Compares two slices (defaults to Object.is, arrays item by item)
+   * @returns {Function} Unsubscribe function
+   */
+  select(selector, listener, { equals = null } = {}) {
+    const entry = {
+      selector,
+      listener,
+      equals: equals || ((a, b) => this._isSame(a, b)),
+      value: selector(this.state)
+    };
+    this.listeners.push(entry);
     return () => {
-      this.listeners = this.listeners.filter(l => l !== listener);
+      this.listeners = this.listeners.filter(l => l !== entry);
     };
   }
 
   /**
-   * Notify all listeners of state change
+   * Notify all listeners whose slice changed since they were last notified
    * @private
    */
   _notifyListeners() {
-    this.listeners.forEach(listener => listener(this.state));
+    [...this.listeners].forEach(entry => {
+      const value = entry.selector(this.state);
+      if (entry.equals(value, entry.value)) return;
+      const previousValue = entry.value;
+      entry.value = value;
+      entry.listener(value, previousValue);
+    });
+  }
+
+  /**
+   * Compare two state values
+   * @private
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @returns {boolean} True if both are the same value, or arrays holding the same items
+   */
+  _isSame(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    return a.every((item, i) => Object.is(item, b[i]));
   }
 }
 
@@ -0,0 +1,89 @@
+import Clock from './Clock.js';
+
+/**
+ * Animation frame implementation of Clock
+ * Runs timers from a requestAnimationFrame loop instead of setInterval, so
+ * runtime ticks line up with rendering and stop while the page is hidden.
+ * Timers fire on the first frame at or after they are due.
+ */
+class AnimationFrameClock extends Clock {
+  /**
+   * @param {Object} [options] - Clock options
+   * @param {Function} [options.requestAnimationFrame] - Frame scheduler (defaults to the global one)
+   * @param {Function} [options.cancelAnimationFrame] - Frame canceller (defaults to the global one)
+   */
+  constructor({
+    requestAnimationFrame = (callback) => globalThis.requestAnimationFrame(callback),
+    cancelAnimationFrame = (handle) => globalThis.cancelAnimationFrame(handle)
+  } = {}) {
+    super();
+    this._requestAnimationFrame = requestAnimationFrame;
+    this._cancelAnimationFrame = cancelAnimationFrame;
+    this.timers = new Map(); // id -> { callback, interval, nextTime }
+    this._nextTimerId = 1;
+    this._frameHandle = null;
+  }
+
+  /**
+   * Get current time
+   * @returns {number} Milliseconds since the Unix epoch
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Call a function repeatedly on animation frames
+   * @param {Function} callback - Function to call
+   * @param {number} interval - Minimum interval in milliseconds
+   * @returns {number} Timer ID for clearInterval()
+   */
+  setInterval(callback, interval) {
+    const id = this._nextTimerId++;
+    this.timers.set(id, { callback, interval, nextTime: this.now() + interval });
+    this._requestFrame();
+    return id;
+  }
+
+  /**
+   * Stop a repeating timer
+   * @param {number} id - Timer ID returned by setInterval()
+   */
+  clearInterval(id) {
+    this.timers.delete(id);
+    if (this.timers.size === 0 && this._frameHandle !== null) {
+      this._cancelAnimationFrame(this._frameHandle);
+      this._frameHandle = null;
+    }
+  }
+
+  /**
+   * Request the next frame if one is not pending
+   * @private
+   */
+  _requestFrame() {
+    if (this._frameHandle === null) {
+      this._frameHandle = this._requestAnimationFrame(() => this._onFrame());
+    }
+  }
+
+  /**
+   * Fire due timers and keep the loop running while timers remain
+   * @private
+   */
+  _onFrame() {
+    this._frameHandle = null;
+    const now = this.now();
+    this.timers.forEach((timer, id) => {
+      if (now >= timer.nextTime && this.timers.has(id)) {
+        timer.nextTime = now + timer.interval;
+        timer.callback();
+      }
+    });
+    if (this.timers.size > 0) {
+      this._requestFrame();
+    }
+  }
+}
+
+export default AnimationFrameClock;
@@ -0,0 +1,34 @@
+/**
+ * Clock interface
+ * Abstract time source for the runtime: wall time and repeating timers.
+ * Inject a clock to control time (e.g. ManualClock in tests).
+ */
+class Clock {
+  /**
+   * Get current time
+   * @returns {number} Milliseconds since the Unix epoch
+   */
+  now() {
+    throw new Error('Method now() must be implemented');
+  }
+
+  /**
+   * Call a function repeatedly
+   * @param {Function} callback - Function to call
+   * @param {number} interval - Interval in milliseconds
+   * @returns {*} Timer ID for clearInterval()
+   */
+  setInterval(callback, interval) {
+    throw new Error('Method setInterval() must be implemented');
+  }
+
+  /**
+   * Stop a repeating timer
+   * @param {*} id - Timer ID returned by setInterval()
+   */
+  clearInterval(id) {
+    throw new Error('Method clearInterval() must be implemented');
+  }
+}
+
+export default Clock;
@@ -0,0 +1,96 @@
+import Clock from './Clock.js';
+
+/**
+ * Manual implementation of Clock
+ * Virtual time that only moves when told to. advance() fires due timers in
+ * order, so hours of listening can be simulated instantly.
+ */
+class ManualClock extends Clock {
+  /**
+   * @param {Object} [options] - Clock options
+   * @param {number} [options.startTime=0] - Initial time in milliseconds since the Unix epoch
+   */
+  constructor({ startTime = 0 } = {}) {
+    super();
+    this.time = startTime;
+    this.timers = new Map(); // id -> { callback, interval, nextTime }
+    this._nextTimerId = 1;
+  }
+
+  /**
+   * Get current time
+   * @returns {number} Milliseconds since the Unix epoch
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Call a function repeatedly as virtual time passes
+   * @param {Function} callback - Function to call
+   * @param {number} interval - Interval in milliseconds
+   * @returns {number} Timer ID for clearInterval()
+   */
+  setInterval(callback, interval) {
+    const id = this._nextTimerId++;
+    const period = Math.max(1, interval);
+    this.timers.set(id, { callback, interval: period, nextTime: this.time + period });
+    return id;
+  }
+
+  /**
+   * Stop a repeating timer
+   * @param {number} id - Timer ID returned by setInterval()
+   */
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Move time forward, firing every timer that comes due on the way
+   * Timers run synchronously; await between calls to let promise-based work settle.
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    this.advanceTo(this.time + ms);
+  }
+
+  /**
+   * Move time forward to a point, firing every timer that comes due on the way
+   * @param {number} time - Target time in milliseconds since the Unix epoch
+   */
+  advanceTo(time) {
+    for (;;) {
+      let dueId = null;
+      let due = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.nextTime <= time && (!due || timer.nextTime < due.nextTime)) {
+          dueId = id;
+          due = timer;
+        }
+      });
+      if (!due) break;
+
+      this.time = due.nextTime;
+      due.nextTime += due.interval;
+      if (this.timers.has(dueId)) {
+        due.callback();
+      }
+    }
+    this.time = Math.max(this.time, time);
+  }
+
+  /**
+   * Jump to a point in time without firing timers
+   * Pending timers are rescheduled relative to the new time.
+   * @param {number} time - Time in milliseconds since the Unix epoch
+   */
+  setTime(time) {
+    this.time = time;
+    this.timers.forEach(timer => {
+      timer.nextTime = time + timer.interval;
+    });
+  }
+}
+
+export default ManualClock;
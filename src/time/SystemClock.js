@@ -0,0 +1,35 @@
+import Clock from './Clock.js';
+
+/**
+ * System implementation of Clock
+ * Real time: Date.now() and the platform's setInterval.
+ */
+class SystemClock extends Clock {
+  /**
+   * Get current time
+   * @returns {number} Milliseconds since the Unix epoch
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Call a function repeatedly
+   * @param {Function} callback - Function to call
+   * @param {number} interval - Interval in milliseconds
+   * @returns {*} Timer ID for clearInterval()
+   */
+  setInterval(callback, interval) {
+    return globalThis.setInterval(callback, interval);
+  }
+
+  /**
+   * Stop a repeating timer
+   * @param {*} id - Timer ID returned by setInterval()
+   */
+  clearInterval(id) {
+    globalThis.clearInterval(id);
+  }
+}
+
+export default SystemClock;
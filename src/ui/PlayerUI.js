@@ -1,3 +1,5 @@
+import RepeatMode from '../models/RepeatMode.js';
+
 /**
  * Player UI - Basic user interface for the music player
  */
@@ -40,6 +42,13 @@ class PlayerUI {
           <button class="btn-next" title="Next">⏭</button>
         </div>
         
+        <div class="player-modes">
+          <button class="btn-repeat" title="Repeat: off">🔁</button>
+          <button class="btn-stop-after" title="Stop after current track">⏏</button>
+          <button class="btn-undo" title="Undo" disabled>↶</button>
+          <button class="btn-redo" title="Redo" disabled>↷</button>
+        </div>
+        
         <div class="player-progress">
           <span class="time-current">0:00</span>
           <input type="range" class="seek-bar" min="0" max="100" value="0" />
@@ -51,6 +60,11 @@ class PlayerUI {
           <input type="range" class="volume-bar" min="0" max="100" value="100" />
         </div>
         
+        <div class="player-up-next" style="display:none;">
+          <h3>Up Next</h3>
+          <div class="up-next-tracks"></div>
+        </div>
+        
         <div class="player-playlist">
           <h3>Playlist</h3>
           <div class="playlist-tracks"></div>
@@ -68,11 +82,17 @@ class PlayerUI {
       btnStop: this.container.querySelector('.btn-stop'),
       btnNext: this.container.querySelector('.btn-next'),
       btnPrevious: this.container.querySelector('.btn-previous'),
+      btnRepeat: this.container.querySelector('.btn-repeat'),
+      btnStopAfter: this.container.querySelector('.btn-stop-after'),
+      btnUndo: this.container.querySelector('.btn-undo'),
+      btnRedo: this.container.querySelector('.btn-redo'),
       seekBar: this.container.querySelector('.seek-bar'),
       volumeBar: this.container.querySelector('.volume-bar'),
       timeCurrent: this.container.querySelector('.time-current'),
       timeDuration: this.container.querySelector('.time-duration'),
-      playlistTracks: this.container.querySelector('.playlist-tracks')
+      playlistTracks: this.container.querySelector('.playlist-tracks'),
+      upNext: this.container.querySelector('.player-up-next'),
+      upNextTracks: this.container.querySelector('.up-next-tracks')
     };
   }
 
@@ -88,6 +108,19 @@ class PlayerUI {
     this.elements.btnNext.addEventListener('click', () => this.player.next());
     this.elements.btnPrevious.addEventListener('click', () => this.player.previous());
 
+    // Repeat cycles off -> all -> one
+    this.elements.btnRepeat.addEventListener('click', () => {
+      const queueManager = this.player.getQueueManager();
+      const modes = [RepeatMode.OFF, RepeatMode.ALL, RepeatMode.ONE];
+      const index = modes.indexOf(queueManager.getRepeatMode());
+      queueManager.setRepeatMode(modes[(index + 1) % modes.length]);
+    });
+    this.elements.btnStopAfter.addEventListener('click', () => {
+      this.player.setStopAfterCurrent(this.player.getStopAfterTracks() === null);
+    });
+    this.elements.btnUndo.addEventListener('click', () => this.player.getQueueManager().undo());
+    this.elements.btnRedo.addEventListener('click', () => this.player.getQueueManager().redo());
+
     // Seek bar
     this.elements.seekBar.addEventListener('input', (e) => {
       const time = (e.target.value / 100) * this.player.getDuration();
@@ -104,6 +137,17 @@ class PlayerUI {
     this.player.on('statechange', (state) => this._updatePlayerState(state));
     this.player.on('timeupdate', (data) => this._updateProgress(data));
     this.player.on('volumechange', (volume) => this._updateVolume(volume));
+    this.player.on('stopafterchange', (count) => this._updateStopAfter(count));
+    this.player.getQueueManager().on('upnextchange', () => this.updateUpNext());
+    this.player.getQueueManager().on('repeatmodechange', (mode) => this._updateRepeatMode(mode));
+    this.player.getQueueManager().on('editchange', (change) => {
+      this._updateEditHistory(change);
+      this.updatePlaylist();
+    });
+
+    this._updateRepeatMode(this.player.getQueueManager().getRepeatMode());
+    this._updateStopAfter(this.player.getStopAfterTracks());
+    this._updateEditHistory(this.player.getQueueManager().getEditHistory().getState());
   }
 
   /**
@@ -165,6 +209,42 @@ class PlayerUI {
     this.elements.volumeBar.value = volume * 100;
   }
 
+  /**
+   * Update repeat button
+   * @private
+   * @param {string} mode - RepeatMode value
+   */
+  _updateRepeatMode(mode) {
+    const labels = { OFF: 'off', ALL: 'all', ONE: 'one' };
+    this.elements.btnRepeat.textContent = mode === RepeatMode.ONE ? '🔂' : '🔁';
+    this.elements.btnRepeat.title = `Repeat: ${labels[mode]}`;
+    this.elements.btnRepeat.classList.toggle('active', mode !== RepeatMode.OFF);
+  }
+
+  /**
+   * Update stop-after button
+   * @private
+   * @param {number|null} count - Tracks left before playback stops
+   */
+  _updateStopAfter(count) {
+    this.elements.btnStopAfter.classList.toggle('active', count !== null);
+    this.elements.btnStopAfter.title = count === null || count === 1
+      ? 'Stop after current track'
+      : `Stop after ${count} tracks`;
+  }
+
+  /**
+   * Update undo and redo buttons
+   * @private
+   * @param {Object} state - Edit history state
+   */
+  _updateEditHistory({ canUndo, canRedo, undoName, redoName }) {
+    this.elements.btnUndo.disabled = !canUndo;
+    this.elements.btnRedo.disabled = !canRedo;
+    this.elements.btnUndo.title = canUndo ? `Undo ${undoName}` : 'Undo';
+    this.elements.btnRedo.title = canRedo ? `Redo ${redoName}` : 'Redo';
+  }
+
   /**
    * Format time as MM:SS
    * @private
@@ -192,11 +272,24 @@ class PlayerUI {
           <span class="track-artist-name">${track.artist}</span>
         </span>
         <span class="track-duration">${track.getFormattedDuration()}</span>
+        <button class="btn-queue" title="Add to Up Next">+</button>
+        <button class="btn-remove-track" title="Remove from playlist">✕</button>
       </div>
     `).join('');
 
     // Add click handlers for playlist items
     this.elements.playlistTracks.querySelectorAll('.playlist-item').forEach(item => {
+      item.querySelector('.btn-queue').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const track = this.player.getQueueManager().getTracks()[parseInt(item.dataset.index)];
+        if (track) {
+          this.player.getQueueManager().enqueueLast(track);
+        }
+      });
+      item.querySelector('.btn-remove-track').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.player.getQueueManager().removeAt(parseInt(item.dataset.index));
+      });
       item.addEventListener('click', () => {
         const index = parseInt(item.dataset.index);
         const track = this.player.getQueueManager().jumpToTrack(index);
@@ -206,6 +299,38 @@ class PlayerUI {
       });
     });
   }
+
+  /**
+   * Update Up Next display
+   */
+  updateUpNext() {
+    const queueManager = this.player.getQueueManager();
+    const tracks = queueManager.getUpNext();
+
+    this.elements.upNext.style.display = tracks.length > 0 ? 'block' : 'none';
+    this.elements.upNextTracks.innerHTML = tracks.map((track, index) => `
+      <div class="up-next-item" data-index="${index}">
+        <span class="track-number">${index + 1}</span>
+        <span class="track-info">
+          <span class="track-name">${track.title}</span>
+          <span class="track-artist-name">${track.artist}</span>
+        </span>
+        <button class="btn-move-up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+        <button class="btn-remove" title="Remove">✕</button>
+      </div>
+    `).join('');
+
+    // Add handlers for reordering and removing
+    this.elements.upNextTracks.querySelectorAll('.up-next-item').forEach(item => {
+      const index = parseInt(item.dataset.index);
+      item.querySelector('.btn-move-up').addEventListener('click', () => {
+        queueManager.moveInUpNext(index, index - 1);
+      });
+      item.querySelector('.btn-remove').addEventListener('click', () => {
+        queueManager.removeFromUpNext(index);
+      });
+    });
+  }
 }
 
 export default PlayerUI;
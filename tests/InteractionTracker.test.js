@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import InteractionTracker from '../src/runtime/InteractionTracker.js';
+import ManualClock from '../src/time/ManualClock.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function createTracker() {
+  const clock = new ManualClock({ startTime: Date.UTC(2026, 0, 1, 9) });
+  return { clock, tracker: new InteractionTracker({ clock }) };
+}
+
+describe('InteractionTracker', () => {
+  test('measures pause frequency over virtual hours', () => {
+    const { clock, tracker } = createTracker();
+    clock.advance(HOUR);
+    tracker.recordPause(0.5);
+    clock.advance(HOUR);
+    tracker.recordPause(0.2);
+
+    assert.equal(tracker.getMetrics().pauseFrequency, 1);
+  });
+
+  test('measures volume change frequency per minute', () => {
+    const { clock, tracker } = createTracker();
+    clock.advance(2 * MINUTE);
+    tracker.recordVolumeChange(1, 0.5);
+    tracker.recordVolumeChange(0.5, 0.7);
+
+    assert.equal(tracker.getMetrics().volumeChangeFrequency, 1);
+  });
+
+  test('tracks skip rate and listen completion', () => {
+    const { clock, tracker } = createTracker();
+    tracker.startTrack(100);
+    clock.advance(MINUTE);
+    tracker.completeTrack(100);
+    tracker.startTrack(100);
+    tracker.recordSkip(0.1, 't2');
+
+    const metrics = tracker.getMetrics();
+    assert.equal(metrics.skipRate, 5);
+    assert.equal(metrics.averageListenDuration, 1);
+  });
+
+  test('lets interaction density fade with inactivity', () => {
+    const { clock, tracker } = createTracker();
+    clock.advance(MINUTE);
+    tracker.recordVolumeChange(1, 0.8);
+    const active = tracker.getMetrics().interactionDensity;
+
+    clock.advance(3 * HOUR);
+    tracker.startTrack(100);
+    tracker.completeTrack(100);
+    assert.ok(tracker.getMetrics().interactionDensity < active);
+  });
+
+  test('keeps energy and flow between 0 and 1', () => {
+    const { clock, tracker } = createTracker();
+    for (let i = 0; i < 20; i++) {
+      clock.advance(MINUTE);
+      tracker.recordSkip(0.05, `t${i}`);
+      tracker.recordPause(0.05);
+    }
+
+    for (const value of [tracker.getEnergyLevel(), tracker.getFlowState()]) {
+      assert.ok(value >= 0 && value <= 1);
+    }
+  });
+
+  test('reports context time from the clock', () => {
+    const { clock, tracker } = createTracker();
+    clock.advance(5 * HOUR);
+
+    const expected = new Date(clock.now());
+    assert.equal(tracker.getContext().hour, expected.getHours());
+    assert.equal(tracker.getContext().dayOfWeek, expected.getDay());
+  });
+
+  test('emits interaction events', () => {
+    const { tracker } = createTracker();
+    const types = [];
+    tracker.on('interaction', interaction => types.push(interaction.type));
+
+    tracker.startTrack(100);
+    tracker.recordVolumeChange(1, 0.5);
+    tracker.recordPause(0.3);
+    tracker.recordSkip(0.3, 't1');
+
+    assert.deepEqual(types, ['trackstart', 'volumechange', 'pause', 'skip']);
+  });
+
+  test('restores history with its elapsed runtime', () => {
+    const { clock, tracker } = createTracker();
+    clock.advance(HOUR);
+    tracker.recordPause(0.5);
+    const saved = JSON.parse(JSON.stringify(tracker.serialize()));
+
+    const later = new ManualClock({ startTime: Date.UTC(2026, 5, 1) });
+    const restored = new InteractionTracker({ clock: later });
+    restored.restore(saved);
+
+    assert.equal(restored.getMetrics().pauseFrequency, 1);
+    assert.throws(() => restored.restore({ version: 5 }), /Unsupported InteractionTracker state version/);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import LearningStore from '../src/persistence/LearningStore.js';
+import { createPlayer, createTracks, flush } from './helpers.js';
+
+describe('LearningStore', () => {
+  let setups = [];
+
+  afterEach(() => {
+    setups.forEach(({ player }) => player.destroy());
+    setups = [];
+  });
+
+  /**
+   * Create a test player that is destroyed after the test
+   * @param {Object} [options] - createPlayer() options
+   * @returns {Object} Player setup
+   */
+  function player(options) {
+    const setup = createPlayer(options);
+    setups.push(setup);
+    return setup;
+  }
+
+  test('saves every profile while blending and restores the blend', async () => {
+    const { player: source, engine, queue } = player({ tracks: createTracks(4) });
+    const store = new LearningStore();
+    source.createProfile('sam', { name: 'Sam' });
+    source.getProfile('sam').getProbabilityEngine().banTrack('t3');
+    source.blendProfiles(['default', 'sam'], { weights: { sam: 3 } });
+    store.attach(source);
+
+    queue.jumpToTrack(0);
+    await source.play();
+    engine.advance(120);
+    await flush();
+
+    const samWeights = source.getProfile('sam').getProbabilityEngine().getTrackWeights();
+    assert.ok(samWeights.get('t1') > 1);
+
+    const { player: target } = player({ tracks: [] });
+    assert.equal(await store.restore(target), true);
+
+    assert.ok(target.isBlending());
+    assert.deepEqual(target.getActiveProfiles().map(profile => profile.id), ['default', 'sam']);
+    assert.deepEqual(
+      target.getQueueManager().getProbabilityEngine().getMembers().map(({ name, weight }) => [name, weight]),
+      [['default', 1], ['sam', 3]]
+    );
+    const sam = target.getProfile('sam');
+    assert.equal(sam.name, 'Sam');
+    assert.deepEqual(sam.getProbabilityEngine().getTrackWeights(), samWeights);
+    assert.deepEqual(sam.getProbabilityEngine().getConstraints().bannedTracks, ['t3']);
+    assert.ok(target.getProfile('default').getProbabilityEngine().getTrackWeights().get('t1') > 1);
+    assert.equal(target.getInteractionTracker().interactions.listenDurations.length, 1);
+  });
+
+  test('restores version 1 documents into the active profile', () => {
+    const { player: source } = player();
+    source.getQueueManager().getProbabilityEngine().updateTrackWeight('t2', { skipped: true });
+    const legacy = {
+      version: 1,
+      probabilityEngine: source.getQueueManager().getProbabilityEngine().serialize(),
+      interactionTracker: source.getInteractionTracker().serialize(),
+      runtimeClock: source.getRuntimeClock().serialize()
+    };
+
+    const { player: target } = player();
+    target.createProfile('alex');
+    target.switchProfile('alex');
+    const store = new LearningStore();
+    store.apply(target, JSON.parse(JSON.stringify(legacy)));
+
+    assert.ok(target.getProfile('alex').getProbabilityEngine().getTrackWeights().get('t2') < 1);
+    assert.equal(target.getProfile('default').getProbabilityEngine().getTrackWeights().get('t2'), 1);
+    assert.throws(() => store.apply(target, { version: 3 }), /Unsupported learning state version/);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import MockAudioEngine from '../src/audio/MockAudioEngine.js';
+
+describe('MockAudioEngine', () => {
+  test('simulates playback time and ends tracks', async () => {
+    const engine = new MockAudioEngine({ durations: { 'a.mp3': 10 } });
+    const events = [];
+    engine.on('timeupdate', time => events.push(time));
+    engine.on('ended', () => events.push('ended'));
+
+    await engine.load('a.mp3');
+    engine.advance(5);
+    assert.equal(engine.getCurrentTime(), 0);
+
+    await engine.play();
+    engine.advance(4);
+    engine.advance(6);
+    assert.deepEqual(events, [4, 'ended']);
+    assert.equal(engine.playing, false);
+  });
+
+  test('fails loads on request', async () => {
+    const engine = new MockAudioEngine();
+    engine.failNextLoad('bad.mp3');
+
+    await assert.rejects(engine.load('bad.mp3'), /Failed to load bad.mp3/);
+    await engine.load('bad.mp3');
+    assert.deepEqual(engine.loads, ['bad.mp3', 'bad.mp3']);
+  });
+
+  test('advances to a scheduled track when transitions are enabled', async () => {
+    const engine = new MockAudioEngine({ transitions: true, defaultDuration: 5 });
+    const advanced = [];
+    engine.on('advance', event => advanced.push(event.url));
+
+    await engine.load('a.mp3');
+    await engine.play();
+    assert.equal(await engine.scheduleNext('b.mp3'), true);
+    engine.advance(5);
+
+    assert.deepEqual(advanced, ['b.mp3']);
+    assert.equal(engine.currentUrl, 'b.mp3');
+    assert.equal(await new MockAudioEngine().scheduleNext('b.mp3'), false);
+  });
+});
@@ -0,0 +1,509 @@
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import PlaybackState from '../src/models/PlaybackState.js';
+import RepeatMode from '../src/models/RepeatMode.js';
+import { createPlayer, createTracks, flush } from './helpers.js';
+
+describe('PlayerEngine', () => {
+  let setup;
+
+  afterEach(() => {
+    if (setup) setup.player.destroy();
+    setup = null;
+  });
+
+  test('plays the current queue track', async () => {
+    setup = createPlayer();
+    const { player, queue, tracks } = setup;
+    const changes = [];
+    player.on('trackchange', track => changes.push(track.id));
+
+    queue.jumpToTrack(0);
+    await player.play();
+
+    assert.equal(player.getState(), PlaybackState.PLAYING);
+    assert.equal(player.getCurrentTrack(), tracks[0]);
+    assert.deepEqual(changes, ['t1']);
+  });
+
+  test('rejects play with nothing to play', async () => {
+    setup = createPlayer({ tracks: [] });
+    await assert.rejects(setup.player.play(), /No track to play/);
+    assert.equal(setup.player.getState(), PlaybackState.STOPPED);
+  });
+
+  test('pauses, records the pause and resumes', async () => {
+    setup = createPlayer();
+    const { player, engine, tracks } = setup;
+    await player.play(tracks[0]);
+    engine.advance(30);
+
+    player.pause();
+    assert.equal(player.getState(), PlaybackState.PAUSED);
+    assert.equal(player.getInteractionTracker().interactions.pauses.length, 1);
+    assert.equal(player.getInteractionTracker().interactions.pauses[0].trackProgress, 0.25);
+
+    await player.play();
+    assert.equal(player.getState(), PlaybackState.PLAYING);
+    assert.equal(player.getCurrentTime(), 30);
+  });
+
+  test('advances to the next track when a track ends', async () => {
+    setup = createPlayer();
+    const { player, engine, queue, tracks } = setup;
+    const ended = [];
+    player.on('trackended', track => ended.push(track.id));
+
+    queue.jumpToTrack(0);
+    await player.play();
+    engine.advance(120);
+    await flush();
+
+    assert.deepEqual(ended, ['t1']);
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+    assert.equal(player.getState(), PlaybackState.PLAYING);
+  });
+
+  test('stops after the last track', async () => {
+    setup = createPlayer({ tracks: createTracks(1) });
+    const { player, engine, queue } = setup;
+    queue.jumpToTrack(0);
+    await player.play();
+    engine.advance(120);
+    await flush();
+
+    assert.equal(player.getState(), PlaybackState.STOPPED);
+  });
+
+  test('feeds skips and completions into the probability engine', async () => {
+    setup = createPlayer();
+    const { player, engine, queue } = setup;
+    const feedback = [];
+    player.on('trackfeedback', event => feedback.push(event));
+
+    queue.jumpToTrack(0);
+    await player.play();
+    engine.advance(10);
+    await player.next();
+    engine.advance(120);
+    await flush();
+
+    assert.deepEqual(feedback.map(event => [event.track.id, event.reason]), [['t1', 'skipped'], ['t2', 'ended']]);
+    assert.equal(feedback[1].feedback.hour, new Date(setup.clock.now()).getHours());
+    assert.equal(feedback[1].feedback.dayOfWeek, new Date(setup.clock.now()).getDay());
+    const weights = queue.getProbabilityEngine().getTrackWeights();
+    assert.ok(weights.get('t1') < 1);
+    assert.ok(weights.get('t2') > 1);
+  });
+
+  test('records volume changes', async () => {
+    setup = createPlayer();
+    const { player, engine, tracks } = setup;
+    const volumes = [];
+    player.on('volumechange', volume => volumes.push(volume));
+
+    await player.play(tracks[0]);
+    player.setVolume(0.4);
+
+    assert.equal(engine.getVolume(), 0.4);
+    assert.deepEqual(volumes, [0.4]);
+    assert.equal(player.getInteractionTracker().interactions.volumeChanges.length, 1);
+  });
+
+  test('reports load failures', async () => {
+    setup = createPlayer();
+    const { player, engine, tracks } = setup;
+    const errors = [];
+    player.on('error', error => errors.push(error));
+    engine.failNextLoad(tracks[0].url);
+
+    await assert.rejects(player.play(tracks[0]), /Failed to load/);
+    assert.equal(player.getState(), PlaybackState.STOPPED);
+    assert.ok(errors.length > 0);
+
+    await player.play(tracks[0]);
+    assert.equal(player.getState(), PlaybackState.PLAYING);
+  });
+
+  test('reports load failures after a track ends without unhandled rejections', async () => {
+    setup = createPlayer();
+    const { player, engine, queue, tracks } = setup;
+    const errors = [];
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    player.on('error', error => errors.push(error));
+
+    try {
+      queue.jumpToTrack(0);
+      await player.play();
+      engine.failNextLoad(tracks[1].url);
+      engine.advance(120);
+      await flush();
+      assert.equal(player.getState(), PlaybackState.STOPPED);
+      const advanceErrors = errors.length;
+      assert.ok(advanceErrors > 0);
+
+      queue.setRepeatMode(RepeatMode.ONE);
+      await player.play(tracks[2]);
+      engine.failNextLoad(tracks[2].url);
+      engine.advance(120);
+      await flush();
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(player.getState(), PlaybackState.STOPPED);
+      assert.ok(errors.length > advanceErrors);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+
+  test('emits commands for direct calls only', async () => {
+    setup = createPlayer();
+    const { player, engine, queue } = setup;
+    const commands = [];
+    player.on('command', command => commands.push(command.name));
+
+    queue.jumpToTrack(0);
+    await player.play();
+    player.seek(20);
+    engine.advance(120);
+    await flush();
+
+    assert.deepEqual(commands, ['play', 'seek']);
+  });
+
+  test('crossfades into the next track on the runtime clock', async () => {
+    setup = createPlayer({ transitions: true, tracks: createTracks(3, () => ({ duration: 30 })) });
+    const { player, engine, clock, queue, tracks } = setup;
+    const transitions = [];
+    player.on('transitionstart', transition => transitions.push(transition));
+
+    queue.jumpToTrack(0);
+    await player.play();
+    clock.advance(30 * 1000);
+    await flush();
+
+    assert.equal(transitions.length, 1);
+    assert.equal(transitions[0].to, tracks[1]);
+    assert.equal(engine.crossfades.length, 1);
+    assert.equal(engine.crossfades[0].url, tracks[1].url);
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+  });
+
+  test('schedules gapless playback when smart crossfade is off', async () => {
+    setup = createPlayer({ transitions: true, smartCrossfade: false });
+    const { player, engine, queue, tracks } = setup;
+
+    queue.jumpToTrack(0);
+    await player.play();
+    await flush();
+    assert.equal(engine.nextUrl, tracks[1].url);
+
+    engine.advance(120);
+    await flush();
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+    assert.equal(engine.loads.length, 1);
+  });
+
+  test('plays Up Next before the playlist and reschedules when it changes', async () => {
+    setup = createPlayer({ transitions: true, smartCrossfade: false, tracks: createTracks(4) });
+    const { player, engine, queue, tracks } = setup;
+
+    queue.jumpToTrack(0);
+    await player.play();
+    await flush();
+    assert.equal(engine.nextUrl, tracks[1].url);
+
+    queue.enqueueNext(tracks[3]);
+    await flush();
+    assert.equal(engine.nextUrl, tracks[3].url);
+
+    engine.advance(120);
+    await flush();
+    assert.equal(player.getCurrentTrack(), tracks[3]);
+    assert.equal(engine.nextUrl, tracks[1].url);
+
+    await player.next();
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+  });
+
+  test('reschedules when playlist edits are made, undone and redone', async () => {
+    setup = createPlayer({ transitions: true, smartCrossfade: false, tracks: createTracks(4) });
+    const { player, engine, queue, tracks } = setup;
+
+    queue.jumpToTrack(0);
+    await player.play();
+    await flush();
+    assert.equal(engine.nextUrl, tracks[1].url);
+
+    queue.removeTrack('t2');
+    await flush();
+    assert.equal(engine.nextUrl, tracks[2].url);
+
+    queue.undo();
+    await flush();
+    assert.equal(engine.nextUrl, tracks[1].url);
+
+    queue.redo();
+    await flush();
+    assert.equal(engine.nextUrl, tracks[2].url);
+  });
+
+  test('replays the track in repeat-one mode', async () => {
+    setup = createPlayer({ transitions: true, smartCrossfade: false });
+    const { player, engine, queue, tracks } = setup;
+    queue.setRepeatMode(RepeatMode.ONE);
+
+    queue.jumpToTrack(0);
+    await player.play();
+    await flush();
+    assert.equal(engine.nextUrl, null);
+
+    engine.advance(120);
+    await flush();
+    assert.equal(player.getCurrentTrack(), tracks[0]);
+    assert.equal(player.getState(), PlaybackState.PLAYING);
+    assert.deepEqual(engine.loads, [tracks[0].url, tracks[0].url]);
+
+    await player.next();
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+  });
+
+  test('stops after the current track', async () => {
+    setup = createPlayer({ transitions: true, smartCrossfade: false });
+    const { player, engine, queue, tracks } = setup;
+
+    queue.jumpToTrack(0);
+    await player.play();
+    await flush();
+    assert.equal(engine.nextUrl, tracks[1].url);
+
+    player.setStopAfterCurrent(true);
+    assert.equal(engine.nextUrl, null);
+
+    engine.advance(120);
+    await flush();
+    assert.equal(player.getState(), PlaybackState.STOPPED);
+    assert.equal(player.getCurrentTrack(), tracks[0]);
+    assert.equal(player.getStopAfterTracks(), null);
+  });
+
+  test('stops after a number of finished tracks', async () => {
+    setup = createPlayer({ transitions: true, tracks: createTracks(4, () => ({ duration: 30 })) });
+    const { player, engine, clock, queue, tracks } = setup;
+    const counts = [];
+    player.on('stopafterchange', count => counts.push(count));
+
+    queue.jumpToTrack(0);
+    await player.play();
+    player.setStopAfterTracks(2);
+
+    // The first track crossfades into the second, which then plays out
+    clock.advance(30000);
+    await flush();
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+    engine.advance(30);
+    await flush();
+
+    assert.equal(player.getState(), PlaybackState.STOPPED);
+    assert.equal(player.getCurrentTrack(), tracks[1]);
+    assert.deepEqual(counts, [2, 1, 0, null]);
+  });
+
+  test('emits probability selections with their explanation', async () => {
+    setup = createPlayer();
+    const { player, queue } = setup;
+    const selections = [];
+    player.on('selection', explanation => selections.push(explanation));
+    queue.setProbabilityMode(true);
+
+    queue.jumpToTrack(0);
+    await player.play();
+    await player.next();
+
+    assert.equal(selections.length, 1);
+    assert.equal(selections[0].track, player.getCurrentTrack());
+    assert.notEqual(selections[0].trackId, 't1');
+    assert.equal(selections[0].context.currentTrackId, 't1');
+  });
+
+  test('keeps interactions and weights apart per listener profile', async () => {
+    setup = createPlayer();
+    const { player, engine, queue, tracks } = setup;
+    const changes = [];
+    player.on('profilechange', change => changes.push(change));
+    const defaultEngine = queue.getProbabilityEngine();
+    const alex = player.createProfile('alex', { name: 'Alex', probability: { discoveryBoost: 2 } });
+    assert.throws(() => player.createProfile('alex'), /already exists/);
+
+    player.switchProfile('alex');
+    assert.equal(player.getActiveProfile(), alex);
+    assert.equal(queue.getProbabilityEngine(), alex.getProbabilityEngine());
+    assert.equal(player.getInteractionTracker(), alex.getInteractionTracker());
+    assert.equal(alex.getProbabilityEngine().getLearningSettings().discoveryBoost, 2);
+    assert.deepEqual(changes.map(change => change.profiles.map(profile => profile.id)), [['alex']]);
+
+    await player.play(tracks[0]);
+    engine.advance(10);
+    await player.next();
+
+    assert.ok(alex.getProbabilityEngine().getTrackWeights().get('t1') < 1);
+    assert.equal(defaultEngine.getTrackWeights().get('t1'), 1);
+    assert.equal(alex.getInteractionTracker().interactions.skips.length, 1);
+    assert.equal(player.getProfile('default').getInteractionTracker().interactions.skips.length, 0);
+
+    const copy = player.createProfile('copy');
+    copy.restore(JSON.parse(JSON.stringify(alex.serialize())));
+    assert.equal(copy.name, 'Alex');
+    assert.deepEqual(copy.getProbabilityEngine().getTrackWeights(), alex.getProbabilityEngine().getTrackWeights());
+    player.removeProfile('copy');
+
+    assert.throws(() => player.removeProfile('alex'), /active listener profile/);
+    player.switchProfile('default');
+    player.removeProfile('alex');
+    assert.deepEqual(player.getProfiles().map(profile => profile.id), ['default']);
+    assert.throws(() => player.switchProfile('alex'), /Unknown listener profile/);
+  });
+
+  test('hands the running track over when the profile switches', async () => {
+    setup = createPlayer();
+    const { player, engine, tracks } = setup;
+    const alex = player.createProfile('alex');
+
+    await player.play(tracks[0]);
+    engine.advance(30);
+    player.switchProfile('alex');
+    engine.advance(90);
+    await flush();
+
+    const listens = alex.getInteractionTracker().interactions.listenDurations;
+    assert.equal(listens.length, 1);
+    assert.equal(listens[0].percentage, 1);
+    assert.equal(player.getProfile('default').getInteractionTracker().interactions.listenDurations.length, 0);
+  });
+
+  test('blends listener profiles for shared listening', async () => {
+    setup = createPlayer({ tracks: createTracks(4) });
+    const { player, engine, queue } = setup;
+    const selections = [];
+    player.on('selection', explanation => selections.push(explanation));
+    player.createProfile('sam');
+    player.getProfile('default').getProbabilityEngine().banTrack('t2');
+    player.getProfile('sam').getProbabilityEngine().banTrack('t3');
+    queue.setProbabilityMode(true);
+    assert.throws(() => player.blendProfiles(['sam']), /at least two/);
+
+    player.blendProfiles(['default', 'sam'], { weights: { sam: 3 } });
+    assert.ok(player.isBlending());
+    assert.deepEqual(player.getActiveProfiles().map(profile => profile.id), ['default', 'sam']);
+    assert.equal(player.getInteractionTracker(), player.getProfile('default').getInteractionTracker());
+
+    queue.jumpToTrack(0);
+    await player.play();
+    engine.advance(120);
+    await flush();
+
+    assert.equal(player.getCurrentTrack().id, 't4');
+    assert.deepEqual(Object.keys(selections[0].factors), ['default', 'sam']);
+    // Both listeners count the shared plays and learn from the feedback
+    assert.equal(player.getProfile('sam').getProbabilityEngine().getPlayCount('t4'), 1);
+    assert.ok(player.getProfile('sam').getProbabilityEngine().getTrackWeights().get('t1') > 1);
+    assert.ok(player.getProfile('default').getProbabilityEngine().getTrackWeights().get('t1') > 1);
+
+    player.switchProfile('sam');
+    assert.equal(player.isBlending(), false);
+    await player.next();
+    assert.equal(selections.length, 2);
+  });
+
+  test('publishes playback, queue and runtime state into its state manager', async () => {
+    setup = createPlayer();
+    const { player, engine, queue, tracks } = setup;
+    const store = player.getStateManager();
+    const states = [];
+    store.select(state => state.playbackState, state => states.push(state));
+
+    assert.deepEqual(store.get('queue'), tracks);
+    queue.setShuffle(true);
+    queue.setRepeatMode(RepeatMode.ALL);
+    queue.enqueueLast(tracks[2]);
+    assert.equal(store.get('shuffle'), true);
+    assert.equal(store.get('repeatMode'), RepeatMode.ALL);
+    assert.deepEqual(store.get('upNext'), [tracks[2]]);
+
+    await player.play(tracks[0]);
+    player.setVolume(0.3);
+    engine.advance(30);
+    player.pause();
+
+    assert.equal(store.get('currentTrack'), tracks[0]);
+    assert.equal(store.get('volume'), 0.3);
+    assert.equal(store.get('currentTime'), 30);
+    assert.equal(store.get('energy'), player.getInteractionTracker().getEnergyLevel());
+    assert.deepEqual(states, [PlaybackState.LOADING, PlaybackState.PLAYING, PlaybackState.PAUSED]);
+
+    // The store is what the player reads back
+    assert.equal(player.getState(), store.get('playbackState'));
+    assert.equal(player.getCurrentTrack(), store.get('currentTrack'));
+  });
+
+  test('snapshots and restores the full player state', async () => {
+    setup = createPlayer({ tracks: createTracks(4) });
+    const { player, engine, queue, tracks } = setup;
+    player.createProfile('alex', { name: 'Alex' });
+    player.switchProfile('alex');
+    queue.setRepeatMode(RepeatMode.ALL);
+    queue.enqueueLast(tracks[3]);
+    queue.jumpToTrack(1);
+    await player.play();
+    engine.advance(10);
+    await player.next();
+    engine.advance(20);
+    player.setVolume(0.6);
+    player.pause();
+
+    const snapshot = JSON.parse(JSON.stringify(player.snapshot()));
+    const restoredSetup = createPlayer({ tracks: [] });
+    const restored = restoredSetup.player;
+    const queueCommands = [];
+    restored.getQueueManager().on('command', command => queueCommands.push(command));
+    try {
+      await restored.restoreSnapshot(snapshot);
+      assert.deepEqual(queueCommands, []);
+      assert.equal(restored.getQueueManager().canUndo(), false);
+
+      await restored.restoreSnapshot({ ...snapshot, queue: null });
+      assert.equal(restored.getQueueManager().canUndo(), false);
+      await restored.restoreSnapshot(snapshot);
+
+      assert.equal(restored.getState(), PlaybackState.PAUSED);
+      assert.equal(restored.getCurrentTrack().id, 't4');
+      assert.equal(restored.getCurrentTime(), 20);
+      assert.equal(restored.getVolume(), 0.6);
+      assert.equal(restored.getActiveProfile().name, 'Alex');
+      assert.ok(restored.getProfile('alex').getProbabilityEngine().getTrackWeights().get('t2') < 1);
+      assert.equal(restored.getQueueManager().getRepeatMode(), RepeatMode.ALL);
+      assert.deepEqual(restored.getQueueManager().getTracks().map(track => track.id), ['t1', 't2', 't3', 't4']);
+      assert.equal(restored.getStateManager().get('currentTrack'), restored.getCurrentTrack());
+      assert.equal(restored.getInteractionTracker().interactions.volumeChanges.length, 1);
+
+      await restored.next();
+      assert.equal(restored.getCurrentTrack().id, 't3');
+      await assert.rejects(restored.restoreSnapshot({ version: 2 }), /Unsupported player snapshot version/);
+    } finally {
+      restored.destroy();
+    }
+  });
+
+  test('ticks the runtime clock from the injected clock and stops on destroy', async () => {
+    setup = createPlayer();
+    const { player, clock } = setup;
+
+    clock.advance(60 * 1000);
+    assert.ok(Math.abs(player.getRuntimeClock().getInternalTime() - 60) < 1e-9);
+
+    player.destroy();
+    assert.equal(clock.timers.size, 0);
+  });
+});
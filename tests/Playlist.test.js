@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Playlist from '../src/models/Playlist.js';
+import { createTracks } from './helpers.js';
+
+describe('Playlist', () => {
+  const ids = (playlist) => playlist.tracks.map(track => track.id);
+
+  test('inserts, adds in bulk, moves and removes by predicate', () => {
+    const tracks = createTracks(6);
+    const playlist = new Playlist({ id: 'p', name: 'P', tracks: tracks.slice(0, 2) });
+
+    playlist.addTracks(tracks.slice(2, 4));
+    assert.equal(playlist.insertAt(1, [tracks[4], tracks[5]]), 1);
+    assert.deepEqual(ids(playlist), ['t1', 't5', 't6', 't2', 't3', 't4']);
+    assert.equal(playlist.insertAt(99, tracks[0]), 6);
+
+    assert.equal(playlist.move(0, 3), true);
+    assert.equal(playlist.move(0, 9), false);
+    assert.deepEqual(ids(playlist), ['t5', 't6', 't2', 't1', 't3', 't4', 't1']);
+
+    const removed = playlist.removeWhere((track, index) => track.id === 't1' || index === 0);
+    assert.deepEqual(removed.map(track => track.id), ['t5', 't1', 't1']);
+    assert.deepEqual(ids(playlist), ['t6', 't2', 't3', 't4']);
+    assert.equal(playlist.removeAt(9), null);
+  });
+
+  test('dedupes by ID or by artist and title', () => {
+    const tracks = createTracks(3);
+    const copy = createTracks(1, () => ({ id: 'other', title: ' track 2 ', artist: 'ARTIST 2' }))[0];
+    const playlist = new Playlist({ id: 'p', name: 'P', tracks: [...tracks, tracks[0], copy] });
+
+    assert.deepEqual(playlist.getDuplicateIndices('artistTitle'), [3, 4]);
+    assert.deepEqual(playlist.getDuplicateIndices('id', { keep: 3 }), [0]);
+    assert.deepEqual(playlist.dedupe().map(track => track.id), ['t1']);
+    assert.deepEqual(ids(playlist), ['t1', 't2', 't3', 'other']);
+    assert.deepEqual(playlist.dedupe('artistTitle'), [copy]);
+    assert.throws(() => playlist.dedupe('album'), /Unknown duplicate criterion/);
+  });
+
+  test('sorts stably by title, artist, album or duration', () => {
+    const playlist = new Playlist({
+      id: 'p',
+      name: 'P',
+      tracks: createTracks(4, i => ({
+        title: ['b', 'Track 10', 'a', 'Track 9'][i],
+        album: i % 2 ? 'X' : 'y',
+        duration: [200, 100, 300, 100][i]
+      }))
+    });
+
+    assert.deepEqual(playlist.getSortOrder('title'), [2, 0, 3, 1]);
+    assert.deepEqual(playlist.getSortOrder('duration'), [1, 3, 0, 2]);
+    assert.deepEqual(playlist.getSortOrder('album', { descending: true }), [0, 2, 1, 3]);
+    assert.deepEqual(playlist.sort('artist', { descending: true }), [3, 2, 1, 0]);
+    assert.deepEqual(ids(playlist), ['t4', 't3', 't2', 't1']);
+    assert.throws(() => playlist.sort('mood'), /Unknown sort key/);
+    assert.throws(() => playlist.reorder([0]), /every track once/);
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import PlaylistIO from '../src/formats/PlaylistIO.js';
+import Playlist from '../src/models/Playlist.js';
+import { createTracks } from './helpers.js';
+
+describe('PlaylistIO', () => {
+  const io = new PlaylistIO();
+  const fields = ({ id, title, artist, album, duration, url, artwork }) =>
+    ({ id, title, artist, album, duration, url, artwork });
+
+  test('reads extended M3U and reports unreadable entries', () => {
+    const text = [
+      '#EXTM3U',
+      '#PLAYLIST:Road Trip',
+      '#EXTINF:215,Artist A - Song A',
+      '#EXTALB:Album A',
+      '#EXTIMG:covers/a.jpg',
+      'music/a.mp3',
+      '#EXTINF:oops,Broken',
+      'music/broken.mp3',
+      '#EXTINF:-1 tvg-id="x",Untitled Stream',
+      'http://radio.example/stream',
+      '..\\shared\\My%20Song.flac',
+      '#EXTINF:10,Dangling'
+    ].join('\r\n');
+
+    const { playlist, errors, format } = io.importPlaylist(text, { fileName: '/home/me/lists/trip.m3u8' });
+    assert.equal(format, 'm3u');
+    assert.equal(playlist.name, 'Road Trip');
+    assert.deepEqual(playlist.tracks.map(fields), [
+      {
+        id: '/home/me/lists/music/a.mp3', title: 'Song A', artist: 'Artist A', album: 'Album A',
+        duration: 215, url: '/home/me/lists/music/a.mp3', artwork: '/home/me/lists/covers/a.jpg'
+      },
+      {
+        id: '/home/me/lists/music/broken.mp3', title: 'broken', artist: '', album: '',
+        duration: 0, url: '/home/me/lists/music/broken.mp3', artwork: ''
+      },
+      {
+        id: 'http://radio.example/stream', title: 'Untitled Stream', artist: '', album: '',
+        duration: 0, url: 'http://radio.example/stream', artwork: ''
+      },
+      {
+        id: '/home/me/shared/My%20Song.flac', title: 'My Song', artist: '', album: '',
+        duration: 0, url: '/home/me/shared/My%20Song.flac', artwork: ''
+      }
+    ]);
+    assert.deepEqual(errors, [
+      { line: 7, index: null, message: 'Invalid #EXTINF "oops,Broken"' },
+      { line: 12, index: null, message: '#EXTINF without a location' }
+    ]);
+  });
+
+  test('reads PLS entries in number order', () => {
+    const text = [
+      '[playlist]',
+      'File2=http://example.com/b.ogg',
+      'Title2=Song B',
+      'File1=a.mp3',
+      'Title1=Artist A - Song A',
+      'Length1=61',
+      'Title3=No file',
+      'File4=c.mp3',
+      'Length4=long',
+      'garbage',
+      'NumberOfEntries=4',
+      'Version=2'
+    ].join('\n');
+
+    const { playlist, errors } = io.importPlaylist(text, { baseUrl: 'https://example.com/lists/x.pls' });
+    assert.deepEqual(playlist.tracks.map(track => [track.url, track.artist, track.title, track.duration]), [
+      ['https://example.com/lists/a.mp3', 'Artist A', 'Song A', 61],
+      ['http://example.com/b.ogg', '', 'Song B', 0]
+    ]);
+    assert.deepEqual(errors.map(error => [error.line, error.index, error.message]), [
+      [7, 3, 'Entry 3 has no File3'],
+      [8, 4, 'Invalid Length4 "long"'],
+      [10, null, 'Unreadable line "garbage"']
+    ]);
+    assert.throws(() => io.importPlaylist('File1=a.mp3', { format: 'pls' }), /missing \[playlist\]/);
+  });
+
+  test('reads XSPF and JSPF tracks', () => {
+    const xspf = `<?xml version="1.0" encoding="UTF-8"?>
+      <!-- exported -->
+      <playlist version="1" xmlns="http://xspf.org/ns/0/">
+        <title>Rock &amp; Roll</title>
+        <trackList>
+          <track>
+            <location>songs/a.mp3</location>
+            <identifier>urn:track:a</identifier>
+            <title><![CDATA[A <live>]]></title>
+            <creator>Art&#233;</creator>
+            <duration>90500</duration>
+            <image>a.png</image>
+          </track>
+          <track><title>No location</title></track>
+          <track><location>b.mp3</location><duration>soon</duration></track>
+          <track/>
+        </trackList>
+      </playlist>`;
+    const fromXspf = io.importPlaylist(xspf, { baseUrl: 'http://host/lists/p.xspf' });
+    assert.equal(fromXspf.format, 'xspf');
+    assert.equal(fromXspf.playlist.name, 'Rock & Roll');
+    assert.deepEqual(fields(fromXspf.playlist.tracks[0]), {
+      id: 'urn:track:a', title: 'A <live>', artist: 'Arté', album: '', duration: 90.5,
+      url: 'http://host/lists/songs/a.mp3', artwork: 'http://host/lists/a.png'
+    });
+    assert.deepEqual(fromXspf.errors.map(error => error.message), [
+      'Track 2 has no location',
+      'Invalid duration "soon" in track 3',
+      'Track 4 has no location'
+    ]);
+
+    const jspf = JSON.stringify({
+      playlist: {
+        title: 'Mix',
+        track: [
+          { location: ['https://x.test/a.mp3', 'https://mirror.test/a.mp3'], title: 'A', creator: 'B', duration: 1000 },
+          'nonsense',
+          { title: 'No location' }
+        ]
+      }
+    });
+    const fromJspf = io.importPlaylist(jspf);
+    assert.equal(fromJspf.format, 'jspf');
+    assert.deepEqual(fromJspf.playlist.tracks.map(track => [track.url, track.title, track.artist, track.duration]), [
+      ['https://x.test/a.mp3', 'A', 'B', 1]
+    ]);
+    assert.deepEqual(fromJspf.errors.map(error => [error.index, error.message]), [
+      [2, 'Track 2 is not an object'],
+      [3, 'Track 3 has no location']
+    ]);
+
+    assert.throws(() => io.importPlaylist('<playlist><trackList></playlist>', { format: 'xspf' }), /Invalid XSPF/);
+    assert.throws(() => io.importPlaylist('{"playlist": ', { format: 'jspf' }), /Invalid JSPF/);
+    assert.throws(() => io.importPlaylist('just text'), /Unrecognised playlist format/);
+  });
+
+  test('round-trips playlists through every format', () => {
+    const tracks = createTracks(2, i => ({
+      id: i === 0 ? 'custom-id' : `https://cdn.test/music/t${i + 1}.mp3`,
+      url: `https://cdn.test/music/t${i + 1}.mp3`,
+      album: i === 0 ? 'Album & "Friends"' : '',
+      artwork: i === 0 ? 'https://cdn.test/music/art.jpg' : '',
+      duration: 125
+    }));
+    const playlist = new Playlist({ id: 'p', name: 'Favourites', tracks });
+
+    io.getFormats().forEach(name => {
+      const { text, extension } = io.exportPlaylist(playlist, name, { baseUrl: 'https://cdn.test/music/list' });
+      assert.ok(!text.includes('https://cdn.test/music/t1.mp3'), `${name} writes relative locations`);
+
+      const { playlist: restored, errors } = io.importPlaylist(text, {
+        fileName: `https://cdn.test/music/list.${extension}`
+      });
+      assert.deepEqual(errors, []);
+      assert.deepEqual(restored.tracks.map(track => [track.url, track.title, track.artist, track.duration]),
+        tracks.map(track => [track.url, track.title, track.artist, track.duration]), name);
+      if (name === 'xspf' || name === 'jspf') {
+        assert.deepEqual(restored.tracks.map(fields), tracks.map(fields), name);
+        assert.equal(restored.name, 'Favourites');
+      }
+    });
+
+    assert.equal(io.exportPlaylist(playlist, 'm3u8').extension, 'm3u8');
+    assert.equal(io.exportPlaylist(playlist, 'pls').mimeType, 'audio/x-scpls');
+    assert.throws(() => io.exportPlaylist(playlist, 'wpl'), /Unknown playlist format/);
+  });
+});
@@ -0,0 +1,368 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProbabilityEngine from '../src/runtime/ProbabilityEngine.js';
+import RandomSource from '../src/runtime/RandomSource.js';
+import ScoringFactor from '../src/runtime/factors/ScoringFactor.js';
+import ManualClock from '../src/time/ManualClock.js';
+import { createTracks } from './helpers.js';
+
+const sum = (probabilities) => Array.from(probabilities.values()).reduce((total, p) => total + p, 0);
+
+describe('ProbabilityEngine', () => {
+  test('produces a normalized distribution', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(1) });
+    const probabilities = engine.calculateProbabilities(createTracks(4), { flow: 0.1 });
+
+    assert.equal(probabilities.size, 4);
+    assert.ok(Math.abs(sum(probabilities) - 1) < 1e-9);
+  });
+
+  test('penalizes recently played tracks', () => {
+    const engine = new ProbabilityEngine();
+    engine.recentTracks = ['t1'];
+    const probabilities = engine.calculateProbabilities(createTracks(3));
+
+    assert.ok(probabilities.get('t1') < probabilities.get('t2'));
+  });
+
+  test('learns from listening feedback within bounds', () => {
+    const engine = new ProbabilityEngine();
+    engine.updateTrackWeight('liked', { listenPercentage: 1 });
+    engine.updateTrackWeight('skipped', { listenPercentage: 0.1, skipped: true });
+    for (let i = 0; i < 50; i++) {
+      engine.updateTrackWeight('skipped', { listenPercentage: 0.1, skipped: true });
+    }
+
+    const weights = engine.getTrackWeights();
+    assert.ok(weights.get('liked') > 1);
+    assert.equal(weights.get('skipped'), engine.MIN_WEIGHT);
+  });
+
+  test('favours tracks whose energy fits the listener', () => {
+    const engine = new ProbabilityEngine();
+    const tracks = createTracks(2, i => ({ features: { energy: i === 0 ? 0.9 : 0.1 } }));
+
+    const energetic = engine.calculateProbabilities(tracks, { energy: 0.9 });
+    assert.ok(energetic.get('t1') > energetic.get('t2'));
+    const calm = engine.calculateProbabilities(tracks, { energy: 0.1 });
+    assert.ok(calm.get('t2') > calm.get('t1'));
+  });
+
+  test('keeps similar tracks together in high flow', () => {
+    const engine = new ProbabilityEngine();
+    const tracks = createTracks(3, i => ({
+      artist: i < 2 ? 'Same' : 'Other',
+      features: { tags: i < 2 ? ['ambient'] : ['metal'] }
+    }));
+    engine.recentTracks = ['t1'];
+
+    const probabilities = engine.calculateProbabilities(tracks, { flow: 0.95 });
+    assert.ok(probabilities.get('t2') > probabilities.get('t3'));
+  });
+
+  test('selects reproducibly from a seed', () => {
+    const pick = (seed) => {
+      const engine = new ProbabilityEngine({ random: new RandomSource(seed) });
+      const tracks = createTracks(6);
+      return Array.from({ length: 5 }, () => engine.selectNextTrack(tracks, { flow: 0.1 }).id);
+    };
+
+    assert.deepEqual(pick(3), pick(3));
+    assert.equal(new ProbabilityEngine().selectNextTrack([]), null);
+  });
+
+  test('never selects the current track while others are eligible', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(2) });
+    const tracks = createTracks(2);
+    for (let i = 0; i < 20; i++) {
+      assert.equal(engine.selectNextTrack(tracks, { currentTrackId: 't1' }).id, 't2');
+    }
+    assert.equal(engine.selectNextTrack(tracks.slice(0, 1), { currentTrackId: 't1' }).id, 't1');
+  });
+
+  test('keeps tracks and artists out of their no-repeat windows', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(5), noRepeatTracks: 3, noRepeatArtists: 1 });
+    const tracks = createTracks(6, i => ({ artist: `Artist ${i % 3}` }));
+
+    const picks = [];
+    for (let i = 0; i < 30; i++) {
+      const track = engine.selectNextTrack(tracks);
+      picks.push(track);
+      const previous = picks.slice(-4, -1);
+      assert.ok(!previous.some(pick => pick.id === track.id), 'track repeated inside its window');
+      if (picks.length > 1) {
+        assert.notEqual(track.artist, picks[picks.length - 2].artist);
+      }
+    }
+  });
+
+  test('counts plays recorded from outside the engine', () => {
+    const engine = new ProbabilityEngine({ noRepeatTracks: 2 });
+    const tracks = createTracks(3);
+    engine.recordPlay(tracks[0]);
+    engine.recordPlay(tracks[1]);
+
+    assert.deepEqual(engine.getCandidates(tracks).candidates, [tracks[2]]);
+  });
+
+  test('honours bans and pins', () => {
+    const engine = new ProbabilityEngine();
+    const tracks = createTracks(4, i => ({ artist: i < 2 ? 'Banned' : `Artist ${i}` }));
+    engine.banArtist('banned');
+    engine.banTrack('t3');
+    assert.deepEqual(engine.getCandidates(tracks).candidates.map(track => track.id), ['t4']);
+    assert.equal(engine.isBanned(tracks[0]), true);
+
+    engine.unbanTrack('t3');
+    engine.pinTrack('t3');
+    assert.deepEqual(engine.getCandidates(tracks).candidates.map(track => track.id), ['t3']);
+
+    engine.clearConstraints();
+    assert.equal(engine.getCandidates(tracks).candidates.length, 4);
+  });
+
+  test('relaxes constraints from the weakest when nothing is eligible', () => {
+    const engine = new ProbabilityEngine({ noRepeatTracks: 5, noRepeatArtists: 5 });
+    const tracks = createTracks(3);
+    tracks.forEach(track => engine.recordPlay(track));
+    engine.banTrack('t2');
+    engine.pinTrack('t1');
+
+    let result = engine.getCandidates(tracks, 't3');
+    assert.deepEqual(result.candidates.map(track => track.id), ['t1']);
+    assert.deepEqual(result.relaxed, ['artistWindow', 'trackWindow']);
+
+    result = engine.getCandidates(tracks, 't1');
+    assert.deepEqual(result.candidates.map(track => track.id), ['t3']);
+    assert.deepEqual(result.relaxed, ['artistWindow', 'trackWindow', 'pins']);
+
+    engine.banTrack('t1');
+    engine.banTrack('t3');
+    result = engine.getCandidates(tracks, 't1');
+    assert.equal(result.candidates.length, 3);
+    assert.deepEqual(result.relaxed, ['artistWindow', 'trackWindow', 'pins', 'current', 'bans']);
+  });
+
+  test('explains each selection factor by factor', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(8), maxExplanations: 2 });
+    const tracks = createTracks(3, i => ({ features: { energy: i / 2 } }));
+    const explained = [];
+    engine.on('selection', explanation => explained.push(explanation));
+    engine.updateTrackWeight('t2', { listenPercentage: 0.1, skipped: true });
+
+    const track = engine.selectNextTrack(tracks, { energy: 1, flow: 0.1, hour: 20, currentTrackId: 't1' });
+    const explanation = engine.getLastExplanation();
+
+    assert.equal(explained[0], explanation);
+    assert.equal(explanation.track, track);
+    assert.equal(explanation.excluded, 1);
+    assert.deepEqual(explanation.relaxed, []);
+    assert.deepEqual(explanation.candidates.map(candidate => candidate.trackId).sort(), ['t2', 't3']);
+
+    const t2 = explanation.candidates.find(candidate => candidate.trackId === 't2');
+    assert.equal(t2.factors.learned, 0.6);
+    assert.equal(t2.factors.timeOfDay, 1);
+    assert.ok(t2.factors.jitter >= 0.8 && t2.factors.jitter <= 1.2);
+    const product = Object.values(t2.factors).reduce((total, factor) => total * factor, 1);
+    assert.ok(Math.abs(product - t2.weight) < 1e-9);
+    assert.ok(Math.abs(explanation.candidates.reduce((total, c) => total + c.probability, 0) - 1) < 1e-9);
+
+    engine.selectNextTrack(tracks);
+    engine.selectNextTrack(tracks);
+    assert.equal(engine.getExplanations().length, 2);
+    assert.notEqual(engine.getExplanations()[0], explanation);
+  });
+
+  test('composes the built-in factors by default', () => {
+    const engine = new ProbabilityEngine();
+    assert.deepEqual(
+      engine.getFactors().map(factor => factor.name),
+      ['learned', 'recency', 'features', 'continuity', 'jitter', 'timeOfDay', 'discovery']
+    );
+    assert.ok(engine.getFactors().every(factor => factor instanceof ScoringFactor));
+  });
+
+  test('applies registered custom factors', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(4) });
+    const tracks = createTracks(3, i => ({ url: i === 2 ? 'file:///local.mp3' : `https://cdn/t${i}.mp3` }));
+    engine.addFactor({
+      name: 'preferLocal',
+      weight: 1,
+      score: track => (track.url.startsWith('file:') ? 3 : 1)
+    });
+
+    const probabilities = engine.calculateProbabilities(tracks, { hour: 9 });
+    assert.ok(Math.abs(probabilities.get('t3') - 0.6) < 1e-9);
+    assert.throws(() => engine.addFactor({ name: 'preferLocal', score: () => 1 }), /already registered/);
+    assert.throws(() => engine.addFactor({ name: 'broken' }), /score\(\) function/);
+
+    engine.setFactorWeight('preferLocal', 2);
+    assert.ok(Math.abs(engine.calculateProbabilities(tracks).get('t3') - 9 / 11) < 1e-9);
+
+    engine.setFactorEnabled('preferLocal', false);
+    assert.ok(Math.abs(engine.calculateProbabilities(tracks).get('t3') - 1 / 3) < 1e-9);
+
+    assert.equal(engine.removeFactor('preferLocal'), true);
+    assert.equal(engine.getFactor('preferLocal'), null);
+  });
+
+  test('passes the listening context and recent tracks to factors', () => {
+    class WorkModeFactor extends ScoringFactor {
+      constructor() {
+        super({ name: 'workMode' });
+        this.seen = [];
+      }
+
+      score(track, context) {
+        this.seen.push(context);
+        return context.weekday && track.features.tags.includes('focus') ? 2 : 1;
+      }
+    }
+    const factor = new WorkModeFactor();
+    const engine = new ProbabilityEngine({ factors: [factor] });
+    const tracks = createTracks(2, i => ({ features: { tags: i === 0 ? ['focus'] : ['party'] } }));
+    engine.recentTracks = ['t2'];
+
+    const probabilities = engine.calculateProbabilities(tracks, { weekday: true });
+    assert.ok(Math.abs(probabilities.get('t1') - 2 / 3) < 1e-9);
+    assert.deepEqual(factor.seen[0].recentTracks, [tracks[1]]);
+    assert.equal(factor.seen[0].flow, 0.5);
+  });
+
+  test('learns when tracks are wanted from completions and skips', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(3) });
+    const tracks = createTracks(2);
+    engine.setFactorEnabled('jitter', false);
+    for (let day = 0; day < 5; day++) {
+      engine.updateTrackWeight('t1', { listenPercentage: 1, hour: 8, dayOfWeek: day });
+      engine.updateTrackWeight('t1', { listenPercentage: 0.1, skipped: true, hour: 21, dayOfWeek: day });
+      engine.updateTrackWeight('t2', { listenPercentage: 1, hour: 21, dayOfWeek: day });
+      engine.updateTrackWeight('t2', { listenPercentage: 0.1, skipped: true, hour: 8, dayOfWeek: day });
+    }
+
+    const morning = engine.calculateProbabilities(tracks, { hour: 8, dayOfWeek: 2 });
+    const evening = engine.calculateProbabilities(tracks, { hour: 21, dayOfWeek: 2 });
+    assert.ok(morning.get('t1') > 0.5);
+    assert.ok(evening.get('t2') > 0.5);
+
+    // Neighbouring hours count in part, unrelated hours not at all
+    const affinity = engine.getTemporalAffinity();
+    assert.ok(affinity.getAffinity(tracks[0], { hour: 9 }).hour > 0);
+    assert.equal(affinity.getAffinity(tracks[0], { hour: 14 }).hour, 0);
+    assert.equal(affinity.getAffinity(tracks[0], { hour: 8, dayOfWeek: 6 }).day, 0);
+    assert.equal(affinity.getTrackHistogram('t1').events, 10);
+    assert.equal(affinity.getTrackHistogram('t1').hours[8], 5);
+  });
+
+  test('carries time preferences over to tracks with the same tags', () => {
+    const engine = new ProbabilityEngine();
+    const tracks = createTracks(3, i => ({ features: { tags: i === 2 ? [] : ['Ambient'] } }));
+    engine.updateTrackWeight('t1', { listenPercentage: 1, hour: 7, tags: ['Ambient'] });
+    engine.updateTrackWeight('t1', { listenPercentage: 1, hour: 7, tags: ['Ambient'] });
+    // Feedback without a time teaches nothing about time
+    engine.updateTrackWeight('t3', { listenPercentage: 1 });
+
+    const timeOfDay = engine.getFactor('timeOfDay');
+    assert.ok(timeOfDay.score(tracks[1], { hour: 7 }, engine) > 1);
+    assert.equal(timeOfDay.score(tracks[2], { hour: 7 }, engine), 1);
+    assert.equal(engine.getTemporalAffinity().getTagHistogram('ambient').events, 2);
+    assert.equal(engine.getTemporalAffinity().getTrackHistogram('t3'), null);
+  });
+
+  test('decays learned weights back toward the baseline', () => {
+    const clock = new ManualClock({ startTime: 0 });
+    const day = 24 * 60 * 60 * 1000;
+    const engine = new ProbabilityEngine({ clock, decayHalfLife: 7 * day });
+    engine.updateTrackWeight('t1', { listenPercentage: 0.1, skipped: true });
+    assert.ok(Math.abs(engine.getTrackWeight('t1') - 0.6) < 1e-9);
+
+    clock.advance(7 * day);
+    assert.ok(Math.abs(engine.getTrackWeight('t1') - 0.8) < 1e-9);
+    assert.ok(Math.abs(engine.getTrackWeights().get('t1') - 0.8) < 1e-9);
+
+    // New feedback builds on the decayed weight
+    engine.updateTrackWeight('t1', { listenPercentage: 1 });
+    assert.ok(Math.abs(engine.getTrackWeight('t1') - 0.88) < 1e-9);
+
+    engine.setDecayHalfLife(0);
+    clock.advance(70 * day);
+    assert.ok(Math.abs(engine.getTrackWeight('t1') - 0.88) < 1e-9);
+  });
+
+  test('explores with a uniform share and a softmax temperature', () => {
+    const tracks = createTracks(2);
+    const options = { random: new RandomSource(1), factors: [{ name: 'fixed', score: track => (track.id === 't1' ? 3 : 1) }] };
+    const probability = engine => engine.calculateProbabilities(tracks).get('t1');
+
+    assert.ok(Math.abs(probability(new ProbabilityEngine(options)) - 0.75) < 1e-9);
+    assert.ok(Math.abs(probability(new ProbabilityEngine({ ...options, explorationRate: 0.5 })) - 0.625) < 1e-9);
+    assert.ok(Math.abs(probability(new ProbabilityEngine({ ...options, temperature: 0.5 })) - 0.9) < 1e-9);
+
+    const engine = new ProbabilityEngine(options);
+    engine.setExploration({ temperature: 1000 });
+    assert.ok(Math.abs(probability(engine) - 0.5) < 0.01);
+    engine.setExploration({ rate: 2, temperature: 0 });
+    assert.deepEqual(engine.getLearningSettings(), {
+      decayHalfLife: 0,
+      explorationRate: 1,
+      temperature: engine.MIN_TEMPERATURE,
+      discoveryBoost: 1
+    });
+    assert.equal(probability(engine), 0.5);
+  });
+
+  test('boosts tracks that were never played', () => {
+    const engine = new ProbabilityEngine({ discoveryBoost: 3 });
+    const tracks = createTracks(2);
+    engine.recordPlay(tracks[0]);
+
+    const discovery = engine.getFactor('discovery');
+    assert.equal(discovery.score(tracks[0], {}, engine), 1);
+    assert.equal(discovery.score(tracks[1], {}, engine), 3);
+    assert.equal(engine.getPlayCount('t1'), 1);
+    assert.ok(engine.calculateProbabilities(tracks, { flow: 0.5 }).get('t2') > 0.6);
+  });
+
+  test('serializes and restores learned state', () => {
+    const engine = new ProbabilityEngine({ random: new RandomSource(9) });
+    engine.updateTrackWeight('t1', { skipped: true, hour: 23, dayOfWeek: 5, tags: ['late'] });
+    engine.selectNextTrack(createTracks(3));
+    engine.banArtist('Artist 2');
+    engine.pinTrack('t3');
+    engine.setFactorEnabled('jitter', false);
+    engine.setFactorWeight('features', 2);
+    engine.setExploration({ rate: 0.2, temperature: 1.5 });
+    engine.setDiscoveryBoost(2);
+
+    const restored = new ProbabilityEngine();
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+
+    assert.deepEqual(restored.getTrackWeights(), engine.getTrackWeights());
+    assert.deepEqual(restored.recentTracks, engine.recentTracks);
+    assert.deepEqual(restored.getTemporalAffinity().serialize(), engine.getTemporalAffinity().serialize());
+    assert.deepEqual(restored.getConstraints(), engine.getConstraints());
+    assert.equal(restored.getFactor('jitter').enabled, false);
+    assert.equal(restored.getFactor('features').weight, 2);
+    assert.deepEqual(restored.getLearningSettings(), engine.getLearningSettings());
+    assert.equal(restored.getPlayCount('t1') + restored.getPlayCount('t2') + restored.getPlayCount('t3'), 1);
+    assert.equal(restored.getRandomSource().next(), engine.getRandomSource().next());
+    assert.throws(() => restored.restore({ version: 2 }), /Unsupported ProbabilityEngine state version/);
+  });
+
+  test('restores custom factors that have no weight', () => {
+    const tracks = createTracks(3);
+    const preferFirst = () => ({ name: 'preferFirst', score: track => (track.id === 't1' ? 2 : 1) });
+    const engine = new ProbabilityEngine({ random: new RandomSource(2) });
+    engine.addFactor(preferFirst());
+
+    const restored = new ProbabilityEngine({ random: new RandomSource(2) });
+    restored.addFactor(preferFirst());
+    restored.restore(JSON.parse(JSON.stringify(engine.serialize())));
+
+    assert.equal(restored.getFactor('preferFirst').weight, undefined);
+    assert.equal(restored.setFactorWeight('preferFirst', undefined), false);
+    const probabilities = restored.calculateProbabilities(tracks);
+    assert.ok(Array.from(probabilities.values()).every(Number.isFinite));
+    assert.deepEqual(probabilities, engine.calculateProbabilities(tracks));
+  });
+});
@@ -0,0 +1,538 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import RepeatMode from '../src/models/RepeatMode.js';
+import Playlist from '../src/models/Playlist.js';
+import QueueManager from '../src/core/QueueManager.js';
+import { createQueue, createTracks } from './helpers.js';
+
+describe('QueueManager', () => {
+  test('moves through tracks in order', () => {
+    const queue = createQueue(createTracks(3));
+
+    assert.equal(queue.next().id, 't1');
+    assert.equal(queue.next().id, 't2');
+    assert.equal(queue.previous().id, 't1');
+    assert.equal(queue.getCurrentTrack().id, 't1');
+  });
+
+  test('stops at the end unless repeating', () => {
+    const queue = createQueue(createTracks(2));
+    queue.jumpToTrack(1);
+    assert.equal(queue.hasNext(), false);
+    assert.equal(queue.next(), null);
+
+    queue.setRepeat(true);
+    assert.equal(queue.next().id, 't1');
+  });
+
+  test('repeat modes wrap around and map to the repeat flag', () => {
+    const queue = createQueue(createTracks(2));
+    const modes = [];
+    queue.on('repeatmodechange', mode => modes.push(mode));
+    queue.jumpToTrack(1);
+
+    queue.setRepeatMode(RepeatMode.ONE);
+    assert.equal(queue.repeat, true);
+    assert.equal(queue.next().id, 't1');
+
+    queue.setRepeat(false);
+    assert.equal(queue.getRepeatMode(), RepeatMode.OFF);
+    assert.deepEqual(modes, [RepeatMode.ONE, RepeatMode.OFF]);
+    assert.throws(() => queue.setRepeatMode('SOMETIMES'), /Unknown repeat mode/);
+
+    const restored = createQueue(createTracks(2));
+    restored.restore({ version: 1, currentIndex: 0, repeat: true, shuffle: false, probabilityMode: false });
+    assert.equal(restored.getRepeatMode(), RepeatMode.ALL);
+  });
+
+  test('peekNext looks ahead without moving', () => {
+    const queue = createQueue(createTracks(3));
+    queue.jumpToTrack(0);
+
+    assert.equal(queue.peekNext().id, 't2');
+    assert.equal(queue.getCurrentTrack().id, 't1');
+  });
+
+  test('jumps to tracks by index and ID', () => {
+    const queue = createQueue(createTracks(3));
+
+    assert.equal(queue.jumpToTrack(2).id, 't3');
+    assert.equal(queue.jumpToTrackById('t2').id, 't2');
+    assert.equal(queue.jumpToTrackById('missing'), null);
+    assert.equal(queue.jumpToTrack(7), null);
+  });
+
+  test('shuffles into a seed-determined permutation', () => {
+    const first = createQueue(createTracks(8), 42);
+    const second = createQueue(createTracks(8), 42);
+    first.setShuffle(true);
+    second.setShuffle(true);
+
+    assert.deepEqual(first.shuffledIndices, second.shuffledIndices);
+    assert.deepEqual([...first.shuffledIndices].sort(), [0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('turning shuffle on and off keeps the current track', () => {
+    const queue = createQueue(createTracks(8), 42);
+    queue.jumpToTrack(4);
+
+    queue.setShuffle(true);
+    assert.equal(queue.getCurrentTrack().id, 't5');
+    assert.equal(queue.shuffledIndices[0], 4);
+    const order = [...queue.shuffledIndices];
+    queue.setShuffle(true);
+    assert.deepEqual(queue.shuffledIndices, order);
+
+    queue.next();
+    const current = queue.getCurrentTrack();
+    queue.setShuffle(false);
+    assert.equal(queue.getCurrentTrack(), current);
+  });
+
+  test('adding and removing tracks keeps the shuffle order', () => {
+    const tracks = createTracks(6);
+    const queue = createQueue(tracks.slice(0, 5), 9);
+    queue.setShuffle(true);
+    queue.next();
+    queue.next();
+    const played = queue.shuffledIndices.slice(0, 2);
+
+    queue.addTrack(tracks[5]);
+    assert.deepEqual(queue.shuffledIndices.slice(0, 2), played);
+    assert.ok(queue.shuffledIndices.indexOf(5) > 1);
+
+    const current = queue.getCurrentTrack();
+    const upcoming = queue.shuffledIndices.slice(2).map(index => queue.getTracks()[index].id);
+    queue.removeTrack(upcoming[0]);
+    assert.equal(queue.getCurrentTrack(), current);
+    assert.deepEqual(
+      queue.shuffledIndices.slice(2).map(index => queue.getTracks()[index].id),
+      upcoming.slice(1)
+    );
+
+    queue.removeTrack(queue.getTracks()[played[0]].id);
+    assert.equal(queue.getCurrentTrack(), current);
+  });
+
+  test('jumping while shuffling plays the requested track and keeps the rest to come', () => {
+    const queue = createQueue(createTracks(6), 4);
+    queue.setShuffle(true);
+    queue.next();
+    const upcoming = queue.shuffledIndices.slice(1);
+    const target = upcoming[upcoming.length - 1];
+
+    assert.equal(queue.jumpToTrack(target), queue.getTracks()[target]);
+    assert.equal(queue.jumpToTrackById('t3').id, 't3');
+    assert.deepEqual([...queue.shuffledIndices].sort(), [0, 1, 2, 3, 4, 5]);
+  });
+
+  test('smart shuffle avoids back-to-back tracks by the same artist', () => {
+    const artist = i => ({ artist: ['A', 'A', 'A', 'B', 'B', 'C', 'C', 'D'][i] });
+    for (let seed = 1; seed <= 20; seed++) {
+      const queue = createQueue(createTracks(8, artist), seed);
+      queue.setSmartShuffle(true);
+      queue.setShuffle(true);
+      queue.addTrack(createTracks(9, () => ({ artist: 'D' }))[8]);
+
+      const artists = queue.shuffledIndices.map(index => queue.getTracks()[index].artist);
+      artists.slice(1).forEach((name, i) => assert.notEqual(name, artists[i], `seed ${seed}: ${artists}`));
+    }
+  });
+
+  test('selects from the probability field in probability mode', () => {
+    const queue = createQueue(createTracks(5), 7);
+    queue.setProbabilityMode(true);
+
+    const track = queue.next({ energy: 0.5, flow: 0.5, hour: 12 });
+    assert.ok(track);
+    assert.equal(queue.getCurrentTrack(), track);
+    assert.equal(queue.peekNext(), null);
+    assert.equal(queue.getProbabilityEngine().recentTracks[0], track.id);
+  });
+
+  test('probability mode does not repeat the current track or its window', () => {
+    const queue = createQueue(createTracks(4), 13);
+    queue.getProbabilityEngine().setNoRepeatWindow({ tracks: 2 });
+    queue.jumpToTrack(0);
+    queue.setProbabilityMode(true);
+
+    const played = [queue.getCurrentTrack().id];
+    for (let i = 0; i < 12; i++) {
+      played.push(queue.next({ energy: 0.5, flow: 0.5, hour: 12 }).id);
+      assert.ok(!played.slice(-3, -1).includes(played[played.length - 1]), played.join());
+    }
+  });
+
+  test('adds, removes and clears tracks', () => {
+    const queue = createQueue(createTracks(2));
+    queue.addTrack(createTracks(3)[2]);
+    assert.equal(queue.getTrackCount(), 3);
+
+    assert.equal(queue.removeTrack('t1'), true);
+    assert.equal(queue.removeTrack('t1'), false);
+
+    queue.clear();
+    assert.equal(queue.getTrackCount(), 0);
+    assert.equal(queue.getCurrentTrack(), null);
+  });
+
+  test('plays Up Next before the playlist and resumes where it left off', () => {
+    const tracks = createTracks(5);
+    const queue = createQueue(tracks);
+    queue.jumpToTrack(0);
+
+    queue.enqueueLast([tracks[3], tracks[4]]);
+    queue.enqueueNext(tracks[2]);
+    assert.deepEqual(queue.getUpNext().map(track => track.id), ['t3', 't4', 't5']);
+    assert.equal(queue.peekNext().id, 't3');
+
+    assert.equal(queue.next().id, 't3');
+    assert.equal(queue.getCurrentTrack().id, 't3');
+    assert.equal(queue.next().id, 't4');
+    assert.equal(queue.next().id, 't5');
+    assert.equal(queue.next().id, 't2');
+    assert.equal(queue.getUpNext().length, 0);
+  });
+
+  test('Up Next takes precedence over shuffle and probability selection', () => {
+    const tracks = createTracks(6);
+    const queue = createQueue(tracks, 3);
+    queue.setShuffle(true);
+    queue.enqueueLast(tracks[5]);
+    assert.equal(queue.next().id, 't6');
+
+    queue.setProbabilityMode(true);
+    queue.enqueueLast(tracks[4]);
+    assert.equal(queue.peekNext().id, 't5');
+    assert.equal(queue.next({ energy: 0.5, flow: 0.5, hour: 12 }).id, 't5');
+    assert.equal(queue.peekNext(), null);
+  });
+
+  test('reorders, removes and clears Up Next with events', () => {
+    const tracks = createTracks(4);
+    const queue = createQueue(tracks);
+    const changes = [];
+    queue.on('upnextchange', ({ tracks: upNext, reason }) => {
+      changes.push([reason, upNext.map(track => track.id)]);
+    });
+
+    queue.enqueueLast(tracks);
+    assert.equal(queue.moveInUpNext(3, 0), true);
+    assert.equal(queue.moveInUpNext(0, 9), false);
+    assert.equal(queue.removeFromUpNext(1).id, 't1');
+    assert.equal(queue.removeFromUpNext(9), null);
+    queue.next();
+    queue.clearUpNext();
+
+    assert.deepEqual(changes, [
+      ['enqueue', ['t1', 't2', 't3', 't4']],
+      ['move', ['t4', 't1', 't2', 't3']],
+      ['remove', ['t4', 't2', 't3']],
+      ['played', ['t2', 't3']],
+      ['clear', []]
+    ]);
+  });
+
+  test('previous leaves an Up Next track for the interrupted playlist position', () => {
+    const tracks = createTracks(3);
+    const queue = createQueue(tracks);
+    queue.jumpToTrack(1);
+    queue.enqueueNext(tracks[0]);
+    queue.next();
+
+    assert.equal(queue.hasPrevious(), true);
+    assert.equal(queue.previous().id, 't2');
+    assert.equal(queue.next().id, 't1');
+    assert.equal(queue.next().id, 't3');
+  });
+
+  test('previous walks back through probability picks and next replays them', () => {
+    const queue = createQueue(createTracks(8), 11);
+    queue.setProbabilityMode(true);
+    const context = { energy: 0.5, flow: 0.5, hour: 12 };
+
+    const played = [queue.next(context), queue.next(context), queue.next(context)].map(track => track.id);
+    assert.deepEqual(queue.getHistory().map(track => track.id), played);
+
+    assert.equal(queue.previous().id, played[1]);
+    assert.equal(queue.previous().id, played[0]);
+    assert.equal(queue.hasPrevious(), false);
+    assert.equal(queue.previous(), null);
+
+    assert.equal(queue.peekNext().id, played[1]);
+    assert.equal(queue.next(context).id, played[1]);
+    assert.equal(queue.next(context).id, played[2]);
+    assert.equal(queue.getHistoryPosition(), 2);
+  });
+
+  test('previous follows shuffle history and skips removed tracks', () => {
+    const queue = createQueue(createTracks(6), 5);
+    queue.setShuffle(true);
+    const played = [queue.next(), queue.next(), queue.next()];
+
+    queue.removeTrack(played[1].id);
+    assert.equal(queue.previous(), played[0]);
+    assert.equal(queue.getHistory().length, 2);
+    assert.equal(queue.next(), played[2]);
+  });
+
+  test('tracks played after going back are inserted without losing forward history', () => {
+    const tracks = createTracks(4);
+    const queue = createQueue(tracks);
+    queue.next();
+    queue.next();
+    queue.previous();
+
+    queue.jumpToTrack(3);
+    assert.deepEqual(queue.getHistory().map(track => track.id), ['t1', 't4', 't2']);
+    assert.equal(queue.next().id, 't2');
+  });
+
+  test('previous steps back through the playlist before the start of history', () => {
+    const queue = createQueue(createTracks(3));
+    queue.jumpToTrack(2);
+
+    assert.equal(queue.previous().id, 't2');
+    assert.equal(queue.previous().id, 't1');
+    assert.equal(queue.next().id, 't2');
+    assert.equal(queue.next().id, 't3');
+  });
+
+  test('serializes and restores position and modes', () => {
+    const queue = createQueue(createTracks(4));
+    queue.setShuffle(true);
+    queue.setRepeat(true);
+    queue.next();
+
+    const restored = createQueue(createTracks(4));
+    restored.restore(JSON.parse(JSON.stringify(queue.serialize())));
+
+    assert.equal(restored.getCurrentTrack().id, queue.getCurrentTrack().id);
+    assert.deepEqual(restored.shuffledIndices, queue.shuffledIndices);
+    assert.throws(() => restored.restore({ version: 99 }), /Unsupported QueueManager state version/);
+  });
+
+  test('serializes and restores Up Next and history', () => {
+    const tracks = createTracks(4);
+    const queue = createQueue(tracks);
+    queue.enqueueLast([tracks[2], tracks[3]]);
+    queue.next();
+
+    const restoredTracks = createTracks(3);
+    const restored = createQueue(restoredTracks);
+    restored.restore(JSON.parse(JSON.stringify(queue.serialize())));
+
+    assert.equal(restored.getCurrentTrack(), restoredTracks[2]);
+    assert.equal(restored.getUpNext()[0].id, 't4');
+    assert.equal(restored.getUpNext()[0].url, 't4.mp3');
+    assert.deepEqual(restored.getHistory().map(track => track.id), ['t3']);
+    assert.equal(restored.getHistory()[0], restoredTracks[2]);
+  });
+
+  test('undoes and redoes adds, removes and moves', () => {
+    const tracks = createTracks(4);
+    const queue = createQueue(tracks.slice(0, 3));
+    const ids = () => queue.getTracks().map(track => track.id);
+    queue.jumpToTrack(1);
+
+    queue.addTrack(tracks[3], 0);
+    assert.deepEqual(ids(), ['t4', 't1', 't2', 't3']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+    assert.equal(queue.moveTrack(3, 0), true);
+    assert.equal(queue.moveTrack(0, 9), false);
+    assert.deepEqual(ids(), ['t3', 't4', 't1', 't2']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+    queue.removeTrack('t2');
+
+    assert.equal(queue.undo(), true);
+    assert.deepEqual(ids(), ['t3', 't4', 't1', 't2']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+    queue.undo();
+    assert.deepEqual(ids(), ['t4', 't1', 't2', 't3']);
+    queue.undo();
+    assert.deepEqual(ids(), ['t1', 't2', 't3']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+
+    assert.equal(queue.redo(), true);
+    queue.redo();
+    queue.redo();
+    assert.deepEqual(ids(), ['t3', 't4', 't1']);
+    assert.equal(queue.redo(), false);
+    assert.equal(queue.getCurrentTrack().id, 't1');
+  });
+
+  test('undo keeps the shuffle order and redo reuses the drawn position', () => {
+    const tracks = createTracks(7);
+    const queue = createQueue(tracks.slice(0, 6), 5);
+    queue.setShuffle(true);
+    queue.next();
+    queue.next();
+    const order = [...queue.shuffledIndices];
+
+    queue.addTrack(tracks[6]);
+    const added = [...queue.shuffledIndices];
+    queue.undo();
+    assert.deepEqual(queue.shuffledIndices, order);
+    queue.redo();
+    assert.deepEqual(queue.shuffledIndices, added);
+
+    const current = queue.getCurrentTrack();
+    queue.removeTrack(current.id);
+    queue.moveTrack(0, 5);
+    queue.undo();
+    queue.undo();
+    assert.deepEqual(queue.shuffledIndices, added);
+    assert.equal(queue.getCurrentTrack(), current);
+  });
+
+  test('undoes clear and setPlaylist with Up Next and history', () => {
+    const tracks = createTracks(4);
+    const queue = createQueue(tracks.slice(0, 3));
+    queue.enqueueLast(tracks[3]);
+    queue.next();
+    queue.next();
+
+    queue.clear();
+    assert.equal(queue.getTrackCount(), 0);
+    queue.undo();
+    assert.equal(queue.getTrackCount(), 3);
+    assert.equal(queue.getCurrentTrack().id, 't1');
+    assert.deepEqual(queue.getHistory().map(track => track.id), ['t4', 't1']);
+    queue.redo();
+    assert.equal(queue.getCurrentTrack(), null);
+    queue.undo();
+
+    queue.setPlaylist(new Playlist({ id: 'other', name: 'Other', tracks: [tracks[3]] }));
+    assert.deepEqual(queue.getTracks().map(track => track.id), ['t4']);
+    queue.undo();
+    assert.deepEqual(queue.getTracks().map(track => track.id), ['t1', 't2', 't3']);
+    assert.equal(queue.peekNext().id, 't2');
+  });
+
+  test('bulk edits keep the current track and undo as one edit', () => {
+    const tracks = createTracks(6, i => ({ title: ['f', 'e', 'd', 'c', 'b', 'a'][i] }));
+    const queue = createQueue(tracks.slice(0, 3));
+    const ids = () => queue.getTracks().map(track => track.id);
+    queue.jumpToTrack(1);
+
+    queue.insertAt(1, [tracks[3], tracks[4]]);
+    queue.addTracks([tracks[5], tracks[0]]);
+    assert.deepEqual(ids(), ['t1', 't4', 't5', 't2', 't3', 't6', 't1']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+
+    assert.deepEqual(queue.dedupe().map(track => track.id), ['t1']);
+    assert.deepEqual(queue.removeWhere(track => track.id === 't4').map(track => track.id), ['t4']);
+    assert.deepEqual(queue.removeWhere(() => false), []);
+    assert.equal(queue.sort('title'), true);
+    assert.equal(queue.sort('title'), false);
+    assert.deepEqual(ids(), ['t6', 't5', 't3', 't2', 't1']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+    assert.equal(queue.peekNext().id, 't1');
+
+    queue.undo();
+    queue.undo();
+    assert.deepEqual(ids(), ['t1', 't4', 't5', 't2', 't3', 't6']);
+    queue.undo();
+    queue.undo();
+    assert.deepEqual(ids(), ['t1', 't4', 't5', 't2', 't3']);
+    assert.equal(queue.getCurrentTrack().id, 't2');
+  });
+
+  test('removes a repeated track by index', () => {
+    const tracks = createTracks(3);
+    const queue = createQueue([tracks[0], tracks[1], tracks[0], tracks[2]]);
+    const ids = () => queue.getTracks().map(track => track.id);
+    queue.jumpToTrack(0);
+
+    assert.equal(queue.removeAt(2), true);
+    assert.deepEqual(ids(), ['t1', 't2', 't3']);
+    assert.equal(queue.getCurrentTrack().id, 't1');
+    assert.equal(queue.removeAt(3), false);
+    assert.equal(queue.removeAt(-1), false);
+
+    queue.undo();
+    assert.deepEqual(ids(), ['t1', 't2', 't1', 't3']);
+    assert.equal(queue.currentIndex, 0);
+  });
+
+  test('announces direct calls as JSON-safe commands', () => {
+    const tracks = createTracks(4);
+    const queue = createQueue(tracks.slice(0, 3));
+    const commands = [];
+    queue.on('command', command => commands.push(command));
+
+    queue.addTrack(tracks[3]);
+    queue.jumpToTrackById('t2');
+    queue.setRepeat(true);
+    queue.enqueueNext(tracks[0]);
+    queue.removeWhere(track => track.id === 't3');
+    queue.undo();
+    queue.clear();
+    queue.next();
+
+    assert.deepEqual(commands.map(command => command.name),
+      ['insertAt', 'jumpToTrack', 'setRepeatMode', 'enqueueNext', 'removeWhere', 'undo', 'clear']);
+    assert.deepEqual(commands[0].args, [3, [tracks[3].toJSON()]]);
+    assert.deepEqual(commands[1].args, [1]);
+    assert.deepEqual(commands[4].args, [[2]]);
+    assert.deepEqual(JSON.parse(JSON.stringify(commands)), commands);
+  });
+
+  test('sorting and deduplicating while shuffling keep the play order', () => {
+    const tracks = createTracks(6, i => ({ duration: 600 - i * 60 }));
+    const queue = createQueue([...tracks, tracks[2], tracks[4]], 7);
+    queue.setShuffle(true);
+    queue.next();
+    queue.next();
+    const playOrder = () => queue.shuffledIndices.map(index => queue.getTracks()[index].id);
+    const before = playOrder();
+    const current = queue.getCurrentTrack();
+
+    queue.sort('duration');
+    assert.deepEqual(playOrder(), before);
+    assert.equal(queue.getCurrentTrack(), current);
+
+    const removed = queue.dedupe();
+    assert.equal(removed.length, 2);
+    assert.equal(queue.getCurrentTrack(), current);
+    assert.deepEqual(new Set(playOrder()), new Set(tracks.map(track => track.id)));
+
+    queue.undo();
+    queue.undo();
+    assert.deepEqual(playOrder(), before);
+    assert.equal(queue.getCurrentTrack(), current);
+  });
+
+  test('edit history is bounded, cleared by new edits and announced', () => {
+    const tracks = createTracks(6);
+    const queue = new QueueManager(null, { maxEditHistory: 2 });
+    const changes = [];
+    queue.on('editchange', ({ reason, name, canUndo, canRedo }) => {
+      changes.push([reason, name, canUndo, canRedo]);
+    });
+
+    queue.addTrack(tracks[0]);
+    queue.addTrack(tracks[1]);
+    queue.addTrack(tracks[2]);
+    assert.equal(queue.getEditHistory().getState().undoDepth, 2);
+    queue.undo();
+    queue.undo();
+    assert.equal(queue.undo(), false);
+    assert.equal(queue.getTrackCount(), 1);
+
+    queue.redo();
+    queue.removeTrack('t1');
+    assert.equal(queue.canRedo(), false);
+    assert.equal(queue.canUndo(), true);
+
+    assert.deepEqual(changes, [
+      ['execute', 'add', true, false],
+      ['execute', 'add', true, false],
+      ['execute', 'add', true, false],
+      ['undo', 'add', true, true],
+      ['undo', 'add', false, true],
+      ['redo', 'add', true, true],
+      ['execute', 'remove', true, false]
+    ]);
+  });
+});
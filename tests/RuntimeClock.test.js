@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import RuntimeClock from '../src/runtime/RuntimeClock.js';
+import ManualClock from '../src/time/ManualClock.js';
+
+function createClocks() {
+  const clock = new ManualClock({ startTime: 1000 });
+  return { clock, runtime: new RuntimeClock({ clock }) };
+}
+
+describe('RuntimeClock', () => {
+  test('advances internal time with the clock and time scale', () => {
+    const { clock, runtime } = createClocks();
+    clock.advance(2000);
+    runtime.tick();
+    assert.equal(runtime.getInternalTime(), 2);
+
+    runtime.setTimeScale(0.5);
+    clock.advance(2000);
+    runtime.tick();
+    assert.equal(runtime.getInternalTime(), 3);
+    assert.equal(runtime.getElapsedTime(), 4);
+  });
+
+  test('does not count paused time', () => {
+    const { clock, runtime } = createClocks();
+    runtime.pause();
+    clock.advance(5000);
+    runtime.tick();
+    runtime.resume();
+    clock.advance(1000);
+    runtime.tick();
+
+    assert.equal(runtime.getInternalTime(), 1);
+  });
+
+  test('bounds the time scale', () => {
+    const { runtime } = createClocks();
+    runtime.setTimeScale(10);
+    assert.equal(runtime.timeScale, runtime.MAX_TIME_SCALE);
+    runtime.setTimeScale(0);
+    assert.equal(runtime.timeScale, runtime.MIN_TIME_SCALE);
+  });
+
+  test('fires scheduled events once, unless cancelled', () => {
+    const { clock, runtime } = createClocks();
+    const fired = [];
+    runtime.scheduleEvent(1, () => fired.push('a'));
+    const cancelled = runtime.scheduleEvent(1, () => fired.push('b'));
+    runtime.cancelEvent(cancelled);
+
+    clock.advance(500);
+    runtime.tick();
+    assert.deepEqual(fired, []);
+
+    clock.advance(1000);
+    runtime.tick();
+    runtime.tick();
+    assert.deepEqual(fired, ['a']);
+    assert.equal(runtime.getState().scheduledEvents, 0);
+  });
+
+  test('syncs to a recorded time and fires due events', () => {
+    const { runtime } = createClocks();
+    let fired = false;
+    runtime.scheduleEvent(10, () => {
+      fired = true;
+    });
+
+    runtime.syncTo(12);
+    assert.equal(runtime.getInternalTime(), 12);
+    assert.equal(fired, true);
+  });
+
+  test('serializes and restores its position', () => {
+    const { clock, runtime } = createClocks();
+    runtime.setTimeScale(1.5);
+    clock.advance(2000);
+    runtime.tick();
+
+    const restored = new RuntimeClock({ clock });
+    restored.restore(JSON.parse(JSON.stringify(runtime.serialize())));
+    assert.equal(restored.getInternalTime(), 3);
+    assert.equal(restored.timeScale, 1.5);
+    assert.throws(() => restored.restore({ version: 3 }), /Unsupported RuntimeClock state version/);
+  });
+});
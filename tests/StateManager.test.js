@@ -0,0 +1,53 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import StateManager from '../src/state/StateManager.js';
+import PlaybackState from '../src/models/PlaybackState.js';
+
+describe('StateManager', () => {
+  test('notifies subscribers only when something changed', () => {
+    const store = new StateManager();
+    const calls = [];
+    store.subscribe((state, previous) => calls.push([state.volume, previous.volume]));
+
+    store.setState({ volume: 0.5 });
+    store.setState({ volume: 0.5 });
+    store.setState({ queue: [] });
+
+    assert.deepEqual(calls, [[0.5, 1]]);
+    assert.equal(store.get('playbackState'), PlaybackState.STOPPED);
+  });
+
+  test('notifies selectors only when their slice changes', () => {
+    const store = new StateManager({ queue: ['a'] });
+    const volumes = [];
+    const queues = [];
+    const unsubscribe = store.select(state => state.volume, (volume, previous) => volumes.push([volume, previous]));
+    store.select(state => state.queue, queue => queues.push(queue));
+
+    store.setState({ currentTime: 3 });
+    store.setState({ volume: 0.2, queue: ['a'] });
+    store.setState({ queue: ['a', 'b'] });
+    unsubscribe();
+    store.setState({ volume: 0.3 });
+
+    assert.deepEqual(volumes, [[0.2, 1]]);
+    assert.deepEqual(queues, [['a', 'b']]);
+  });
+
+  test('delivers batched updates once', () => {
+    const store = new StateManager();
+    const states = [];
+    store.subscribe(state => states.push([state.volume, state.shuffle]));
+
+    const result = store.batch(() => {
+      store.setState({ volume: 0.4 });
+      store.batch(() => store.setState({ shuffle: true }));
+      assert.equal(states.length, 0);
+      return 'done';
+    });
+    store.batch(() => store.setState({ volume: 0.4 }));
+
+    assert.equal(result, 'done');
+    assert.deepEqual(states, [[0.4, true]]);
+  });
+});
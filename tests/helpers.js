@@ -0,0 +1,64 @@
+import Track from '../src/models/Track.js';
+import Playlist from '../src/models/Playlist.js';
+import PlayerEngine from '../src/core/PlayerEngine.js';
+import QueueManager from '../src/core/QueueManager.js';
+import MockAudioEngine from '../src/audio/MockAudioEngine.js';
+import RandomSource from '../src/runtime/RandomSource.js';
+import ManualClock from '../src/time/ManualClock.js';
+
+/**
+ * Create numbered test tracks (t1, t2, ...)
+ * @param {number} count - Number of tracks
+ * @param {Function} [extra] - Returns extra track options for an index
+ * @returns {Array<Track>} Tracks
+ */
+export function createTracks(count, extra = () => ({})) {
+  return Array.from({ length: count }, (_, i) => new Track({
+    id: `t${i + 1}`,
+    title: `Track ${i + 1}`,
+    artist: `Artist ${i + 1}`,
+    duration: 120,
+    url: `t${i + 1}.mp3`,
+    ...extra(i)
+  }));
+}
+
+/**
+ * Create a queue manager over test tracks with a seeded random source
+ * @param {Array<Track>} tracks - Tracks
+ * @param {number} [seed=1] - Random seed
+ * @returns {QueueManager} Queue manager
+ */
+export function createQueue(tracks, seed = 1) {
+  const queue = new QueueManager(null, { random: new RandomSource(seed) });
+  queue.setPlaylist(new Playlist({ id: 'test', name: 'Test', tracks }));
+  return queue;
+}
+
+/**
+ * Create a headless player on a manual clock
+ * @param {Object} [options] - Options
+ * @param {Array<Track>} [options.tracks] - Playlist tracks (defaults to 3 tracks)
+ * @param {boolean} [options.transitions=false] - Audio engine supports transitions
+ * @param {boolean} [options.smartCrossfade=true] - Smart crossfade enabled
+ * @returns {{player: PlayerEngine, engine: MockAudioEngine, clock: ManualClock, queue: QueueManager, tracks: Array<Track>}}
+ */
+export function createPlayer({ tracks = createTracks(3), transitions = false, smartCrossfade = true } = {}) {
+  const clock = new ManualClock({ startTime: Date.UTC(2026, 0, 1, 12) });
+  const durations = {};
+  tracks.forEach(track => {
+    durations[track.url] = track.duration;
+  });
+  const engine = new MockAudioEngine({ durations, transitions });
+  const queue = createQueue(tracks);
+  const player = new PlayerEngine({ audioEngine: engine, queueManager: queue, clock, smartCrossfade });
+  return { player, engine, clock, queue, tracks };
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+export function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}